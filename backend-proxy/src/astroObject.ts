@@ -0,0 +1,46 @@
+import { MediaEntry } from '../../shared/media';
+import { Attribution } from '../../shared/attribution';
+import { Facts } from '../../shared/enrichment';
+import { SrcsetEntry } from '../../shared/imageVariants';
+
+// Our normalized app schema; credit/license/sourceUrl describe the main image
+export interface AstroObject extends Partial<Attribution> {
+    id: string;
+    title: string;
+    summary?: string;
+    description: string;
+    locale?: string; // Language of title/summary/description; NASA text is always English
+    imageUrl: string | null; // null for sources with no imagery (near-Earth objects)
+    imageSrcset?: SrcsetEntry[]; // Resized variants through /image-proxy, narrowest first
+    media?: MediaEntry[]; // Gallery, main image first (see shared/media.js)
+    type: 'galaxy' | 'star' | 'planet' | 'nebula' | 'other';
+    metadata: {
+        distance: string;
+        constellation: string;
+        copyright?: string;
+        date?: string;
+        mediaType?: string;
+        // Display strings added by enrichment (see shared/enrichment.js)
+        rightAscension?: string;
+        declination?: string;
+        apparentMagnitude?: string;
+        radius?: string;
+        mass?: string;
+        spectralClass?: string;
+        designations?: string;
+        // Mars rover photos (src/mars.ts)
+        rover?: string;
+        camera?: string;
+        sol?: string;
+        // EPIC Earth images (src/epic.ts): where the disk is centered
+        coordinates?: string;
+        // Near-Earth objects (src/neo.ts)
+        diameter?: string;
+        velocity?: string;
+        hazardous?: string;
+    };
+    source: 'NASA';
+    facts?: Facts;
+}
+
+export const OBJECT_TYPES: AstroObject['type'][] = ['galaxy', 'star', 'planet', 'nebula', 'other'];
@@ -0,0 +1,142 @@
+/**
+ * Curated Tier-A catalog, served from the seeder's versioned snapshot
+ * (data/catalog_sync.json, bundled at deploy time)
+ *
+ *   GET /catalog                  Index with version; ETag / If-None-Match
+ *   GET /catalog/:id              One curated object
+ *   GET /catalog/changes?since=N  Objects changed and ids removed after version N
+ *
+ * Object text is served in the locale picked from `lang` / Accept-Language.
+ */
+
+import snapshotJson from '../../data/catalog_sync.json';
+import { findReference } from '../../shared/enrichment';
+import { localizeObject, objectLocales, Localizable } from '../../shared/localization';
+import { pickLocale, localeHeaders } from './locale';
+import { json, badRequest } from './http';
+
+interface CatalogRecord {
+    version: number;
+    aliases: string[];
+    object: Localizable & { id: string; type: string; localImagePath?: string; [key: string]: unknown };
+}
+
+export interface CatalogSnapshot {
+    version: number;
+    updatedAt: string | null;
+    objects: Record<string, CatalogRecord>;
+    removed: Record<string, number>;
+}
+
+export const defaultSnapshot = snapshotJson as unknown as CatalogSnapshot;
+
+function toSlug(name: string): string {
+    return name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * The object id or name after a route prefix (/catalog/, /related/,
+ * /observe/), decoded; null when its percent-encoding is malformed
+ */
+export function decodePathId(pathname: string, prefix: string): string | null {
+    try {
+        return decodeURIComponent(pathname.slice(prefix.length).replace(/\/+$/, ''));
+    } catch (e) {
+        if (e instanceof URIError) return null;
+        throw e;
+    }
+}
+
+/**
+ * 304 when the client already has this version in this locale, otherwise the JSON body
+ */
+function versioned(request: Request, tag: string, locale: string, body: () => unknown, corsHeaders: Record<string, string>): Response {
+    const etag = `"${tag}-${locale}"`;
+    const headers = {
+        ...corsHeaders,
+        ...localeHeaders(locale),
+        'ETag': etag,
+        // Revalidate often: the catalog changes on Worker deploys, not on a schedule
+        'Cache-Control': 'public, max-age=300, must-revalidate'
+    };
+    if (request.headers.get('If-None-Match') === etag) {
+        return new Response(null, { status: 304, headers });
+    }
+    return json(body(), 200, headers);
+}
+
+/**
+ * Find the curated object for a free-text name: id, catalog alias, or any
+ * name the reference dataset knows ("M31", "NGC 224", ...). Reference keys
+ * need not be catalog ids ("andromeda" is andromeda-galaxy), so records are
+ * matched by resolving their own id and aliases to a key.
+ */
+export function findCuratedObject(query: string, snapshot: CatalogSnapshot = defaultSnapshot): CatalogRecord | null {
+    const slug = toSlug(query);
+    if (!slug) return null;
+    if (snapshot.objects[slug]) return snapshot.objects[slug];
+
+    for (const record of Object.values(snapshot.objects)) {
+        if (record.aliases.some((alias) => toSlug(alias) === slug)) return record;
+    }
+
+    const key = findReference(query);
+    if (!key) return null;
+    return Object.values(snapshot.objects).find((record) => findReference(record.object.id, record.aliases) === key) || null;
+}
+
+export function handleCatalog(request: Request, url: URL, corsHeaders: Record<string, string>, snapshot: CatalogSnapshot = defaultSnapshot): Response {
+    const path = url.pathname.replace(/\/+$/, '');
+    // Lists use any locale at least one object is translated into
+    const listLocale = () => pickLocale(request, url, [...new Set(Object.values(snapshot.objects).flatMap(({ object }) => objectLocales(object)))]);
+
+    if (path === '/catalog') {
+        const locale = listLocale();
+        return versioned(request, `catalog-v${snapshot.version}`, locale, () => ({
+            version: snapshot.version,
+            updatedAt: snapshot.updatedAt,
+            locale,
+            objects: Object.values(snapshot.objects).map(({ version, object }) => ({
+                id: object.id,
+                title: localizeObject(object, locale).title,
+                type: object.type,
+                thumbnailPath: object.localImagePath,
+                version,
+            })),
+        }), corsHeaders);
+    }
+
+    if (path === '/catalog/changes') {
+        const sinceParam = url.searchParams.get('since') || '';
+        const since = Number(sinceParam);
+        if (!/^\d+$/.test(sinceParam)) {
+            return badRequest('since must be a catalog version (a non-negative integer)', corsHeaders);
+        }
+        if (since > snapshot.version) {
+            return badRequest(`since ${since} is newer than the current version ${snapshot.version}`, corsHeaders);
+        }
+
+        const locale = listLocale();
+        return versioned(request, `catalog-v${snapshot.version}-since-${since}`, locale, () => ({
+            version: snapshot.version,
+            since,
+            locale,
+            updated: Object.values(snapshot.objects)
+                .filter((record) => record.version > since)
+                .map((record) => ({ version: record.version, object: localizeObject(record.object, locale) })),
+            removed: Object.entries(snapshot.removed)
+                .filter(([, version]) => version > since)
+                .map(([id]) => id),
+        }), corsHeaders);
+    }
+
+    const id = decodePathId(path, '/catalog/');
+    if (id === null) return badRequest('Malformed percent-encoding in the object id', corsHeaders);
+    const record = snapshot.objects[id];
+    if (!record) {
+        const removedIn = snapshot.removed[id];
+        return json(removedIn ? { error: 'Removed from the catalog', removedIn } : { error: 'Not in the catalog' }, 404, corsHeaders);
+    }
+    const locale = pickLocale(request, url, objectLocales(record.object));
+    return versioned(request, `${id}-v${record.version}`, locale, () => localizeObject(record.object, locale), corsHeaders);
+}
@@ -0,0 +1,31 @@
+/**
+ * YYYY-MM-DD calendar dates, the form every NASA API takes them in
+ */
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+export function addDays(date: string, days: number): string {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+/**
+ * A real calendar date in YYYY-MM-DD form (not 2024-02-30)
+ */
+export function isIsoDate(date: string | null): date is string {
+    return date !== null && /^\d{4}-\d{2}-\d{2}$/.test(date)
+        && !Number.isNaN(Date.parse(`${date}T00:00:00Z`)) && addDays(date, 0) === date;
+}
+
+/**
+ * Whole days from one date to another
+ */
+export function daysBetween(start: string, end: string): number {
+    return Math.round((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / 86400000);
+}
+
+export function utcToday(): string {
+    return new Date().toISOString().slice(0, 10);
+}
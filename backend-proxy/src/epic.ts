@@ -0,0 +1,112 @@
+/**
+ * Whole-Earth images from EPIC, the camera on DSCOVR at the Sun-Earth L1 point
+ *
+ *   GET /epic?date=&collection=
+ *
+ * A day's images (UTC; default the latest day NASA has) in the `natural`
+ * (default) or `enhanced` color collection, as AstroObjects with proxied
+ * image URLs. EPIC images arrive a day or two late, so days older than that
+ * are kept in KV for 30 days and recent days and "latest" for a few hours.
+ */
+
+import { missionAttribution } from '../../shared/attribution';
+import { summarize, DEFAULT_LOCALE } from '../../shared/localization';
+import { buildImageProxyUrl, buildSrcset } from '../../shared/imageVariants';
+import { AstroObject } from './astroObject';
+import { isIsoDate, daysBetween, utcToday } from './dates';
+import { fetchNasaApi, serveFromKv, NasaApiEnv } from './nasaApi';
+import { badRequest } from './http';
+
+interface NasaEpicImage {
+    identifier: string;
+    caption: string;
+    image: string;
+    date: string; // "2024-01-10 00:13:03", UTC
+    centroid_coordinates: { lat: number; lon: number };
+    dscovr_j2000_position: { x: number; y: number; z: number };
+}
+
+const EPIC_COLLECTIONS = ['natural', 'enhanced'];
+const EPIC_FIRST_DATE = '2015-06-13';
+const EPIC_ARCHIVE_ORIGIN = 'https://epic.gsfc.nasa.gov/archive';
+
+// Days still filling in with late images
+const EPIC_RECENT_DAYS = 2;
+
+const EPIC_ARCHIVE_TTL = 30 * 86400;
+const EPIC_RECENT_TTL = 3 * 3600;
+
+/**
+ * Handle GET /epic
+ */
+export async function handleEpic(env: NasaApiEnv, url: URL, corsHeaders: Record<string, string>): Promise<Response> {
+    const params = url.searchParams;
+    const today = utcToday();
+    const date = params.get('date');
+    const collection = params.get('collection') || 'natural';
+
+    if (!EPIC_COLLECTIONS.includes(collection)) return badRequest(`collection must be one of ${EPIC_COLLECTIONS.join(', ')}`, corsHeaders);
+    if (date !== null && (!isIsoDate(date) || date < EPIC_FIRST_DATE || date > today)) {
+        return badRequest(`date must be a date between ${EPIC_FIRST_DATE} and ${today}`, corsHeaders);
+    }
+
+    const isArchived = date !== null && daysBetween(date, today) > EPIC_RECENT_DAYS;
+    return await serveFromKv(env, `epic:${collection}:${date || 'latest'}`, isArchived ? 86400 : 3600, corsHeaders, async () => {
+        const path = date ? `/EPIC/api/${collection}/date/${date}` : `/EPIC/api/${collection}`;
+        const images: NasaEpicImage[] = await fetchNasaApi(env, path);
+
+        return {
+            body: {
+                date: images[0]?.date.slice(0, 10) ?? date,
+                collection,
+                results: images.map((image) => normalizeEpicImage(image, collection, url.origin)),
+            },
+            ttl: isArchived ? EPIC_ARCHIVE_TTL : EPIC_RECENT_TTL,
+        };
+    });
+}
+
+/**
+ * Where an image sits in the EPIC archive, as a JPEG (about 200 KB, what
+ * the app shows) or the original PNG
+ */
+function epicArchiveUrl(image: NasaEpicImage, collection: string, format: 'jpg' | 'png'): string {
+    const [year, month, day] = image.date.slice(0, 10).split('-');
+    return `${EPIC_ARCHIVE_ORIGIN}/${collection}/${year}/${month}/${day}/${format}/${image.image}.${format}`;
+}
+
+function formatCoordinates({ lat, lon }: { lat: number; lon: number }): string {
+    return `${Math.abs(lat).toFixed(1)}°${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lon).toFixed(1)}°${lon >= 0 ? 'E' : 'W'}`;
+}
+
+/**
+ * Normalize an EPIC image to our AstroObject schema
+ */
+function normalizeEpicImage(image: NasaEpicImage, collection: string, origin: string): AstroObject {
+    const imageUrl = epicArchiveUrl(image, collection, 'jpg');
+    const coordinates = formatCoordinates(image.centroid_coordinates);
+    const { x, y, z } = image.dscovr_j2000_position;
+    // Rounded to the nearest thousand km; DSCOVR orbits L1 about 1.5 million km out
+    const distance = (Math.round(Math.hypot(x, y, z) / 1000) * 1000).toLocaleString('en-US');
+    const description = `${image.caption} Centered on ${coordinates}.`;
+
+    return {
+        id: `epic-${image.image}`,
+        title: `Earth from DSCOVR, ${image.date} UTC`,
+        summary: summarize(description),
+        description,
+        locale: DEFAULT_LOCALE,
+        imageUrl: buildImageProxyUrl(origin, imageUrl),
+        imageSrcset: buildSrcset(origin, imageUrl),
+        type: 'planet',
+        metadata: {
+            distance: `${distance} km (from DSCOVR)`,
+            constellation: 'Unknown',
+            date: image.date.slice(0, 10),
+            mediaType: 'image',
+            coordinates
+        },
+        source: 'NASA',
+        ...missionAttribution('NASA EPIC Team', epicArchiveUrl(image, collection, 'png'))
+    };
+}
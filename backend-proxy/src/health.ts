@@ -0,0 +1,72 @@
+/**
+ * Health check for monitors
+ *
+ *   GET /health
+ *
+ * Reads from the KV binding and probes each NASA host the Worker calls.
+ * `ok` when everything answers; `degraded` (still a 200, since cached and
+ * offline routes keep working) when a NASA host is down, its circuit is
+ * open or the daily upstream budget is spent; `down` (503) when KV fails.
+ * Answered before rate limiting, which needs KV too, so each isolate reuses
+ * its NASA probes for HEALTH_PROBE_SECONDS (default 30): polling /health
+ * does not turn into traffic to NASA.
+ */
+
+import { budgetUsage, probeUpstream, BudgetUsage, UpstreamProbe } from './upstream';
+import { NASA_API_ORIGIN, NasaApiEnv } from './nasaApi';
+
+export interface HealthEnv extends NasaApiEnv {
+    NASA_IMAGE_API_URL: string;
+    HEALTH_PROBE_SECONDS?: string;
+}
+
+// Never written; reading it only proves the binding works
+const HEALTH_PROBE_KEY = 'health:probe';
+
+const DEFAULT_PROBE_SECONDS = 30;
+
+// This isolate's last probes of the NASA hosts
+let lastProbes: { at: number; upstream: UpstreamProbe[] } | null = null;
+
+function probeSeconds(env: HealthEnv): number {
+    const seconds = Number(env.HEALTH_PROBE_SECONDS);
+    return env.HEALTH_PROBE_SECONDS !== undefined && env.HEALTH_PROBE_SECONDS !== '' && seconds >= 0 ? seconds : DEFAULT_PROBE_SECONDS;
+}
+
+/**
+ * Probe each NASA host, or reuse this isolate's probes while they are fresh
+ */
+async function probeNasaHosts(env: HealthEnv): Promise<UpstreamProbe[]> {
+    const maxAgeMs = probeSeconds(env) * 1000;
+    if (maxAgeMs > 0 && lastProbes && Date.now() - lastProbes.at < maxAgeMs) return lastProbes.upstream;
+
+    const upstream = await Promise.all([NASA_API_ORIGIN, env.NASA_IMAGE_API_URL].map((origin) => probeUpstream(env, origin)));
+    if (maxAgeMs > 0) lastProbes = { at: Date.now(), upstream };
+    return upstream;
+}
+
+/**
+ * Handle GET /health
+ */
+export async function handleHealth(env: HealthEnv, corsHeaders: Record<string, string>): Promise<Response> {
+    const kvStartedAt = Date.now();
+    let kv: { ok: boolean; latencyMs: number; error?: string };
+    let budget: BudgetUsage | null = null;
+    try {
+        await env.ASTRO_CACHE.get(HEALTH_PROBE_KEY);
+        kv = { ok: true, latencyMs: Date.now() - kvStartedAt };
+        budget = await budgetUsage(env);
+    } catch (e: any) {
+        kv = { ok: false, latencyMs: Date.now() - kvStartedAt, error: e?.message || String(e) };
+    }
+
+    const upstream = await probeNasaHosts(env);
+
+    const healthy = upstream.every((probe) => probe.reachable && !probe.circuitOpen) && budget?.remaining !== 0;
+    const status = !kv.ok ? 'down' : healthy ? 'ok' : 'degraded';
+
+    return new Response(JSON.stringify({ status, checks: { kv, upstream, budget } }), {
+        status: kv.ok ? 200 : 503,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+    });
+}
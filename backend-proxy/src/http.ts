@@ -0,0 +1,17 @@
+/**
+ * Response helpers every route module shares
+ */
+
+// KV rejects TTLs under a minute
+export const KV_MIN_TTL = 60;
+
+export function json(body: unknown, status: number, headers: Record<string, string>): Response {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { ...headers, 'Content-Type': 'application/json' }
+    });
+}
+
+export function badRequest(error: string, corsHeaders: Record<string, string>): Response {
+    return json({ error }, 400, corsHeaders);
+}
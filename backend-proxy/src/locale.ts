@@ -0,0 +1,25 @@
+/**
+ * Per-request locale: `lang` parameter first, then Accept-Language
+ * (see shared/localization.js for how objects are localized)
+ */
+
+import { parseAcceptLanguage, negotiateLocale, DEFAULT_LOCALE } from '../../shared/localization';
+
+/**
+ * Language tags the client asked for, most preferred first
+ */
+export function requestedLocales(request: Request, url: URL): string[] {
+    const lang = url.searchParams.get('lang');
+    return [...(lang ? [lang] : []), ...parseAcceptLanguage(request.headers.get('Accept-Language'))];
+}
+
+export function pickLocale(request: Request, url: URL, available: string[]): string {
+    return negotiateLocale(requestedLocales(request, url), available, DEFAULT_LOCALE);
+}
+
+/**
+ * Headers for a response whose text depends on the negotiated locale
+ */
+export function localeHeaders(locale: string): Record<string, string> {
+    return { 'Content-Language': locale, 'Vary': 'Accept-Language' };
+}
@@ -0,0 +1,114 @@
+/**
+ * Mars rover raw images from the Mars Rover Photos API
+ *
+ *   GET /mars/photos?rover=&sol=&camera=&page=
+ *
+ * One page (25 photos, NASA's page size) for a rover on a sol (Martian day
+ * of its mission), optionally from one camera, as AstroObjects with proxied
+ * image URLs. Pages of finished missions never change and are kept in KV for
+ * 30 days; active rovers keep downlinking images for past sols, so theirs are
+ * refreshed daily.
+ */
+
+import { missionAttribution } from '../../shared/attribution';
+import { summarize, DEFAULT_LOCALE } from '../../shared/localization';
+import { buildImageProxyUrl, buildSrcset } from '../../shared/imageVariants';
+import { AstroObject } from './astroObject';
+import { fetchNasaApi, serveFromKv, NasaApiEnv } from './nasaApi';
+import { badRequest } from './http';
+
+interface NasaMarsPhoto {
+    id: number;
+    sol: number;
+    camera: { name: string; full_name: string };
+    img_src: string;
+    earth_date: string;
+    rover: { name: string; status: string };
+}
+
+// Whether each rover is still sending images
+const MARS_ROVERS: Record<string, { active: boolean }> = {
+    curiosity: { active: true },
+    perseverance: { active: true },
+    opportunity: { active: false },
+    spirit: { active: false },
+};
+
+const MARS_PAGE_SIZE = 25;
+const MARS_MAX_SOL = 100000;
+
+const MARS_ACTIVE_TTL = 86400;
+const MARS_ARCHIVE_TTL = 30 * 86400;
+
+/**
+ * Handle GET /mars/photos; `camera` is a NASA camera abbreviation such as
+ * FHAZ, NAVCAM or MCZ_LEFT
+ */
+export async function handleMarsPhotos(env: NasaApiEnv, url: URL, corsHeaders: Record<string, string>): Promise<Response> {
+    const params = url.searchParams;
+    const rover = (params.get('rover') || '').toLowerCase();
+    const sol = Number(params.get('sol'));
+    const camera = params.get('camera')?.toLowerCase() || null;
+    const page = Number(params.get('page') || '1');
+
+    if (!MARS_ROVERS[rover]) return badRequest(`rover must be one of ${Object.keys(MARS_ROVERS).join(', ')}`, corsHeaders);
+    if (!params.get('sol') || !Number.isInteger(sol) || sol < 0 || sol > MARS_MAX_SOL) {
+        return badRequest(`sol must be a whole number between 0 and ${MARS_MAX_SOL}`, corsHeaders);
+    }
+    if (camera && !/^[a-z0-9_]{2,24}$/.test(camera)) return badRequest('camera must be a camera abbreviation such as FHAZ', corsHeaders);
+    if (!Number.isInteger(page) || page < 1) return badRequest('page must be a positive integer', corsHeaders);
+
+    const { active } = MARS_ROVERS[rover];
+    const key = `mars:${rover}:${sol}:${camera || 'all'}:${page}`;
+    return await serveFromKv(env, key, active ? 3600 : 86400, corsHeaders, async () => {
+        const query: Record<string, string> = { sol: String(sol), page: String(page) };
+        if (camera) query.camera = camera;
+        const data = await fetchNasaApi(env, `/mars-photos/api/v1/rovers/${rover}/photos`, query);
+        const photos: NasaMarsPhoto[] = data.photos || [];
+
+        return {
+            body: {
+                rover,
+                sol,
+                camera,
+                page,
+                nextPage: photos.length === MARS_PAGE_SIZE ? page + 1 : null,
+                results: photos.map((photo) => normalizeMarsPhoto(photo, url.origin)),
+            },
+            ttl: active ? MARS_ACTIVE_TTL : MARS_ARCHIVE_TTL,
+        };
+    });
+}
+
+/**
+ * Normalize a rover photo to our AstroObject schema
+ */
+function normalizeMarsPhoto(photo: NasaMarsPhoto, origin: string): AstroObject {
+    // Older missions still list http:// image URLs
+    const imageUrl = photo.img_src.replace(/^http:/, 'https:');
+    const rover = photo.rover.name;
+    const description = `Raw image ${photo.id} from ${rover}'s ${photo.camera.full_name} (${photo.camera.name}), `
+        + `taken on sol ${photo.sol} of the mission (${photo.earth_date} on Earth).`;
+
+    return {
+        id: `mars-${rover.toLowerCase()}-${photo.id}`,
+        title: `${rover}, ${photo.camera.full_name}, sol ${photo.sol}`,
+        summary: summarize(description),
+        description,
+        locale: DEFAULT_LOCALE,
+        imageUrl: buildImageProxyUrl(origin, imageUrl),
+        imageSrcset: buildSrcset(origin, imageUrl),
+        type: 'planet',
+        metadata: {
+            distance: 'Unknown',
+            constellation: 'Unknown',
+            date: photo.earth_date,
+            mediaType: 'image',
+            rover,
+            camera: `${photo.camera.full_name} (${photo.camera.name})`,
+            sol: String(photo.sol)
+        },
+        source: 'NASA',
+        ...missionAttribution('NASA/JPL-Caltech', imageUrl)
+    };
+}
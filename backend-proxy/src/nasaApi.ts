@@ -0,0 +1,72 @@
+/**
+ * Shared plumbing for the routes backed by api.nasa.gov (/apod, /mars/photos,
+ * /neo, /epic)
+ *
+ * Each data route caches its normalized payload in KV under its own key, for
+ * as long as its route expects NASA to keep it unchanged, plus a
+ * last-known-good copy that is served as STALE when NASA fails.
+ */
+
+import { DEFAULT_LOCALE } from '../../shared/localization';
+import { fetchUpstream, saveLastGood, withLastGood, UpstreamError, UpstreamEnv } from './upstream';
+import { KV_MIN_TTL } from './http';
+
+export interface NasaApiEnv extends UpstreamEnv {
+    NASA_API_KEY: string;
+}
+
+export const NASA_API_ORIGIN = 'https://api.nasa.gov';
+
+/**
+ * GET an api.nasa.gov path with the API key; 404 stays a 404 (nothing for
+ * that date or id), any other error is NASA's problem
+ */
+export async function fetchNasaApi(env: NasaApiEnv, path: string, query: Record<string, string> = {}): Promise<any> {
+    const params = new URLSearchParams({ api_key: env.NASA_API_KEY, ...query });
+    const nasaRes = await fetchUpstream(env, `${NASA_API_ORIGIN}${path}?${params}`);
+
+    // What is left of the key's hourly quota, for the logs and /metrics
+    const remaining = nasaRes.headers.get('X-RateLimit-Remaining');
+    if (env.trace && remaining !== null) {
+        env.trace.nasaRateLimit = { limit: Number(nasaRes.headers.get('X-RateLimit-Limit')), remaining: Number(remaining) };
+    }
+
+    if (!nasaRes.ok) {
+        throw new UpstreamError(nasaRes.status === 404 ? 404 : 502, `NASA API error: ${nasaRes.status} ${nasaRes.statusText}`);
+    }
+
+    return await nasaRes.json();
+}
+
+/**
+ * Serve a payload from KV, or load it and store it for the `ttl` (seconds)
+ * the loader returns. `maxAge` is what clients may cache it for.
+ */
+export async function serveFromKv(
+    env: NasaApiEnv,
+    key: string,
+    maxAge: number,
+    corsHeaders: Record<string, string>,
+    load: () => Promise<{ body: unknown; ttl: number }>
+): Promise<Response> {
+    const respond = (json: string, cacheStatus: string) => new Response(json, {
+        headers: {
+            ...corsHeaders,
+            'Content-Type': 'application/json',
+            'Content-Language': DEFAULT_LOCALE,
+            'X-Cache': cacheStatus,
+            'Cache-Control': `public, max-age=${maxAge}`
+        }
+    });
+
+    const cached = await env.ASTRO_CACHE.get(key);
+    if (cached !== null) return respond(cached, 'HIT');
+
+    return await withLastGood(env, key, corsHeaders, async () => {
+        const { body, ttl } = await load();
+        const json = JSON.stringify(body);
+        await env.ASTRO_CACHE.put(key, json, { expirationTtl: Math.max(ttl, KV_MIN_TTL) });
+        await saveLastGood(env, key, json);
+        return respond(json, 'MISS');
+    });
+}
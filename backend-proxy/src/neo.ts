@@ -0,0 +1,113 @@
+/**
+ * Near-Earth objects passing Earth, from the NeoWs feed
+ *
+ *   GET /neo?start=&end=
+ *
+ * Close approaches between two dates (UTC, at most 7 days apart, as NeoWs
+ * allows; default today), soonest first, as AstroObjects. NEOs have no
+ * imagery, so imageUrl is null. Ranges already over are kept in KV for a
+ * week (only orbit refinements change them); ones that include today or the
+ * future pick up new discoveries every few hours.
+ */
+
+import { missionAttribution } from '../../shared/attribution';
+import { summarize, DEFAULT_LOCALE } from '../../shared/localization';
+import { AstroObject } from './astroObject';
+import { isIsoDate, daysBetween, utcToday } from './dates';
+import { fetchNasaApi, serveFromKv, NasaApiEnv } from './nasaApi';
+import { badRequest } from './http';
+
+interface NasaCloseApproach {
+    close_approach_date: string;
+    close_approach_date_full?: string;
+    epoch_date_close_approach: number;
+    relative_velocity: { kilometers_per_second: string };
+    miss_distance: { lunar: string; kilometers: string };
+    orbiting_body: string;
+}
+
+interface NasaNeo {
+    id: string;
+    name: string;
+    nasa_jpl_url: string;
+    estimated_diameter: { meters: { estimated_diameter_min: number; estimated_diameter_max: number } };
+    is_potentially_hazardous_asteroid: boolean;
+    close_approach_data: NasaCloseApproach[];
+}
+
+const NEO_MAX_RANGE_DAYS = 7;
+
+const NEO_PAST_TTL = 7 * 86400;
+const NEO_CURRENT_TTL = 6 * 3600;
+
+/**
+ * Handle GET /neo
+ */
+export async function handleNeo(env: NasaApiEnv, url: URL, corsHeaders: Record<string, string>): Promise<Response> {
+    const params = url.searchParams;
+    const today = utcToday();
+    const start = params.get('start') || today;
+    const end = params.get('end') || start;
+
+    if (!isIsoDate(start) || !isIsoDate(end)) return badRequest('start/end must be dates in YYYY-MM-DD format', corsHeaders);
+    if (start > end) return badRequest('start must not be after end', corsHeaders);
+    if (daysBetween(start, end) > NEO_MAX_RANGE_DAYS) {
+        return badRequest(`start and end must be at most ${NEO_MAX_RANGE_DAYS} days apart`, corsHeaders);
+    }
+
+    const isPast = end < today;
+    return await serveFromKv(env, `neo:${start}:${end}`, isPast ? 86400 : 3600, corsHeaders, async () => {
+        const data = await fetchNasaApi(env, '/neo/rest/v1/feed', { start_date: start, end_date: end });
+
+        // The feed groups NEOs by date, each with the approach on that date
+        const approaches = Object.values(data.near_earth_objects || {})
+            .flat()
+            .map((neo: any) => ({ neo: neo as NasaNeo, approach: (neo as NasaNeo).close_approach_data?.[0] }))
+            .filter(({ approach }) => approach && approach.close_approach_date >= start && approach.close_approach_date <= end)
+            .sort((a, b) => a.approach.epoch_date_close_approach - b.approach.epoch_date_close_approach);
+
+        const results = approaches.map(({ neo, approach }) => normalizeNeo(neo, approach));
+        return {
+            body: { start, end, count: results.length, results },
+            ttl: isPast ? NEO_PAST_TTL : NEO_CURRENT_TTL,
+        };
+    });
+}
+
+/**
+ * Normalize a NEO and one of its close approaches to our AstroObject schema
+ */
+function normalizeNeo(neo: NasaNeo, approach: NasaCloseApproach): AstroObject {
+    // "(2015 RC)" or "465633 (2009 JR5)"
+    const title = neo.name.replace(/^\((.*)\)$/, '$1');
+    const kilometers = Math.round(Number(approach.miss_distance.kilometers)).toLocaleString('en-US');
+    const lunar = Number(approach.miss_distance.lunar).toFixed(1);
+    const velocity = `${Number(approach.relative_velocity.kilometers_per_second).toFixed(1)} km/s`;
+    const { estimated_diameter_min: min, estimated_diameter_max: max } = neo.estimated_diameter.meters;
+    const diameter = `${Math.round(min).toLocaleString('en-US')}–${Math.round(max).toLocaleString('en-US')} m`;
+    const hazardous = neo.is_potentially_hazardous_asteroid;
+
+    const description = `${title} passes ${approach.orbiting_body} on ${approach.close_approach_date_full || approach.close_approach_date} UTC `
+        + `at ${kilometers} km (${lunar} times the Moon's distance), moving at ${velocity}. `
+        + `Estimated diameter ${diameter}.${hazardous ? ' Classified as a potentially hazardous asteroid.' : ''}`;
+
+    return {
+        id: `neo-${neo.id}`,
+        title,
+        summary: summarize(description),
+        description,
+        locale: DEFAULT_LOCALE,
+        imageUrl: null,
+        type: 'other',
+        metadata: {
+            distance: `${kilometers} km (from ${approach.orbiting_body} at closest approach)`,
+            constellation: 'Unknown',
+            date: approach.close_approach_date,
+            diameter,
+            velocity,
+            hazardous: hazardous ? 'yes' : 'no'
+        },
+        source: 'NASA',
+        ...missionAttribution('NASA/JPL CNEOS', neo.nasa_jpl_url)
+    };
+}
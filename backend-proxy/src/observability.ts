@@ -0,0 +1,245 @@
+/**
+ * Request logs and metrics
+ *
+ *   GET /metrics?date=   Counters for a UTC day (default today) and upstream quota use
+ *
+ * Every request gets an ID (the caller's X-Request-Id when it looks like one,
+ * otherwise a new UUID), sent back as X-Request-Id and written with its
+ * route, status, cache status and upstream calls as one JSON log line.
+ *
+ * Counters are summed in the isolate and added to a per-day KV record at most
+ * every METRICS_FLUSH_SECONDS (default 10), so a busy Worker costs one KV
+ * write per isolate per interval, not one per request. Counts an isolate has
+ * not flushed when it is evicted are lost; like the rate limits and the
+ * upstream budget, the numbers are approximate. /metrics requires
+ * `Authorization: Bearer <METRICS_TOKEN>` (a secret); until that secret is
+ * set, nobody can read it.
+ */
+
+import { isIsoDate, utcToday } from './dates';
+import { budgetUsage, UpstreamEnv } from './upstream';
+
+export interface MetricsEnv extends UpstreamEnv {
+    METRICS_FLUSH_SECONDS?: string;
+    METRICS_TOKEN?: string;
+}
+
+/**
+ * One attempt at an upstream call. `status` is null when no response came
+ * back (timeout, network error).
+ */
+export interface UpstreamCall {
+    host: string;
+    path: string;
+    status: number | null;
+    durationMs: number;
+    error?: string;
+}
+
+/**
+ * What a request did, filled in as it runs and logged when it ends
+ */
+export interface RequestTrace {
+    requestId: string;
+    startedAt: number;
+    upstream: UpstreamCall[];
+    // What NASA says is left of the API key's hourly quota, when it said so
+    nasaRateLimit?: { limit: number; remaining: number };
+    // Why an upstream call failed, also when a STALE copy was served instead
+    error?: string;
+}
+
+interface Counters {
+    requests: number;
+    hits: number;
+    misses: number;
+    partial: number;
+    stale: number;
+    rateLimited: number;
+    clientErrors: number;
+    errors: number;
+    upstreamCalls: number;
+    upstreamFailures: number;
+}
+
+interface DayMetrics {
+    date: string;
+    counters: Counters;
+    nasaRateLimit: { limit: number; remaining: number; seenAt: string } | null;
+    updatedAt: string | null;
+}
+
+const METRICS_PREFIX = 'metrics:';
+
+// A week of daily records
+const METRICS_TTL = 8 * 86400;
+const DEFAULT_FLUSH_SECONDS = 10;
+
+// X-Cache value → counter
+const CACHE_COUNTERS: Record<string, keyof Counters> = {
+    HIT: 'hits',
+    MISS: 'misses',
+    PARTIAL: 'partial',
+    STALE: 'stale',
+};
+
+// Paths ending in an object id, logged as one route each
+const ID_ROUTES = ['/catalog/', '/related/', '/observe/'];
+
+// Polled by monitors; counting them would only measure the monitor
+const UNCOUNTED_ROUTES = ['/health', '/metrics'];
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{8,128}$/;
+
+function emptyCounters(): Counters {
+    return {
+        requests: 0, hits: 0, misses: 0, partial: 0, stale: 0,
+        rateLimited: 0, clientErrors: 0, errors: 0, upstreamCalls: 0, upstreamFailures: 0,
+    };
+}
+
+// Not yet flushed to KV by this isolate
+let pending = emptyCounters();
+let pendingNasaRateLimit: DayMetrics['nasaRateLimit'] = null;
+let lastFlush = 0;
+
+export function startTrace(request: Request): RequestTrace {
+    const given = request.headers.get('X-Request-Id');
+    return {
+        requestId: given && REQUEST_ID_PATTERN.test(given) ? given : crypto.randomUUID(),
+        startedAt: Date.now(),
+        upstream: [],
+    };
+}
+
+/**
+ * The route a path belongs to, e.g. /observe/:id for /observe/mars
+ */
+export function routeLabel(pathname: string): string {
+    if (pathname === '/catalog/changes') return pathname;
+    const prefix = ID_ROUTES.find((route) => pathname.startsWith(route));
+    return prefix ? `${prefix}:id` : pathname;
+}
+
+function isFailedCall(call: UpstreamCall): boolean {
+    return call.status === null || call.status === 429 || call.status >= 500;
+}
+
+/**
+ * Log a finished request as one JSON line, count it and, when due, flush the
+ * counters to KV (run it under ctx.waitUntil)
+ */
+export async function finishTrace(env: MetricsEnv, trace: RequestTrace, request: Request, url: URL, response: Response): Promise<void> {
+    const route = routeLabel(url.pathname);
+    const status = response.status;
+    const cache = response.headers.get('X-Cache');
+    const upstreamMs = trace.upstream.reduce((sum, call) => sum + call.durationMs, 0);
+    const level = status >= 500 ? 'error' : cache === 'STALE' || trace.upstream.some(isFailedCall) ? 'warn' : 'info';
+
+    const line = JSON.stringify({
+        level,
+        message: `${request.method} ${route} ${status}`,
+        requestId: trace.requestId,
+        method: request.method,
+        route,
+        path: url.pathname,
+        query: url.search || undefined,
+        status,
+        cache: cache || undefined,
+        durationMs: Date.now() - trace.startedAt,
+        upstreamMs: trace.upstream.length > 0 ? upstreamMs : undefined,
+        upstream: trace.upstream.length > 0 ? trace.upstream : undefined,
+        nasaRateLimit: trace.nasaRateLimit,
+        error: trace.error,
+        colo: (request.cf as { colo?: string } | undefined)?.colo,
+    });
+    if (level === 'error') console.error(line);
+    else if (level === 'warn') console.warn(line);
+    else console.log(line);
+
+    if (UNCOUNTED_ROUTES.includes(url.pathname)) return;
+
+    pending.requests++;
+    if (cache && CACHE_COUNTERS[cache]) pending[CACHE_COUNTERS[cache]]++;
+    if (status === 429) pending.rateLimited++;
+    else if (status >= 500) pending.errors++;
+    else if (status >= 400) pending.clientErrors++;
+    pending.upstreamCalls += trace.upstream.length;
+    pending.upstreamFailures += trace.upstream.filter(isFailedCall).length;
+    if (trace.nasaRateLimit) pendingNasaRateLimit = { ...trace.nasaRateLimit, seenAt: new Date().toISOString() };
+
+    await flushMetrics(env);
+}
+
+function flushSeconds(env: MetricsEnv): number {
+    const seconds = Number(env.METRICS_FLUSH_SECONDS);
+    return env.METRICS_FLUSH_SECONDS !== undefined && env.METRICS_FLUSH_SECONDS !== '' && seconds >= 0 ? seconds : DEFAULT_FLUSH_SECONDS;
+}
+
+async function readDay(env: MetricsEnv, date: string): Promise<DayMetrics> {
+    const stored = await env.ASTRO_CACHE.get<DayMetrics>(METRICS_PREFIX + date, 'json');
+    return {
+        date,
+        counters: { ...emptyCounters(), ...stored?.counters },
+        nasaRateLimit: stored?.nasaRateLimit ?? null,
+        updatedAt: stored?.updatedAt ?? null,
+    };
+}
+
+/**
+ * Add this isolate's counts to today's record, if the flush interval has
+ * passed (or `force`). On a failed write the counts are kept for next time.
+ */
+export async function flushMetrics(env: MetricsEnv, force = false): Promise<void> {
+    const now = Date.now();
+    const intervalMs = flushSeconds(env) * 1000;
+    if (!force && intervalMs > 0 && now - lastFlush < intervalMs) return;
+    if (pending.requests === 0 && pendingNasaRateLimit === null) return;
+
+    const counts = pending;
+    const nasaRateLimit = pendingNasaRateLimit;
+    pending = emptyCounters();
+    pendingNasaRateLimit = null;
+    lastFlush = now;
+
+    try {
+        const day = await readDay(env, utcToday());
+        for (const name of Object.keys(counts) as (keyof Counters)[]) day.counters[name] += counts[name];
+        day.nasaRateLimit = nasaRateLimit ?? day.nasaRateLimit;
+        day.updatedAt = new Date(now).toISOString();
+        await env.ASTRO_CACHE.put(METRICS_PREFIX + day.date, JSON.stringify(day), { expirationTtl: METRICS_TTL });
+    } catch {
+        for (const name of Object.keys(counts) as (keyof Counters)[]) pending[name] += counts[name];
+        pendingNasaRateLimit = pendingNasaRateLimit ?? nasaRateLimit;
+    }
+}
+
+/**
+ * Handle GET /metrics
+ */
+export async function handleMetrics(request: Request, env: MetricsEnv, url: URL, corsHeaders: Record<string, string>): Promise<Response> {
+    const respond = (status: number, body: unknown) => new Response(JSON.stringify(body), {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+    });
+
+    if (!env.METRICS_TOKEN || request.headers.get('Authorization') !== `Bearer ${env.METRICS_TOKEN}`) {
+        return respond(401, { error: 'Unauthorized' });
+    }
+
+    const today = utcToday();
+    const date = url.searchParams.get('date') || today;
+    if (!isIsoDate(date) || date > today) return respond(400, { error: 'date must be a past date in YYYY-MM-DD format' });
+
+    // Include what this isolate has not flushed yet
+    if (date === today) await flushMetrics(env, true);
+
+    const day = await readDay(env, date);
+    const { hits, misses, partial } = day.counters;
+    const lookups = hits + misses + partial;
+    return respond(200, {
+        ...day,
+        hitRate: lookups > 0 ? Math.round((hits / lookups) * 1000) / 1000 : null,
+        budget: await budgetUsage(env, date),
+    });
+}
@@ -0,0 +1,62 @@
+/**
+ * Observation planning, computed in the Worker from shared/observation.js
+ *
+ *   GET /observe/:id?lat=&lon=&date=&utcOffset=&at=
+ *
+ * Rise, transit and set in the local day `date` (YYYY-MM-DD, default today)
+ * of a clock `utcOffset` minutes ahead of UTC, the object's altitude and
+ * azimuth at `at` (ISO time, default transit), and the Moon's phase. Never
+ * calls NASA.
+ */
+
+import { findObservable, planObservation } from '../../shared/observation';
+import { findCuratedObject, decodePathId, CatalogSnapshot, defaultSnapshot } from './catalog';
+import { isIsoDate } from './dates';
+import { json, badRequest } from './http';
+
+// Offsets in use run from UTC-12:00 to UTC+14:00
+const MAX_UTC_OFFSET = 14 * 60;
+
+function parseNumber(value: string | null, min: number, max: number): number | null {
+    if (value === null || value.trim() === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= min && number <= max ? number : null;
+}
+
+function localDate(now: Date, utcOffset: number): string {
+    return new Date(now.getTime() + utcOffset * 60000).toISOString().slice(0, 10);
+}
+
+export function handleObserve(
+    url: URL,
+    corsHeaders: Record<string, string>,
+    snapshot: CatalogSnapshot = defaultSnapshot,
+    now: Date = new Date(),
+): Response {
+    const params = url.searchParams;
+
+    const latitude = parseNumber(params.get('lat'), -90, 90);
+    const longitude = parseNumber(params.get('lon'), -180, 180);
+    if (latitude === null || longitude === null) return badRequest('lat (-90 to 90) and lon (-180 to 180) are required', corsHeaders);
+
+    const utcOffset = params.has('utcOffset') ? parseNumber(params.get('utcOffset'), -MAX_UTC_OFFSET, MAX_UTC_OFFSET) : 0;
+    if (utcOffset === null || !Number.isInteger(utcOffset)) return badRequest(`utcOffset must be whole minutes between -${MAX_UTC_OFFSET} and ${MAX_UTC_OFFSET}`, corsHeaders);
+
+    const date = params.get('date') || localDate(now, utcOffset);
+    if (!isIsoDate(date)) return badRequest('date must be YYYY-MM-DD', corsHeaders);
+
+    const at = params.get('at') ? new Date(params.get('at')!) : undefined;
+    if (at && Number.isNaN(at.getTime())) return badRequest('at must be an ISO 8601 time', corsHeaders);
+
+    // Ids and reference names first, then the names /lookup knows for curated objects
+    const name = decodePathId(url.pathname, '/observe/');
+    if (name === null) return badRequest('Malformed percent-encoding in the object id', corsHeaders);
+    const target = findObservable(name, findCuratedObject(name, snapshot)?.object.id);
+    if (!target) return json({ error: `No position in the sky for ${name}` }, 404, corsHeaders);
+
+    return json(planObservation(target, { latitude, longitude, date, utcOffset, at }), 200, {
+        ...corsHeaders,
+        // A given date and place always plan the same; "today" moves on
+        'Cache-Control': params.get('date') ? 'public, max-age=86400' : 'public, max-age=300'
+    });
+}
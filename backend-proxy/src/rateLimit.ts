@@ -0,0 +1,150 @@
+/**
+ * Per-client rate limiting
+ *
+ * Sliding window counter: each client has a count for the current and the
+ * previous fixed window, and the previous one is weighted by how much of it
+ * still overlaps the sliding window. Counts are kept in the isolate's memory,
+ * so a check costs no KV reads or writes (KV's write quota and its one write
+ * per key per second could not keep up). Each isolate counts on its own, so
+ * limits are approximate; that's fine for abuse protection.
+ *
+ * Limits come from RATE_LIMITS: comma-separated "<path>=<requests>/<seconds>"
+ * rules, matched by longest path prefix, with "*" for everything else, e.g.
+ *   RATE_LIMITS = "*=120/60,/search=30/60,/image-proxy=300/60"
+ */
+
+export interface RateLimitEnv {
+    RATE_LIMITS?: string;
+}
+
+interface RateLimitRule {
+    route: string;
+    limit: number;
+    windowSeconds: number;
+}
+
+export interface RateLimitResult {
+    allowed: boolean;
+    headers: Record<string, string>;
+}
+
+interface WindowCounts {
+    window: number;
+    current: number;
+    previous: number;
+    expiresAt: number;
+}
+
+const DEFAULT_RATE_LIMITS = '*=120/60,/lookup=30/60,/search=30/60,/search/local=120/60,/apod/random=10/60,/image-proxy=300/60';
+
+// Past this many tracked clients, those whose counts have expired are dropped
+const MAX_TRACKED_CLIENTS = 10000;
+
+// Counts per "<route>:<client>" in this isolate
+const counters = new Map<string, WindowCounts>();
+
+/**
+ * Parse RATE_LIMITS; malformed rules are ignored so a typo can't take the Worker down
+ */
+export function parseRateLimits(value: string | undefined): RateLimitRule[] {
+    const rules: RateLimitRule[] = [];
+    for (const part of (value ?? DEFAULT_RATE_LIMITS).split(',')) {
+        const match = part.trim().match(/^(\*|\/[^=\s]*)=(\d+)\/(\d+)$/);
+        if (!match || Number(match[3]) === 0) continue;
+        rules.push({ route: match[1], limit: Number(match[2]), windowSeconds: Number(match[3]) });
+    }
+    return rules;
+}
+
+function ruleFor(pathname: string, rules: RateLimitRule[]): RateLimitRule | null {
+    let best: RateLimitRule | null = null;
+    for (const rule of rules) {
+        const matches = rule.route === '*'
+            || pathname === rule.route
+            || pathname.startsWith(rule.route.endsWith('/') ? rule.route : `${rule.route}/`);
+        if (!matches) continue;
+        if (!best || best.route === '*' || (rule.route !== '*' && rule.route.length > best.route.length)) {
+            best = rule;
+        }
+    }
+    return best;
+}
+
+/**
+ * Who is asking: the connecting IP Cloudflare reports
+ */
+export function clientId(request: Request): string {
+    return request.headers.get('CF-Connecting-IP') || 'anonymous';
+}
+
+/**
+ * Seconds until the weighted count leaves room for one more request
+ */
+function secondsUntilAllowed(previous: number, current: number, elapsed: number, rule: RateLimitRule): number {
+    const w = rule.windowSeconds;
+    const room = rule.limit - 1;
+    if (room < 0) return w - elapsed;
+    if (current <= room) {
+        // Still in this window, once enough of the previous one has slid out
+        return w * (1 - (room - current) / previous) - elapsed;
+    }
+    // In the next window, where this window's count becomes the previous one
+    return (w - elapsed) + w * (1 - room / current);
+}
+
+/**
+ * A client's counts for this window, carrying the last window's count over
+ * as the previous one
+ */
+function countsFor(key: string, window: number, windowMs: number, now: number): WindowCounts {
+    const counts = counters.get(key);
+    if (counts?.window === window) return counts;
+
+    if (counters.size >= MAX_TRACKED_CLIENTS) {
+        for (const [tracked, { expiresAt }] of counters) {
+            if (expiresAt <= now) counters.delete(tracked);
+        }
+    }
+
+    const rolled = {
+        window,
+        current: 0,
+        previous: counts?.window === window - 1 ? counts.current : 0,
+        // Needed until the end of the next window, where it is the previous count
+        expiresAt: (window + 2) * windowMs,
+    };
+    counters.set(key, rolled);
+    return rolled;
+}
+
+/**
+ * Count a request against its route's limit. Rejected requests are not counted,
+ * so a client that backs off gets its quota back on schedule.
+ */
+export function checkRateLimit(env: RateLimitEnv, request: Request, pathname: string, now = Date.now()): RateLimitResult {
+    const rule = ruleFor(pathname, parseRateLimits(env.RATE_LIMITS));
+    if (!rule) return { allowed: true, headers: {} };
+
+    const windowMs = rule.windowSeconds * 1000;
+    const window = Math.floor(now / windowMs);
+    const elapsed = (now - window * windowMs) / 1000;
+    const counts = countsFor(`${rule.route}:${clientId(request)}`, window, windowMs, now);
+    const { previous, current } = counts;
+    const weighted = previous * (1 - elapsed / rule.windowSeconds) + current;
+
+    const headers: Record<string, string> = {
+        'X-RateLimit-Limit': String(rule.limit),
+        'X-RateLimit-Reset': String(Math.ceil(rule.windowSeconds - elapsed)),
+    };
+
+    if (weighted + 1 > rule.limit) {
+        const retryAfter = Math.max(1, Math.ceil(secondsUntilAllowed(previous, current, elapsed, rule)));
+        headers['X-RateLimit-Remaining'] = '0';
+        headers['Retry-After'] = String(retryAfter);
+        return { allowed: false, headers };
+    }
+
+    counts.current += 1;
+    headers['X-RateLimit-Remaining'] = String(Math.max(0, Math.floor(rule.limit - weighted - 1)));
+    return { allowed: true, headers };
+}
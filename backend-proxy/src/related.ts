@@ -0,0 +1,90 @@
+/**
+ * Related objects, from the relationship links the seeder writes into both
+ * indexes (data/content_index.json and data/index.json, bundled at deploy time).
+ * Each index links only to objects in it.
+ *
+ *   GET /related/:id?relation=   Objects linked to one catalog object
+ *
+ * Titles of curated objects are served in the locale picked from `lang` /
+ * Accept-Language; the rest keep their fallback text.
+ */
+
+import tierAIndexJson from '../../data/content_index.json';
+import objectsIndexJson from '../../data/index.json';
+import { RELATION_TYPES, Relation } from '../../shared/relations';
+import { localizeObject, objectLocales } from '../../shared/localization';
+import { findCuratedObject, decodePathId, CatalogSnapshot, defaultSnapshot } from './catalog';
+import { pickLocale, localeHeaders } from './locale';
+import { json } from './http';
+
+interface IndexEntry {
+    id: string;
+    title: string;
+    type: string;
+    thumbnailPath?: string | null;
+    related?: { id: string; relation: Relation }[];
+}
+
+type RelatedIndex = Map<string, IndexEntry>;
+
+/**
+ * One entry per object; Tier-A first, since those are the copies the app ships
+ */
+function mergeIndexes(...indexes: IndexEntry[][]): RelatedIndex {
+    const merged: RelatedIndex = new Map();
+    for (const entry of indexes.flat()) {
+        if (!merged.has(entry.id)) merged.set(entry.id, entry);
+    }
+    return merged;
+}
+
+const defaultIndex = mergeIndexes(tierAIndexJson as IndexEntry[], objectsIndexJson as IndexEntry[]);
+
+export function handleRelated(
+    request: Request,
+    url: URL,
+    corsHeaders: Record<string, string>,
+    index: RelatedIndex = defaultIndex,
+    snapshot: CatalogSnapshot = defaultSnapshot,
+): Response {
+    const name = decodePathId(url.pathname, '/related/');
+    if (name === null) return json({ error: 'Malformed percent-encoding in the object id' }, 400, corsHeaders);
+    const relation = url.searchParams.get('relation');
+    if (relation && !RELATION_TYPES.includes(relation as Relation)) {
+        return json({ error: `relation must be one of ${RELATION_TYPES.join(', ')}` }, 400, corsHeaders);
+    }
+
+    // Ids first, then the names /lookup knows for curated objects
+    const entry = index.get(name) || index.get(findCuratedObject(name, snapshot)?.object.id || '');
+    if (!entry) return json({ error: 'Not in the catalog' }, 404, corsHeaders);
+
+    const links = (entry.related || []).filter((link) => !relation || link.relation === relation);
+    const curated = (id: string) => snapshot.objects[id]?.object;
+    // Any locale at least one of the listed objects is translated into
+    const available = [entry.id, ...links.map((link) => link.id)]
+        .map(curated)
+        .flatMap((object) => (object ? objectLocales(object) : []));
+    const locale = pickLocale(request, url, [...new Set(available)]);
+    const title = (id: string) => {
+        const object = curated(id);
+        return object ? localizeObject(object, locale).title : index.get(id)?.title;
+    };
+
+    return json({
+        id: entry.id,
+        title: title(entry.id),
+        locale,
+        related: links.map((link) => ({
+            id: link.id,
+            relation: link.relation,
+            title: title(link.id),
+            type: index.get(link.id)?.type,
+            thumbnailPath: index.get(link.id)?.thumbnailPath ?? null,
+        })),
+    }, 200, {
+        ...corsHeaders,
+        ...localeHeaders(locale),
+        // Changes only on deploys
+        'Cache-Control': 'public, max-age=300'
+    });
+}
@@ -0,0 +1,322 @@
+/**
+ * Upstream client for calls to NASA
+ *
+ * - Per-request timeout, and retry with exponential backoff on 429/5xx,
+ *   timeouts and network errors (honouring a short Retry-After)
+ * - Per-host circuit breaker: after repeated failed calls the host is skipped
+ *   for a cool-off period. State lives in KV so every isolate sees it.
+ * - Last-known-good copies of payloads, served as STALE when NASA fails
+ * - A global daily budget of api.nasa.gov calls (every attempt counts, since
+ *   each spends NASA_API_KEY quota; the Image Library and image hosts need no
+ *   key and are not counted). Once it is used up, api.nasa.gov calls fail with
+ *   a 503 until midnight UTC, so those routes answer from their caches and
+ *   last-known-good copies only.
+ *
+ * Settings can be overridden with the UPSTREAM_* / CIRCUIT_* vars.
+ */
+
+import type { RequestTrace } from './observability';
+import { KV_MIN_TTL } from './http';
+
+export interface UpstreamEnv {
+    ASTRO_CACHE: KVNamespace;
+    trace?: RequestTrace; // Set per request by index.ts; attempts are noted on it for the request's log line
+    UPSTREAM_TIMEOUT_MS?: string;
+    UPSTREAM_RETRIES?: string;
+    UPSTREAM_BACKOFF_MS?: string;
+    UPSTREAM_DAILY_BUDGET?: string;
+    CIRCUIT_FAILURE_THRESHOLD?: string;
+    CIRCUIT_COOLOFF_SECONDS?: string;
+}
+
+interface UpstreamSettings {
+    timeoutMs: number;
+    retries: number;
+    backoffMs: number;
+    dailyBudget: number;
+    failureThreshold: number;
+    coolOffSeconds: number;
+}
+
+interface CircuitState {
+    failures: number;
+    openUntil?: number;
+}
+
+export interface BudgetUsage {
+    dailyBudget: number; // 0 = unlimited
+    used: number;
+    remaining: number | null;
+}
+
+export interface UpstreamProbe {
+    host: string;
+    reachable: boolean;
+    status: number | null;
+    latencyMs: number;
+    circuitOpen: boolean;
+    error?: string;
+}
+
+/**
+ * An upstream call that failed after retries, timed out or was skipped by the
+ * circuit breaker. `status` is what the Worker should answer with.
+ */
+export class UpstreamError extends Error {
+    status: number;
+    retryAfter?: number;
+
+    constructor(status: number, message: string, retryAfter?: number) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+}
+
+const DEFAULTS: UpstreamSettings = {
+    timeoutMs: 8000,
+    retries: 2,
+    backoffMs: 250,
+    // NASA allows 1,000 calls an hour per key; leave headroom for the seeder
+    dailyBudget: 20000,
+    failureThreshold: 5,
+    coolOffSeconds: 60,
+};
+
+// Longest we wait between retries; a longer Retry-After is not worth waiting for
+const MAX_BACKOFF_MS = 4000;
+
+const CIRCUIT_PREFIX = 'circuit:';
+const LAST_GOOD_PREFIX = 'lastgood:';
+const BUDGET_PREFIX = 'budget:';
+
+// The only host that takes NASA_API_KEY, so the only one the budget covers
+const BUDGETED_HOST = 'api.nasa.gov';
+
+// Last-known-good copies outlive every fresh cache entry (30 days for past APODs)
+const LAST_GOOD_TTL = 90 * 86400;
+
+// Free-text /lookup and /search answers make one copy per distinct query, so they only outlive their 24-hour edge cache entry
+export const QUERY_LAST_GOOD_TTL = 2 * 86400;
+
+function numberVar(value: string | undefined, fallback: number): number {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function upstreamSettings(env: UpstreamEnv): UpstreamSettings {
+    return {
+        timeoutMs: numberVar(env.UPSTREAM_TIMEOUT_MS, DEFAULTS.timeoutMs),
+        retries: numberVar(env.UPSTREAM_RETRIES, DEFAULTS.retries),
+        backoffMs: numberVar(env.UPSTREAM_BACKOFF_MS, DEFAULTS.backoffMs),
+        dailyBudget: numberVar(env.UPSTREAM_DAILY_BUDGET, DEFAULTS.dailyBudget),
+        failureThreshold: Math.max(1, numberVar(env.CIRCUIT_FAILURE_THRESHOLD, DEFAULTS.failureThreshold)),
+        coolOffSeconds: numberVar(env.CIRCUIT_COOLOFF_SECONDS, DEFAULTS.coolOffSeconds),
+    };
+}
+
+function sleep(ms: number): Promise<void> {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function retryAfterMs(response: Response): number | null {
+    const header = response.headers.get('Retry-After');
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+async function fetchWithTimeout(url: string, init: RequestInit, timeoutMs: number): Promise<Response> {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        return await fetch(url, { ...init, signal: controller.signal });
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Note an attempt on the request's trace. Only host and path: the query holds the API key.
+ */
+function traceAttempt(env: UpstreamEnv, target: URL, startedAt: number, status: number | null, error?: string): void {
+    env.trace?.upstream.push({
+        host: target.host,
+        path: target.pathname,
+        status,
+        durationMs: Date.now() - startedAt,
+        ...(error && { error }),
+    });
+}
+
+async function recordFailure(env: UpstreamEnv, host: string, previous: CircuitState | null, settings: UpstreamSettings): Promise<void> {
+    const failures = (previous?.failures || 0) + 1;
+    const state: CircuitState = { failures };
+    if (failures >= settings.failureThreshold) {
+        state.openUntil = Date.now() + settings.coolOffSeconds * 1000;
+    }
+    await env.ASTRO_CACHE.put(CIRCUIT_PREFIX + host, JSON.stringify(state), {
+        expirationTtl: Math.max(KV_MIN_TTL, settings.coolOffSeconds)
+    });
+}
+
+/**
+ * Count one api.nasa.gov call against today's budget (0 = unlimited); throws a
+ * 503 once it is used up. KV is eventually consistent, so the count is approximate.
+ */
+async function spendBudget(env: UpstreamEnv, settings: UpstreamSettings): Promise<void> {
+    if (settings.dailyBudget === 0) return;
+
+    const now = new Date();
+    const key = BUDGET_PREFIX + now.toISOString().slice(0, 10);
+    const used = Number(await env.ASTRO_CACHE.get(key)) || 0;
+    if (used >= settings.dailyBudget) {
+        const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+        const retryAfter = Math.ceil((midnight - now.getTime()) / 1000);
+        throw new UpstreamError(503, 'Daily upstream budget used up; serving cached data only', retryAfter);
+    }
+    try {
+        await env.ASTRO_CACHE.put(key, String(used + 1), { expirationTtl: 2 * 86400 });
+    } catch {
+        // KV takes one write per key per second; a busy second undercounts
+    }
+}
+
+/**
+ * api.nasa.gov calls counted against a UTC day's budget (default today)
+ */
+export async function budgetUsage(env: UpstreamEnv, date = new Date().toISOString().slice(0, 10)): Promise<BudgetUsage> {
+    const { dailyBudget } = upstreamSettings(env);
+    const used = Number(await env.ASTRO_CACHE.get(BUDGET_PREFIX + date)) || 0;
+    return { dailyBudget, used, remaining: dailyBudget === 0 ? null : Math.max(0, dailyBudget - used) };
+}
+
+/**
+ * fetch() with timeout, retries and the circuit breaker. Responses other than
+ * 429/5xx (including 4xx and redirects) are returned as-is; failures throw
+ * UpstreamError (502 bad upstream, 503 circuit open or budget used up, 504 timeout).
+ * Only api.nasa.gov calls spend the daily budget.
+ */
+export async function fetchUpstream(env: UpstreamEnv, url: string, init: RequestInit = {}): Promise<Response> {
+    const settings = upstreamSettings(env);
+    const target = new URL(url);
+    const host = target.host;
+
+    const circuit = await env.ASTRO_CACHE.get<CircuitState>(CIRCUIT_PREFIX + host, 'json');
+    if (circuit?.openUntil && circuit.openUntil > Date.now()) {
+        const retryAfter = Math.ceil((circuit.openUntil - Date.now()) / 1000);
+        throw new UpstreamError(503, `${host} is failing; skipping calls for ${retryAfter}s`, retryAfter);
+    }
+
+    let lastError = new UpstreamError(502, `${host} request failed`);
+    let waitMs = 0;
+
+    for (let attempt = 0; attempt <= settings.retries; attempt++) {
+        if (attempt > 0) {
+            await sleep(Math.max(waitMs, settings.backoffMs * 2 ** (attempt - 1)));
+        }
+
+        if (host === BUDGETED_HOST) await spendBudget(env, settings);
+
+        const startedAt = Date.now();
+        let response: Response;
+        try {
+            response = await fetchWithTimeout(url, init, settings.timeoutMs);
+        } catch (e: any) {
+            lastError = e?.name === 'AbortError'
+                ? new UpstreamError(504, `${host} timed out after ${settings.timeoutMs}ms`)
+                : new UpstreamError(502, `${host} unreachable: ${e?.message || e}`);
+            traceAttempt(env, target, startedAt, null, lastError.message);
+            waitMs = 0;
+            continue;
+        }
+        traceAttempt(env, target, startedAt, response.status);
+
+        if (response.status === 429 || response.status >= 500) {
+            lastError = new UpstreamError(502, `${host} returned HTTP ${response.status}`);
+            waitMs = retryAfterMs(response) ?? 0;
+            await response.body?.cancel();
+            if (waitMs > MAX_BACKOFF_MS) break;
+            continue;
+        }
+
+        if (circuit) await env.ASTRO_CACHE.delete(CIRCUIT_PREFIX + host);
+        return response;
+    }
+
+    await recordFailure(env, host, circuit, settings);
+    throw lastError;
+}
+
+/**
+ * Whether a host answers at all, for /health. Any status below 500 counts, so
+ * the probe needs no API key and spends no budget; no retries either.
+ */
+export async function probeUpstream(env: UpstreamEnv, origin: string): Promise<UpstreamProbe> {
+    const settings = upstreamSettings(env);
+    const target = new URL('/', origin);
+    const circuit = await env.ASTRO_CACHE.get<CircuitState>(CIRCUIT_PREFIX + target.host, 'json').catch(() => null);
+    const probe = { host: target.host, circuitOpen: Boolean(circuit?.openUntil && circuit.openUntil > Date.now()) };
+
+    const startedAt = Date.now();
+    try {
+        const response = await fetchWithTimeout(target.toString(), {}, settings.timeoutMs);
+        await response.body?.cancel();
+        traceAttempt(env, target, startedAt, response.status);
+        return { ...probe, reachable: response.status < 500, status: response.status, latencyMs: Date.now() - startedAt };
+    } catch (e: any) {
+        const error = e?.name === 'AbortError' ? `timed out after ${settings.timeoutMs}ms` : `unreachable: ${e?.message || e}`;
+        traceAttempt(env, target, startedAt, null, error);
+        return { ...probe, reachable: false, status: null, latencyMs: Date.now() - startedAt, error };
+    }
+}
+
+/**
+ * Keep a copy of a payload to fall back on when its upstream fails
+ */
+export async function saveLastGood(env: UpstreamEnv, key: string, body: string, ttl = LAST_GOOD_TTL): Promise<void> {
+    await env.ASTRO_CACHE.put(LAST_GOOD_PREFIX + key, body, { expirationTtl: ttl });
+}
+
+export async function readLastGood(env: UpstreamEnv, key: string): Promise<string | null> {
+    return await env.ASTRO_CACHE.get(LAST_GOOD_PREFIX + key);
+}
+
+/**
+ * Serve a last-known-good payload; briefly cacheable so clients retry soon
+ */
+export function staleResponse(body: string, corsHeaders: Record<string, string>): Response {
+    return new Response(body, {
+        headers: {
+            ...corsHeaders,
+            'Content-Type': 'application/json',
+            'X-Cache': 'STALE',
+            'Warning': '110 - "Response is Stale", 111 - "Revalidation Failed"',
+            'Cache-Control': 'public, max-age=60'
+        }
+    });
+}
+
+/**
+ * Run an upstream-backed handler; if NASA fails and a last-known-good copy
+ * exists, serve that instead
+ */
+export async function withLastGood(
+    env: UpstreamEnv,
+    key: string,
+    corsHeaders: Record<string, string>,
+    handler: () => Promise<Response>
+): Promise<Response> {
+    try {
+        return await handler();
+    } catch (e) {
+        if (!(e instanceof UpstreamError) || e.status < 500) throw e;
+        const stale = await readLastGood(env, key);
+        if (stale === null) throw e;
+        if (env.trace) env.trace.error = e.message;
+        return staleResponse(stale, corsHeaders);
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * Fake NASA server for the Worker tests
+ *
+ * Replays the canned responses in ./fixtures (trimmed to the real API shapes)
+ * over local HTTP. The harness sends each upstream request to
+ * http://127.0.0.1:<port>/<original host>/<path>.
+ *
+ *   api.nasa.gov/planetary/apod   apod-YYYY-MM-DD.json (date, start_date/end_date, count, latest)
+ *   api.nasa.gov/mars-photos      mars-<rover>-sol-<sol>.json, filtered by camera, 25 per page
+ *   api.nasa.gov/neo/rest/v1/feed neo-feed.json, the days from start_date to end_date
+ *   api.nasa.gov/EPIC/api         epic-<collection>-YYYY-MM-DD.json (a date, or the latest)
+ *   images-api.nasa.gov/search    search-<q slug>[-page-N].json, or an empty collection
+ *   image hosts                   a tiny JPEG for any *.jpg path
+ *
+ * api.nasa.gov replies carry X-RateLimit-Limit / X-RateLimit-Remaining like
+ * the real API, counting down from 1000.
+ *
+ * `fail(host, status, times)` makes a host return an error (every time, or the
+ * next `times` requests), `slow(host, ms)` delays its replies, `route(host,
+ * path, reply)` overrides a single path, and `requests` records what the
+ * Worker asked for.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const IMAGE_HOSTS = [
+    'images-assets.nasa.gov', 'apod.nasa.gov', 'img.youtube.com', 'i.vimeocdn.com',
+    'mars.nasa.gov', 'mars.jpl.nasa.gov', 'epic.gsfc.nasa.gov',
+];
+const FAKE_HOSTS = ['api.nasa.gov', 'images-api.nasa.gov', ...IMAGE_HOSTS];
+
+// Hourly requests per api.nasa.gov key
+const NASA_RATE_LIMIT = 1000;
+
+// NASA's page size for rover photos
+const MARS_PAGE_SIZE = 25;
+
+// Smallest JPEG-shaped body: SOI, APP0 header, EOI
+const JPEG_BYTES = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0xff, 0xd9]);
+
+function slug(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function readFixture(name) {
+    const file = path.join(FIXTURES_DIR, name);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+function apodFixtures() {
+    return fs.readdirSync(FIXTURES_DIR)
+        .filter(name => /^apod-\d{4}-\d{2}-\d{2}\.json$/.test(name))
+        .sort()
+        .map(readFixture);
+}
+
+function json(status, body) {
+    return { status, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) };
+}
+
+function replyApod(query) {
+    // Like the real API, thumbnail_url is only included with thumbs=true
+    const withThumbs = query.get('thumbs') === 'true';
+    const shape = (entry) => {
+        const copy = { ...entry };
+        if (!withThumbs) delete copy.thumbnail_url;
+        return copy;
+    };
+    const all = apodFixtures();
+
+    if (query.has('count')) {
+        return json(200, all.slice(0, Number(query.get('count'))).map(shape));
+    }
+    if (query.has('start_date')) {
+        const start = query.get('start_date');
+        const end = query.get('end_date') || all[all.length - 1].date;
+        return json(200, all.filter(entry => entry.date >= start && entry.date <= end).map(shape));
+    }
+    if (query.has('date')) {
+        const entry = all.find(item => item.date === query.get('date'));
+        return entry ? json(200, shape(entry)) : json(404, { code: 404, msg: `No data available for date: ${query.get('date')}` });
+    }
+    return json(200, shape(all[all.length - 1]));
+}
+
+function replyMarsPhotos(rover, query) {
+    const fixture = readFixture(`mars-${rover}-sol-${query.get('sol')}.json`) || { photos: [] };
+    const camera = (query.get('camera') || '').toUpperCase();
+    const page = Number(query.get('page') || '1');
+    const photos = fixture.photos.filter(photo => !camera || photo.camera.name === camera);
+    return json(200, { photos: photos.slice((page - 1) * MARS_PAGE_SIZE, page * MARS_PAGE_SIZE) });
+}
+
+function replyNeoFeed(query) {
+    const feed = readFixture('neo-feed.json');
+    const start = query.get('start_date');
+    const end = query.get('end_date') || start;
+    const days = Object.entries(feed.near_earth_objects).filter(([date]) => date >= start && date <= end);
+    return json(200, {
+        ...feed,
+        element_count: days.reduce((sum, [, neos]) => sum + neos.length, 0),
+        near_earth_objects: Object.fromEntries(days),
+    });
+}
+
+function replyEpic(collection, date) {
+    if (!date) {
+        const latest = fs.readdirSync(FIXTURES_DIR)
+            .filter(name => name.startsWith(`epic-${collection}-`))
+            .sort()
+            .pop();
+        date = latest ? latest.slice(`epic-${collection}-`.length, -'.json'.length) : '';
+    }
+    return json(200, readFixture(`epic-${collection}-${date}.json`) || []);
+}
+
+function replySearch(query) {
+    const page = Number(query.get('page') || '1');
+    const name = `search-${slug(query.get('q') || query.get('nasa_id') || '')}${page > 1 ? `-page-${page}` : ''}.json`;
+    const fixture = readFixture(name);
+    if (fixture) return json(200, fixture);
+
+    return json(200, { collection: { version: '1.0', items: [], metadata: { total_hits: 0 } } });
+}
+
+/**
+ * Start the server on a free port; resolves once it is listening
+ */
+function startFakeNasa() {
+    const requests = [];
+    const failures = new Map();
+    const delays = new Map();
+    const routes = new Map();
+    let apiKeyCalls = 0;
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://fake.local');
+        const [, host, ...rest] = url.pathname.split('/');
+        const pathname = `/${rest.join('/')}`;
+        requests.push({ host, path: pathname, query: Object.fromEntries(url.searchParams) });
+
+        let reply;
+        let match;
+        const failure = failures.get(host);
+        if (failure && failure.times > 0) {
+            failure.times--;
+            reply = json(failure.status, { error: 'Service Unavailable' });
+        } else if (routes.has(`${host}${pathname}`)) {
+            reply = routes.get(`${host}${pathname}`);
+        } else if (host === 'api.nasa.gov' && !url.searchParams.get('api_key')) {
+            reply = json(403, { error: { code: 'API_KEY_MISSING' } });
+        } else if (host === 'api.nasa.gov' && pathname === '/planetary/apod') {
+            reply = replyApod(url.searchParams);
+        } else if (host === 'api.nasa.gov' && (match = pathname.match(/^\/mars-photos\/api\/v1\/rovers\/([a-z]+)\/photos$/))) {
+            reply = replyMarsPhotos(match[1], url.searchParams);
+        } else if (host === 'api.nasa.gov' && pathname === '/neo/rest/v1/feed') {
+            reply = replyNeoFeed(url.searchParams);
+        } else if (host === 'api.nasa.gov' && (match = pathname.match(/^\/EPIC\/api\/(natural|enhanced)(?:\/date\/(\d{4}-\d{2}-\d{2}))?$/))) {
+            reply = replyEpic(match[1], match[2]);
+        } else if (host === 'images-api.nasa.gov' && pathname === '/search') {
+            reply = replySearch(url.searchParams);
+        } else if (IMAGE_HOSTS.includes(host) && /\.jpg$/i.test(pathname)) {
+            reply = { status: 200, headers: { 'Content-Type': 'image/jpeg' }, body: JPEG_BYTES };
+        } else {
+            reply = json(404, { error: 'Not Found' });
+        }
+
+        const headers = { ...reply.headers };
+        if (host === 'api.nasa.gov') {
+            apiKeyCalls++;
+            headers['X-RateLimit-Limit'] = String(NASA_RATE_LIMIT);
+            headers['X-RateLimit-Remaining'] = String(Math.max(0, NASA_RATE_LIMIT - apiKeyCalls));
+        }
+
+        setTimeout(() => {
+            res.writeHead(reply.status || 200, headers);
+            res.end(reply.body);
+        }, delays.get(host) || 0);
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                origin: `http://127.0.0.1:${port}`,
+                requests,
+                fail(host, status = 503, times = Infinity) {
+                    failures.set(host, { status, times });
+                },
+                slow(host, ms) {
+                    delays.set(host, ms);
+                },
+                route(host, pathname, reply) {
+                    routes.set(`${host}${pathname}`, reply);
+                },
+                reset() {
+                    failures.clear();
+                    delays.clear();
+                    routes.clear();
+                    requests.length = 0;
+                },
+                close: () => new Promise((done) => {
+                    server.closeAllConnections();
+                    server.close(done);
+                }),
+            });
+        });
+    });
+}
+
+module.exports = {
+    FAKE_HOSTS,
+    JPEG_BYTES,
+    startFakeNasa,
+};
@@ -0,0 +1,239 @@
+/**
+ * Local test harness for the Worker
+ *
+ * Bundles src/index.ts with esbuild and calls its fetch handler in Node with
+ * an in-memory KV namespace, an in-memory Cache API (caches.default) and a
+ * fetch shim that sends NASA traffic to the fake server in ./fakeNasa.js.
+ * Nothing leaves the machine: fetches to any other host throw. The Worker's
+ * JSON log lines are collected in `logs` instead of being printed.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const esbuild = require('esbuild');
+
+const { startFakeNasa, FAKE_HOSTS } = require('./fakeNasa');
+
+const WORKER_ENTRY = path.join(__dirname, '..', 'src', 'index.ts');
+const WORKER_ORIGIN = 'https://worker.test';
+
+// Cloudflare rejects KV TTLs below a minute; mirror that so bad TTLs fail here too
+const KV_MIN_TTL = 60;
+
+let workerPromise;
+
+// The Worker keeps rate limit counts in memory, shared by every harness in
+// this process; each harness sends from an address of its own to keep them apart
+let harnessCount = 0;
+
+/**
+ * Bundle the Worker once per test process
+ */
+function loadWorker() {
+    if (!workerPromise) {
+        workerPromise = (async () => {
+            const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'astro-worker-'));
+            process.on('exit', () => fs.rmSync(outDir, { recursive: true, force: true }));
+
+            const outfile = path.join(outDir, 'worker.mjs');
+            await esbuild.build({
+                entryPoints: [WORKER_ENTRY],
+                bundle: true,
+                format: 'esm',
+                platform: 'browser',
+                target: 'es2021',
+                outfile,
+                logLevel: 'silent',
+            });
+            return (await import(pathToFileURL(outfile).href)).default;
+        })();
+    }
+    return workerPromise;
+}
+
+/**
+ * KVNamespace stand-in; `store` is exposed so tests can check keys and TTLs
+ */
+class MemoryKV {
+    constructor() {
+        this.store = new Map();
+    }
+
+    async get(key, type = 'text') {
+        const entry = this.store.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            this.store.delete(key);
+            return null;
+        }
+        return type === 'json' ? JSON.parse(entry.value) : entry.value;
+    }
+
+    async put(key, value, options = {}) {
+        const ttl = options.expirationTtl;
+        if (ttl !== undefined && !(ttl >= KV_MIN_TTL)) {
+            throw new Error(`KV put() failed: invalid expirationTtl ${ttl} for "${key}"`);
+        }
+        this.store.set(key, {
+            value: String(value),
+            expirationTtl: ttl,
+            expiresAt: ttl !== undefined ? Date.now() + ttl * 1000 : null,
+        });
+    }
+
+    async delete(key) {
+        this.store.delete(key);
+    }
+
+    async list({ prefix = '' } = {}) {
+        const keys = [...this.store.keys()].filter(name => name.startsWith(prefix)).sort();
+        return { keys: keys.map(name => ({ name })), list_complete: true };
+    }
+}
+
+/**
+ * Cache API stand-in for caches.default, keyed by request URL
+ */
+class MemoryCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    static keyOf(request) {
+        return typeof request === 'string' ? request : request.url;
+    }
+
+    async match(request) {
+        const entry = this.entries.get(MemoryCache.keyOf(request));
+        if (!entry) return undefined;
+        return new Response(entry.body, { status: entry.status, headers: entry.headers });
+    }
+
+    async put(request, response) {
+        // Like Workers, drop responses the cache would refuse
+        const cacheControl = response.headers.get('Cache-Control') || '';
+        const body = await response.arrayBuffer();
+        if (response.status === 206 || /no-store|private/.test(cacheControl)) return;
+
+        this.entries.set(MemoryCache.keyOf(request), {
+            body,
+            status: response.status,
+            headers: [...response.headers],
+        });
+    }
+
+    async delete(request) {
+        return this.entries.delete(MemoryCache.keyOf(request));
+    }
+}
+
+function createExecutionContext() {
+    const pending = [];
+    return {
+        waitUntil(promise) {
+            pending.push(promise);
+        },
+        passThroughOnException() { },
+        settle: () => Promise.allSettled(pending),
+    };
+}
+
+/**
+ * Route fetches for NASA hosts to the fake server, keeping the original host
+ * as the first path segment
+ */
+function installFetch(fake) {
+    const realFetch = globalThis.fetch;
+
+    globalThis.fetch = async (input, init) => {
+        const url = new URL(typeof input === 'string' || input instanceof URL ? input : input.url);
+        if (!FAKE_HOSTS.includes(url.hostname)) {
+            throw new TypeError(`Unexpected outbound fetch to ${url.hostname} in tests`);
+        }
+        return realFetch(`${fake.origin}/${url.hostname}${url.pathname}${url.search}`, init);
+    };
+
+    return () => {
+        globalThis.fetch = realFetch;
+    };
+}
+
+/**
+ * Collect JSON lines logged through console.log/warn/error; anything else is
+ * printed as usual
+ */
+function captureLogs(logs) {
+    const originals = {};
+    for (const level of ['log', 'warn', 'error']) {
+        originals[level] = console[level];
+        console[level] = (...args) => {
+            let entry = null;
+            try {
+                if (args.length === 1 && typeof args[0] === 'string') entry = JSON.parse(args[0]);
+            } catch { }
+            if (entry && typeof entry === 'object') logs.push(entry);
+            else originals[level](...args);
+        };
+    }
+
+    return () => Object.assign(console, originals);
+}
+
+/**
+ * Start a fresh Worker environment. `request(path)` runs the fetch handler
+ * and waits for its waitUntil work (cache writes) before resolving.
+ */
+async function createHarness(vars = {}) {
+    const worker = await loadWorker();
+    const fake = await startFakeNasa();
+    const kv = new MemoryKV();
+    const cache = new MemoryCache();
+
+    globalThis.caches = { default: cache };
+    const restoreFetch = installFetch(fake);
+    const logs = [];
+    const restoreConsole = captureLogs(logs);
+    const clientIp = `2001:db8::${(++harnessCount).toString(16)}`;
+
+    const env = {
+        NASA_API_KEY: 'TEST_KEY',
+        NASA_IMAGE_API_URL: 'https://images-api.nasa.gov',
+        ASTRO_CACHE: kv,
+        // Keep retries fast; tests that need the real timings override these
+        UPSTREAM_BACKOFF_MS: '1',
+        // Flush metrics on every request, so no counts carry over between tests
+        METRICS_FLUSH_SECONDS: '0',
+        // Probe NASA on every /health, so no probes carry over between tests
+        HEALTH_PROBE_SECONDS: '0',
+        ...vars,
+    };
+
+    async function request(pathAndQuery, init = {}) {
+        const headers = new Headers(init.headers);
+        if (!headers.has('CF-Connecting-IP')) headers.set('CF-Connecting-IP', clientIp);
+
+        const ctx = createExecutionContext();
+        const response = await worker.fetch(new Request(`${WORKER_ORIGIN}${pathAndQuery}`, { ...init, headers }), env, ctx);
+        await ctx.settle();
+        return response;
+    }
+
+    async function close() {
+        restoreFetch();
+        restoreConsole();
+        delete globalThis.caches;
+        await fake.close();
+    }
+
+    return { request, env, kv, cache, fake, logs, close };
+}
+
+module.exports = {
+    WORKER_ORIGIN,
+    MemoryKV,
+    MemoryCache,
+    createExecutionContext,
+    createHarness,
+};
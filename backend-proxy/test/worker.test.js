@@ -0,0 +1,930 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHarness, WORKER_ORIGIN } = require('./harness');
+const { JPEG_BYTES } = require('./fakeNasa');
+const snapshot = require('../../data/catalog_sync.json');
+
+const ARCHIVE_TTL = 30 * 86400;
+
+let h;
+test.beforeEach(async () => {
+    h = await createHarness();
+});
+test.afterEach(async () => {
+    await h.close();
+});
+
+const upstreamCalls = host => h.fake.requests.filter(req => req.host === host);
+const METRICS_AUTH = { headers: { Authorization: 'Bearer s3cret' } };
+const proxiedSource = imageUrl => new URL(imageUrl).searchParams.get('url');
+
+// ============================================================================
+// /apod
+// ============================================================================
+
+test('/apod is a MISS, then a HIT served from KV', async () => {
+    const first = await h.request('/apod');
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.headers.get('X-Cache'), 'MISS');
+    const body = await first.json();
+    assert.strictEqual(body.id, '2024-01-12');
+
+    const second = await h.request('/apod');
+    assert.strictEqual(second.headers.get('X-Cache'), 'HIT');
+    assert.deepStrictEqual(await second.json(), body);
+    assert.strictEqual(upstreamCalls('api.nasa.gov').length, 1);
+});
+
+test('/apod asks NASA for video thumbnails and caches each day under its date', async () => {
+    await h.request('/apod');
+
+    const [call] = upstreamCalls('api.nasa.gov');
+    assert.strictEqual(call.query.thumbs, 'true');
+    assert.strictEqual(call.query.api_key, 'TEST_KEY');
+
+    // The fixture's latest day is in the past, so it is cached as an archive day
+    assert.strictEqual(h.kv.store.get('apod:2024-01-12').expirationTtl, ARCHIVE_TTL);
+    // ...while "latest" is rechecked soon, since today's picture is not out yet
+    assert.strictEqual(h.kv.store.get('apod:latest').expirationTtl, 600);
+});
+
+test('/apod?date= serves a still image from its HD URL', async () => {
+    const res = await h.request('/apod?date=2024-01-10');
+    const body = await res.json();
+
+    assert.strictEqual(res.headers.get('Cache-Control'), 'public, max-age=86400');
+    assert.strictEqual(proxiedSource(body.imageUrl), 'https://apod.nasa.gov/apod/image/2401/OrionWide_Observer_4000.jpg');
+    assert.strictEqual(body.metadata.copyright, 'Jane Observer');
+    assert.strictEqual(body.metadata.mediaType, 'image');
+    assert.deepStrictEqual([body.credit, body.license, body.sourceUrl], ['Jane Observer', 'copyrighted', 'https://apod.nasa.gov/apod/ap240110.html']);
+});
+
+test('a video APOD with thumbnail_url uses the thumbnail', async () => {
+    const body = await (await h.request('/apod?date=2024-01-11')).json();
+
+    assert.strictEqual(body.metadata.mediaType, 'video');
+    assert.strictEqual(proxiedSource(body.imageUrl), 'https://img.youtube.com/vi/abc123XYZ_0/0.jpg');
+    assert.strictEqual(body.metadata.copyright, 'Public Domain');
+    assert.deepStrictEqual([body.credit, body.license], ['NASA', 'public-domain']);
+});
+
+test('a video APOD without thumbnail_url falls back to the default image', async () => {
+    const body = await (await h.request('/apod?date=2024-01-12')).json();
+
+    assert.strictEqual(body.metadata.mediaType, 'video');
+    assert.match(proxiedSource(body.imageUrl), /^https:\/\/apod\.nasa\.gov\/apod\/image\/.+\.jpg$/);
+});
+
+test('/apod?start=&end= fetches only the days missing from KV', async () => {
+    await h.request('/apod?date=2024-01-11');
+    h.fake.requests.length = 0;
+
+    const res = await h.request('/apod?start=2024-01-10&end=2024-01-12');
+    assert.strictEqual(res.headers.get('X-Cache'), 'PARTIAL');
+    assert.deepStrictEqual((await res.json()).map(day => day.id), ['2024-01-10', '2024-01-11', '2024-01-12']);
+
+    const [call] = upstreamCalls('api.nasa.gov');
+    assert.deepStrictEqual([call.query.start_date, call.query.end_date], ['2024-01-10', '2024-01-12']);
+
+    const again = await h.request('/apod?start=2024-01-10&end=2024-01-12');
+    assert.strictEqual(again.headers.get('X-Cache'), 'HIT');
+});
+
+test('/apod rejects bad dates and oversized ranges', async () => {
+    for (const query of ['date=2024-02-30', 'date=1990-01-01', 'date=yesterday', 'start=2024-01-12&end=2024-01-10', 'start=2023-01-01&end=2023-03-01']) {
+        const res = await h.request(`/apod?${query}`);
+        assert.strictEqual(res.status, 400, query);
+        assert.ok((await res.json()).error, query);
+    }
+    assert.strictEqual(upstreamCalls('api.nasa.gov').length, 0);
+});
+
+test('/apod/random is not cached but stores each day in KV', async () => {
+    const res = await h.request('/apod/random?count=2');
+    assert.strictEqual(res.headers.get('Cache-Control'), 'no-store');
+    assert.strictEqual((await res.json()).length, 2);
+    assert.ok(h.kv.store.has('apod:2024-01-10'));
+
+    assert.strictEqual((await h.request('/apod/random?count=50')).status, 400);
+});
+
+test('an upstream 5xx on /apod is retried, then a JSON 502 that caches nothing', async () => {
+    h.fake.fail('api.nasa.gov', 503);
+
+    const res = await h.request('/apod');
+    assert.strictEqual(res.status, 502);
+    assert.match((await res.json()).error, /503/);
+    assert.strictEqual(upstreamCalls('api.nasa.gov').length, 3, 'first try plus two retries');
+    assert.ok(![...h.kv.store.keys()].some(key => key.startsWith('apod:')));
+});
+
+// ============================================================================
+// /lookup and /search
+// ============================================================================
+
+test('/lookup returns the best match, then serves it from the edge cache', async () => {
+    const res = await h.request('/lookup?q=Sirius');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('X-Cache'), 'MISS');
+    const body = await res.json();
+    assert.strictEqual(body.type, 'star');
+    assert.ok(body.imageUrl.startsWith(`${WORKER_ORIGIN}/image-proxy?url=`));
+    assert.ok(body.facts, 'known objects are enriched');
+
+    const again = await h.request('/lookup?q=Sirius');
+    assert.strictEqual(again.headers.get('X-Cache'), 'HIT');
+    assert.strictEqual(upstreamCalls('images-api.nasa.gov').length, 1);
+});
+
+test('/lookup returns a gallery led by the main image', async () => {
+    const body = await (await h.request('/lookup?q=Sirius')).json();
+    assert.deepStrictEqual(body.media.map(media => media.nasaId).sort(), ['GSFC-sirius-dog-star', 'PIA-sirius-xray']);
+    assert.strictEqual(body.media[0].nasaId, body.id);
+    assert.strictEqual(body.media[0].credit, body.credit);
+    for (const media of body.media) {
+        assert.strictEqual(media.mediaType, 'image');
+        assert.match(media.url, /^https:\/\/worker\.test\/image-proxy\?url=.+%7Emedium\.jpg$/);
+        assert.match(media.credit, /^NASA\/(JPL|GSFC)$/);
+        assert.strictEqual(media.license, 'public-domain');
+        assert.strictEqual(media.sourceUrl, `https://images.nasa.gov/details/${media.nasaId}`);
+        assert.strictEqual(media.date, '2010-01-01');
+    }
+});
+
+test('/lookup with no results is a 404', async () => {
+    const res = await h.request('/lookup?q=No%20such%20thing');
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual((await res.json()).error, 'No results found');
+});
+
+test('/lookup without q is a 400', async () => {
+    assert.strictEqual((await h.request('/lookup')).status, 400);
+});
+
+test('an upstream 5xx on /lookup returns a JSON 502 and is not cached', async () => {
+    h.fake.fail('images-api.nasa.gov', 502);
+    const res = await h.request('/lookup?q=Sirius');
+    assert.strictEqual(res.status, 502);
+    assert.ok((await res.json()).error);
+    assert.strictEqual(h.cache.entries.size, 0);
+});
+
+test('/search pages through results', async () => {
+    const first = await (await h.request('/search?q=Andromeda&pageSize=2')).json();
+    assert.strictEqual(first.totalHits, 3);
+    assert.strictEqual(first.results.length, 2);
+    assert.strictEqual(first.nextPage, 2);
+
+    const second = await (await h.request(new URL(first.next).pathname + new URL(first.next).search)).json();
+    assert.strictEqual(second.page, 2);
+    assert.strictEqual(second.results.length, 1);
+    assert.strictEqual(second.nextPage, null);
+});
+
+test('/search/local searches the bundled Tier-A index without calling NASA', async () => {
+    const res = await h.request('/search/local?q=orion%20neb');
+    assert.strictEqual(res.status, 200);
+    const body = await res.json();
+    assert.strictEqual(body.results[0].id, 'orion-nebula');
+    assert.strictEqual(body.results[0].path, 'tier_a/orion-nebula.json');
+
+    const byAlias = await (await h.request('/search/local?q=M104')).json();
+    assert.deepStrictEqual(byAlias.results.map(r => r.id), ['sombrero-galaxy']);
+    const m31 = await (await h.request('/search/local?q=M31')).json();
+    assert.deepStrictEqual(m31.results.map(r => r.id), ['andromeda-galaxy']);
+
+    const filtered = await (await h.request('/search/local?q=nebula&type=nebula&limit=2')).json();
+    assert.strictEqual(filtered.results.length, 2);
+    assert.ok(filtered.results.every(r => r.type === 'nebula'));
+
+    assert.strictEqual(h.fake.requests.length, 0);
+});
+
+test('/search/local rejects a missing query and bad limits', async () => {
+    assert.strictEqual((await h.request('/search/local')).status, 400);
+    assert.strictEqual((await h.request('/search/local?q=moon&limit=0')).status, 400);
+    assert.strictEqual((await h.request('/search/local?q=moon&type=comet')).status, 400);
+});
+
+// ============================================================================
+// /catalog
+// ============================================================================
+
+test('/catalog lists the curated objects with a version ETag', async () => {
+    const res = await h.request('/catalog');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('ETag'), `"catalog-v${snapshot.version}-en"`);
+
+    const body = await res.json();
+    assert.strictEqual(body.version, snapshot.version);
+    assert.deepStrictEqual(body.objects.map(o => o.id), Object.keys(snapshot.objects));
+    assert.ok(body.objects.every(o => o.title && o.type && Number.isInteger(o.version)));
+
+    const again = await h.request('/catalog', { headers: { 'If-None-Match': res.headers.get('ETag') } });
+    assert.strictEqual(again.status, 304);
+});
+
+test('/catalog/:id serves the seeded object; unknown ids are a 404, malformed ones a 400', async () => {
+    const body = await (await h.request('/catalog/jupiter')).json();
+    assert.deepStrictEqual(body, snapshot.objects.jupiter.object);
+
+    assert.strictEqual((await h.request('/catalog/not-a-thing')).status, 404);
+    assert.strictEqual((await h.request('/catalog/%E0%A4%A')).status, 400);
+});
+
+test('/catalog/changes returns what changed after a version', async () => {
+    const all = await (await h.request('/catalog/changes?since=0')).json();
+    assert.strictEqual(all.updated.length, Object.keys(snapshot.objects).length);
+
+    const none = await (await h.request(`/catalog/changes?since=${snapshot.version}`)).json();
+    assert.deepStrictEqual([none.updated, none.removed], [[], []]);
+
+    for (const since of ['', 'abc', '-1', String(snapshot.version + 1)]) {
+        assert.strictEqual((await h.request(`/catalog/changes?since=${since}`)).status, 400, since);
+    }
+});
+
+test('/lookup prefers a curated object over NASA', async () => {
+    const res = await h.request('/lookup?q=Jupiter');
+    assert.strictEqual(res.headers.get('X-Source'), 'catalog');
+    assert.deepStrictEqual(await res.json(), snapshot.objects.jupiter.object);
+    assert.strictEqual(upstreamCalls('images-api.nasa.gov').length, 0);
+});
+
+test('/lookup resolves reference names to the curated object whatever its id', async () => {
+    for (const name of ['Andromeda', 'M31']) {
+        const res = await h.request(`/lookup?q=${encodeURIComponent(name)}`);
+        assert.strictEqual(res.headers.get('X-Source'), 'catalog', name);
+        assert.strictEqual((await res.json()).id, 'andromeda-galaxy', name);
+    }
+    assert.strictEqual(upstreamCalls('images-api.nasa.gov').length, 0);
+});
+
+test('catalog routes and curated /lookup answer in the negotiated locale', async () => {
+    const spanish = { headers: { 'Accept-Language': 'es-MX,es;q=0.9,en;q=0.5' } };
+    const crab = snapshot.objects['crab-nebula'].object;
+
+    const res = await h.request('/catalog/crab-nebula', spanish);
+    assert.strictEqual(res.headers.get('Content-Language'), 'es');
+    assert.strictEqual(res.headers.get('Vary'), 'Accept-Language');
+    const body = await res.json();
+    assert.strictEqual(body.locale, 'es');
+    assert.strictEqual(body.title, crab.localized.title.es);
+    assert.strictEqual(body.description, crab.localized.description.es);
+    assert.ok(!('localized' in body));
+
+    // lang= wins over Accept-Language
+    const english = await (await h.request('/catalog/crab-nebula?lang=en', spanish)).json();
+    assert.strictEqual(english.title, crab.title);
+
+    const lookup = await h.request('/lookup?q=Crab%20Nebula&lang=es');
+    assert.strictEqual((await lookup.json()).title, crab.localized.title.es);
+
+    // Untranslated objects fall back to English
+    const jupiter = await h.request('/catalog/jupiter', spanish);
+    assert.strictEqual(jupiter.headers.get('Content-Language'), 'en');
+    assert.strictEqual((await jupiter.json()).title, snapshot.objects.jupiter.object.title);
+
+    const list = await h.request('/catalog', spanish);
+    assert.strictEqual(list.headers.get('ETag'), `"catalog-v${snapshot.version}-es"`);
+    assert.strictEqual((await list.json()).objects.find(o => o.id === 'crab-nebula').title, crab.localized.title.es);
+});
+
+test('/apod is English whatever the requested locale', async () => {
+    const res = await h.request('/apod?lang=es');
+    assert.strictEqual(res.headers.get('Content-Language'), 'en');
+    assert.strictEqual((await res.json()).locale, 'en');
+});
+
+// ============================================================================
+// /related
+// ============================================================================
+
+test('/related/:id lists linked objects both ways, from either index', async () => {
+    const moon = await (await h.request('/related/moon')).json();
+    assert.deepStrictEqual(moon.related.map(r => [r.relation, r.id]), [['parentBody', 'earth']]);
+
+    const earth = await (await h.request('/related/earth?relation=orbitedBy')).json();
+    assert.ok(earth.related.some(r => r.id === 'moon'));
+    assert.ok(earth.related.every(r => r.relation === 'orbitedBy'));
+
+    // By alias
+    const orion = await (await h.request('/related/M42')).json();
+    assert.strictEqual(orion.id, 'orion-nebula');
+    assert.ok(orion.related.some(r => r.id === 'milky-way' && r.relation === 'locatedIn'));
+
+    // By a name only the reference dataset knows
+    const andromeda = await (await h.request('/related/Andromeda')).json();
+    assert.strictEqual(andromeda.id, 'andromeda-galaxy');
+
+    // Betelgeuse is only in data/objects, and links to objects there
+    const betelgeuse = await (await h.request('/related/betelgeuse')).json();
+    const nebula = betelgeuse.related.find(r => r.id === 'orion-nebula');
+    assert.deepStrictEqual([nebula.relation, nebula.type], ['sameConstellation', 'nebula']);
+    assert.ok(nebula.title);
+    assert.strictEqual(upstreamCalls('images-api.nasa.gov').length, 0);
+});
+
+test('/related titles follow the negotiated locale', async () => {
+    const res = await h.request('/related/earth?lang=es');
+    assert.strictEqual(res.headers.get('Content-Language'), 'es');
+    const moon = (await res.json()).related.find(r => r.id === 'moon');
+    assert.strictEqual(moon.title, snapshot.objects.moon.object.localized.title.es);
+});
+
+test('/related rejects unknown relations and ids, and malformed ones', async () => {
+    assert.strictEqual((await h.request('/related/earth?relation=cousin')).status, 400);
+    assert.strictEqual((await h.request('/related/not-a-thing')).status, 404);
+    assert.strictEqual((await h.request('/related/%E0%A4%A')).status, 400);
+});
+
+// ============================================================================
+// /observe
+// ============================================================================
+
+test('/observe/:id plans rise, transit and set offline', async () => {
+    // Meeus, Astronomical Algorithms, example 15.a
+    const res = await h.request('/observe/venus?lat=42.3333&lon=-71.0833&date=1988-03-20');
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('Cache-Control'), /max-age=86400/);
+    const plan = await res.json();
+    assert.deepStrictEqual([plan.rise, plan.transit, plan.set].map(t => t.slice(0, 16)), ['1988-03-20T12:25', '1988-03-20T19:40', '1988-03-20T02:54']);
+    assert.ok(plan.moon.illumination >= 0 && plan.moon.illumination <= 1);
+
+    // By alias, with a local day and a time for the position
+    const m31 = await (await h.request('/observe/M31?lat=51.48&lon=0&date=2026-10-19&utcOffset=60&at=2026-10-19T22:00:00Z')).json();
+    assert.deepStrictEqual([m31.id, m31.body, m31.utcOffset, m31.position.at], ['andromeda', 'fixed', 60, '2026-10-19T22:00:00Z']);
+    assert.strictEqual(upstreamCalls('images-api.nasa.gov').length, 0);
+});
+
+test('/observe rejects bad parameters and objects with no place in the sky', async () => {
+    for (const query of ['', 'lat=91&lon=0', 'lat=10&lon=abc', 'lat=10&lon=0&date=2026-13-45', 'lat=10&lon=0&utcOffset=30.5', 'lat=10&lon=0&at=soon']) {
+        assert.strictEqual((await h.request(`/observe/mars?${query}`)).status, 400, query);
+    }
+    assert.strictEqual((await h.request('/observe/earth?lat=10&lon=0')).status, 404);
+    assert.strictEqual((await h.request('/observe/international-space-station?lat=10&lon=0')).status, 404);
+    assert.strictEqual((await h.request('/observe/%E0%A4%A?lat=10&lon=0')).status, 400);
+});
+
+// ============================================================================
+// /mars/photos, /neo and /epic
+// ============================================================================
+
+test('/mars/photos normalizes a sol of rover photos, then serves it from KV', async () => {
+    const first = await h.request('/mars/photos?rover=Curiosity&sol=1000');
+    assert.strictEqual(first.headers.get('X-Cache'), 'MISS');
+    const body = await first.json();
+    assert.deepStrictEqual([body.rover, body.sol, body.camera, body.page, body.nextPage], ['curiosity', 1000, null, 1, null]);
+    assert.strictEqual(body.results.length, 3);
+
+    const [photo] = body.results;
+    assert.strictEqual(photo.id, 'mars-curiosity-102693');
+    assert.strictEqual(photo.title, 'Curiosity, Front Hazard Avoidance Camera, sol 1000');
+    assert.strictEqual(proxiedSource(photo.imageUrl), 'https://mars.jpl.nasa.gov/msl-raw-images/proj/msl/redops/ods/surface/sol/01000/opgs/edr/fcam/FLB_486265257EDR_F0481570FHAZ00323M_.JPG');
+    assert.deepStrictEqual([photo.metadata.camera, photo.metadata.sol, photo.metadata.date], ['Front Hazard Avoidance Camera (FHAZ)', '1000', '2015-05-30']);
+    assert.deepStrictEqual([photo.credit, photo.license], ['NASA/JPL-Caltech', 'public-domain']);
+
+    const second = await h.request('/mars/photos?rover=curiosity&sol=1000');
+    assert.strictEqual(second.headers.get('X-Cache'), 'HIT');
+    assert.strictEqual(upstreamCalls('api.nasa.gov').length, 1);
+    // Curiosity is still downlinking, so its sols are refreshed daily
+    assert.strictEqual(h.kv.store.get('mars:curiosity:1000:all:1').expirationTtl, 86400);
+});
+
+test('/mars/photos filters by camera and keeps finished missions for 30 days', async () => {
+    const navcam = await (await h.request('/mars/photos?rover=curiosity&sol=1000&camera=NAVCAM')).json();
+    assert.deepStrictEqual(navcam.results.map(photo => photo.metadata.camera), ['Navigation Camera (NAVCAM)']);
+    assert.deepStrictEqual(upstreamCalls('api.nasa.gov')[0].query, { api_key: 'TEST_KEY', sol: '1000', page: '1', camera: 'navcam' });
+
+    const spirit = await (await h.request('/mars/photos?rover=spirit&sol=1')).json();
+    assert.deepStrictEqual(spirit.results, []);
+    assert.strictEqual(h.kv.store.get('mars:spirit:1:all:1').expirationTtl, ARCHIVE_TTL);
+
+    for (const query of ['sol=1000', 'rover=sojourner&sol=1', 'rover=curiosity', 'rover=curiosity&sol=-1', 'rover=curiosity&sol=1&camera=a/b', 'rover=curiosity&sol=1&page=0']) {
+        assert.strictEqual((await h.request(`/mars/photos?${query}`)).status, 400, query);
+    }
+});
+
+test('/image-proxy serves rover and EPIC images', async () => {
+    const { results: [photo] } = await (await h.request('/mars/photos?rover=curiosity&sol=1000')).json();
+    const { results: [earth] } = await (await h.request('/epic?date=2024-01-10')).json();
+    for (const imageUrl of [photo.imageUrl, earth.imageUrl]) {
+        const res = await h.request(imageUrl.slice(WORKER_ORIGIN.length));
+        assert.strictEqual(res.status, 200, imageUrl);
+        assert.strictEqual(res.headers.get('Content-Type'), 'image/jpeg');
+    }
+});
+
+test('/neo lists close approaches soonest first, without images', async () => {
+    const res = await h.request('/neo?start=2024-01-10&end=2024-01-11');
+    assert.strictEqual(res.headers.get('Cache-Control'), 'public, max-age=86400');
+    const body = await res.json();
+    assert.deepStrictEqual([body.start, body.end, body.count], ['2024-01-10', '2024-01-11', 3]);
+    assert.deepStrictEqual(body.results.map(neo => neo.title), ['465633 (2009 JR5)', '2024 AR2', '2010 PK9']);
+
+    const close = body.results[1];
+    assert.strictEqual(close.id, 'neo-54410424');
+    assert.strictEqual(close.imageUrl, null);
+    assert.deepStrictEqual(close.metadata, {
+        distance: '470,914 km (from Earth at closest approach)',
+        constellation: 'Unknown',
+        date: '2024-01-10',
+        diameter: '8–19 m',
+        velocity: '7.0 km/s',
+        hazardous: 'no',
+    });
+    assert.match(close.description, /1\.2 times the Moon's distance/);
+    assert.strictEqual(close.sourceUrl, 'https://ssd.jpl.nasa.gov/tools/sbdb_lookup.html#/?sstr=54410424');
+    assert.strictEqual(body.results[0].metadata.hazardous, 'yes');
+
+    // Past ranges only change with orbit refinements
+    assert.strictEqual(h.kv.store.get('neo:2024-01-10:2024-01-11').expirationTtl, 7 * 86400);
+    const [call] = upstreamCalls('api.nasa.gov');
+    assert.deepStrictEqual([call.path, call.query.start_date, call.query.end_date], ['/neo/rest/v1/feed', '2024-01-10', '2024-01-11']);
+});
+
+test('/neo checks its date range', async () => {
+    for (const query of ['start=2024-01-10&end=2024-01-18', 'start=2024-01-11&end=2024-01-10', 'start=2024-02-30']) {
+        assert.strictEqual((await h.request(`/neo?${query}`)).status, 400, query);
+    }
+    assert.strictEqual((await h.request('/neo?start=2024-01-10&end=2024-01-17')).status, 200);
+});
+
+test('/epic serves a day of Earth images from the EPIC archive', async () => {
+    const body = await (await h.request('/epic?date=2024-01-10')).json();
+    assert.deepStrictEqual([body.date, body.collection, body.results.length], ['2024-01-10', 'natural', 2]);
+
+    const [earth] = body.results;
+    assert.strictEqual(earth.id, 'epic-epic_1b_20240110003633');
+    assert.strictEqual(earth.title, 'Earth from DSCOVR, 2024-01-10 00:31:45 UTC');
+    assert.strictEqual(proxiedSource(earth.imageUrl), 'https://epic.gsfc.nasa.gov/archive/natural/2024/01/10/jpg/epic_1b_20240110003633.jpg');
+    assert.strictEqual(earth.sourceUrl, 'https://epic.gsfc.nasa.gov/archive/natural/2024/01/10/png/epic_1b_20240110003633.png');
+    assert.deepStrictEqual([earth.metadata.coordinates, earth.metadata.distance], ['21.5°S, 171.3°E', '1,503,000 km (from DSCOVR)']);
+    assert.strictEqual(earth.license, 'public-domain');
+    assert.strictEqual(h.kv.store.get('epic:natural:2024-01-10').expirationTtl, ARCHIVE_TTL);
+});
+
+test('/epic without a date serves the latest day, rechecked every few hours', async () => {
+    const body = await (await h.request('/epic')).json();
+    assert.strictEqual(body.date, '2024-01-10');
+    assert.strictEqual(upstreamCalls('api.nasa.gov')[0].path, '/EPIC/api/natural');
+    assert.strictEqual(h.kv.store.get('epic:natural:latest').expirationTtl, 3 * 3600);
+
+    const enhanced = await (await h.request('/epic?collection=enhanced&date=2024-01-10')).json();
+    assert.deepStrictEqual(enhanced.results, []);
+    for (const query of ['collection=infrared', 'date=2015-01-01', 'date=2999-01-01', 'date=yesterday']) {
+        assert.strictEqual((await h.request(`/epic?${query}`)).status, 400, query);
+    }
+});
+
+// ============================================================================
+// Upstream resilience
+// ============================================================================
+
+test('a transient 5xx is retried transparently', async () => {
+    h.fake.fail('api.nasa.gov', 500, 1);
+
+    const res = await h.request('/apod?date=2024-01-10');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(upstreamCalls('api.nasa.gov').length, 2);
+});
+
+test('a slow upstream times out with a 504', async () => {
+    await h.close();
+    h = await createHarness({ UPSTREAM_TIMEOUT_MS: '50', UPSTREAM_RETRIES: '0' });
+    h.fake.slow('api.nasa.gov', 500);
+
+    const res = await h.request('/apod?date=2024-01-10');
+    assert.strictEqual(res.status, 504);
+    assert.match((await res.json()).error, /timed out/);
+});
+
+test('/apod serves the last-known-good copy as STALE when NASA is down', async () => {
+    const fresh = await (await h.request('/apod')).json();
+    h.kv.store.delete('apod:latest'); // as if its TTL ran out
+    h.fake.fail('api.nasa.gov', 503);
+
+    const res = await h.request('/apod');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('X-Cache'), 'STALE');
+    assert.match(res.headers.get('Warning'), /^110 /);
+    assert.deepStrictEqual(await res.json(), fresh);
+});
+
+test('/lookup and /search serve STALE copies when the edge cache has expired', async () => {
+    const lookup = await (await h.request('/lookup?q=Sirius')).json();
+    const search = await (await h.request('/search?q=Andromeda')).json();
+    h.cache.entries.clear();
+    h.fake.fail('images-api.nasa.gov', 503);
+
+    const staleLookup = await h.request('/lookup?q=Sirius');
+    assert.strictEqual(staleLookup.headers.get('X-Cache'), 'STALE');
+    assert.deepStrictEqual(await staleLookup.json(), lookup);
+
+    const staleSearch = await h.request('/search?q=Andromeda');
+    assert.strictEqual(staleSearch.headers.get('X-Cache'), 'STALE');
+    assert.deepStrictEqual(await staleSearch.json(), search);
+});
+
+test('/lookup and /search keep one short-lived copy per normalized query', async () => {
+    await h.request('/lookup?q=Sirius');
+    await h.request('/lookup?q=%20sirius%20');
+    await h.request('/search?q=Andromeda&pageSize=5');
+    const copies = [...h.kv.store.keys()].filter((key) => key.startsWith('lastgood:'));
+    assert.deepStrictEqual(copies.sort(), ['lastgood:lookup:sirius', 'lastgood:search:andromeda:1:5:::']);
+    for (const key of copies) assert.strictEqual(h.kv.store.get(key).expirationTtl, 2 * 86400, key);
+
+    // Another spelling of the query falls back on the same copy
+    h.cache.entries.clear();
+    h.fake.fail('images-api.nasa.gov', 503);
+    const stale = await h.request('/lookup?q=SIRIUS');
+    assert.strictEqual(stale.headers.get('X-Cache'), 'STALE');
+});
+
+test('/mars/photos, /neo and /epic serve STALE copies once KV has expired', async () => {
+    const paths = ['/mars/photos?rover=curiosity&sol=1000', '/neo?start=2024-01-10', '/epic?date=2024-01-10'];
+    const fresh = [];
+    for (const path of paths) fresh.push(await (await h.request(path)).json());
+    for (const key of ['mars:curiosity:1000:all:1', 'neo:2024-01-10:2024-01-10', 'epic:natural:2024-01-10']) h.kv.store.delete(key);
+    h.fake.fail('api.nasa.gov', 503);
+
+    for (const [i, path] of paths.entries()) {
+        const res = await h.request(path);
+        assert.strictEqual(res.headers.get('X-Cache'), 'STALE', path);
+        assert.deepStrictEqual(await res.json(), fresh[i]);
+    }
+});
+
+test('/apod ranges fill gaps from last-known-good copies', async () => {
+    await h.request('/apod?start=2024-01-10&end=2024-01-11');
+    h.kv.store.delete('apod:2024-01-10');
+    h.fake.fail('api.nasa.gov', 503);
+
+    const res = await h.request('/apod?start=2024-01-10&end=2024-01-11');
+    assert.strictEqual(res.headers.get('X-Cache'), 'STALE');
+    assert.strictEqual((await res.json()).length, 2);
+});
+
+test('the circuit breaker skips NASA after repeated failures', async () => {
+    await h.close();
+    h = await createHarness({ CIRCUIT_FAILURE_THRESHOLD: '2', UPSTREAM_RETRIES: '0' });
+    h.fake.fail('images-api.nasa.gov', 503);
+
+    await h.request('/lookup?q=one');
+    await h.request('/lookup?q=two');
+    assert.strictEqual(upstreamCalls('images-api.nasa.gov').length, 2);
+
+    const res = await h.request('/lookup?q=three');
+    assert.strictEqual(res.status, 503);
+    assert.ok(Number(res.headers.get('Retry-After')) > 0);
+    assert.strictEqual(upstreamCalls('images-api.nasa.gov').length, 2, 'open circuit makes no call');
+
+    // Other hosts are unaffected
+    assert.strictEqual((await h.request('/apod?date=2024-01-10')).status, 200);
+});
+
+test('a success closes the circuit again', async () => {
+    await h.close();
+    h = await createHarness({ CIRCUIT_FAILURE_THRESHOLD: '3', UPSTREAM_RETRIES: '0' });
+    h.fake.fail('images-api.nasa.gov', 503, 2);
+
+    await h.request('/lookup?q=one');
+    await h.request('/lookup?q=two');
+    assert.ok(h.kv.store.has('circuit:images-api.nasa.gov'));
+
+    assert.strictEqual((await h.request('/lookup?q=Sirius')).status, 200);
+    assert.ok(!h.kv.store.has('circuit:images-api.nasa.gov'));
+});
+
+// ============================================================================
+// Rate limiting and the upstream budget
+// ============================================================================
+
+const fromClient = ip => ({ headers: { 'CF-Connecting-IP': ip } });
+
+async function withClock(start, fn) {
+    const realNow = Date.now;
+    let now = start;
+    Date.now = () => now;
+    try {
+        await fn(ms => { now += ms; });
+    } finally {
+        Date.now = realNow;
+    }
+}
+
+test('responses carry X-RateLimit headers; over the limit is a 429 with Retry-After', async () => {
+    await h.close();
+    h = await createHarness({ RATE_LIMITS: '*=100/60,/apod=2/60' });
+
+    const first = await h.request('/apod?date=2024-01-10', fromClient('203.0.113.1'));
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.headers.get('X-RateLimit-Limit'), '2');
+    assert.strictEqual(first.headers.get('X-RateLimit-Remaining'), '1');
+    assert.ok(Number(first.headers.get('X-RateLimit-Reset')) > 0);
+
+    await h.request('/apod?date=2024-01-10', fromClient('203.0.113.1'));
+    const limited = await h.request('/apod?date=2024-01-10', fromClient('203.0.113.1'));
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual(limited.headers.get('X-RateLimit-Remaining'), '0');
+    assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+    assert.strictEqual(upstreamCalls('api.nasa.gov').length, 1);
+
+    // Other clients and other routes have their own counts
+    assert.strictEqual((await h.request('/apod?date=2024-01-10', fromClient('203.0.113.2'))).status, 200);
+    const catalog = await h.request('/catalog', fromClient('203.0.113.1'));
+    assert.strictEqual(catalog.status, 200);
+    assert.strictEqual(catalog.headers.get('X-RateLimit-Limit'), '100');
+});
+
+test('the rate limit window slides', async () => {
+    await h.close();
+    h = await createHarness({ RATE_LIMITS: '/catalog=2/60' });
+
+    // Halfway through a window
+    await withClock(Math.floor(Date.now() / 60000) * 60000 + 30000, async (advance) => {
+        await h.request('/catalog');
+        await h.request('/catalog');
+        const limited = await h.request('/catalog');
+        assert.strictEqual(limited.status, 429);
+        assert.strictEqual(limited.headers.get('Retry-After'), '60');
+
+        // Halfway through the next window, half of the previous count still applies
+        advance(60000);
+        assert.strictEqual((await h.request('/catalog')).status, 200);
+        assert.strictEqual((await h.request('/catalog')).status, 429);
+    });
+});
+
+test('rate limiting counts in memory, without touching KV', async () => {
+    await h.close();
+    h = await createHarness({ RATE_LIMITS: '/catalog=2/60' });
+
+    assert.strictEqual((await h.request('/catalog')).status, 200);
+    assert.strictEqual((await h.request('/catalog')).status, 200);
+    assert.strictEqual((await h.request('/catalog')).status, 429);
+    assert.deepStrictEqual([...h.kv.store.keys()].filter(key => !key.startsWith('metrics:')), []);
+});
+
+test('edge-cached images are served before the limiter and not counted', async () => {
+    await h.close();
+    h = await createHarness({ RATE_LIMITS: '/image-proxy=1/60' });
+    const image = name => `/image-proxy?url=${encodeURIComponent(`https://apod.nasa.gov/apod/image/2401/${name}.jpg`)}`;
+
+    assert.strictEqual((await h.request(image('sample'))).headers.get('X-Cache'), 'MISS');
+    for (let i = 0; i < 3; i++) {
+        const hit = await h.request(image('sample'));
+        assert.strictEqual(hit.status, 200);
+        assert.strictEqual(hit.headers.get('X-Cache'), 'HIT');
+        assert.strictEqual(hit.headers.get('X-RateLimit-Limit'), null);
+    }
+
+    assert.strictEqual((await h.request(image('other'))).status, 429);
+    assert.strictEqual(upstreamCalls('apod.nasa.gov').length, 1);
+});
+
+test('a spent daily budget switches the Worker to cache-only', async () => {
+    await h.close();
+    h = await createHarness({ UPSTREAM_DAILY_BUDGET: '1', METRICS_TOKEN: 's3cret' });
+
+    const fresh = await (await h.request('/apod')).json();
+    assert.strictEqual(upstreamCalls('api.nasa.gov').length, 1);
+
+    // Cached and last-known-good payloads are still served...
+    assert.strictEqual((await h.request('/apod')).headers.get('X-Cache'), 'HIT');
+    h.kv.store.delete('apod:latest');
+    const stale = await h.request('/apod');
+    assert.strictEqual(stale.headers.get('X-Cache'), 'STALE');
+    assert.deepStrictEqual(await stale.json(), fresh);
+
+    // ...but nothing new is fetched
+    const res = await h.request('/apod?date=2024-01-10');
+    assert.strictEqual(res.status, 503);
+    assert.match((await res.json()).error, /budget/);
+    assert.ok(Number(res.headers.get('Retry-After')) > 0);
+    assert.strictEqual(upstreamCalls('api.nasa.gov').length, 1);
+
+    // The Image Library and image hosts take no API key, so they are not budgeted
+    assert.strictEqual((await h.request('/search?q=Andromeda')).status, 200);
+    const image = await h.request(`/image-proxy?url=${encodeURIComponent('https://apod.nasa.gov/apod/image/2401/sample.jpg')}`);
+    assert.strictEqual(image.status, 200);
+    assert.strictEqual((await (await h.request('/metrics', METRICS_AUTH)).json()).budget.used, 1);
+});
+
+// ============================================================================
+// Request IDs, logs, /health and /metrics
+// ============================================================================
+
+test('every response carries an X-Request-Id, which error bodies repeat', async () => {
+    const ok = await h.request('/catalog');
+    assert.match(ok.headers.get('X-Request-Id'), /^[0-9a-f-]{36}$/);
+    assert.notStrictEqual((await h.request('/catalog')).headers.get('X-Request-Id'), ok.headers.get('X-Request-Id'));
+    assert.ok((await h.request('/nope', { method: 'OPTIONS' })).headers.get('X-Request-Id'));
+
+    // A caller's own ID is kept, unless it does not look like one
+    const own = await h.request('/catalog', { headers: { 'X-Request-Id': 'app-7f3a9c01' } });
+    assert.strictEqual(own.headers.get('X-Request-Id'), 'app-7f3a9c01');
+    const junk = await h.request('/catalog', { headers: { 'X-Request-Id': 'x"; drop' } });
+    assert.notStrictEqual(junk.headers.get('X-Request-Id'), 'x"; drop');
+
+    h.fake.fail('api.nasa.gov', 503);
+    const failed = await h.request('/apod?date=2024-01-10');
+    assert.strictEqual(failed.status, 502);
+    assert.strictEqual((await failed.json()).requestId, failed.headers.get('X-Request-Id'));
+});
+
+test('each request is logged as one JSON line with its route, cache status and upstream calls', async () => {
+    const miss = await h.request('/apod?date=2024-01-10');
+    await h.request('/apod?date=2024-01-10');
+    await h.request('/observe/mars?lat=51.5&lon=-0.1&date=2024-03-20');
+
+    assert.strictEqual(h.logs.length, 3);
+    const [first, second, third] = h.logs;
+    assert.strictEqual(first.level, 'info');
+    assert.strictEqual(first.requestId, miss.headers.get('X-Request-Id'));
+    assert.strictEqual(first.route, '/apod');
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.cache, 'MISS');
+    assert.deepStrictEqual(first.upstream.map(call => [call.host, call.path, call.status]), [['api.nasa.gov', '/planetary/apod', 200]]);
+    assert.ok(first.upstreamMs >= 0 && first.durationMs >= first.upstreamMs);
+    assert.deepStrictEqual(first.nasaRateLimit, { limit: 1000, remaining: 999 });
+
+    assert.strictEqual(second.cache, 'HIT');
+    assert.strictEqual(second.upstream, undefined);
+    assert.strictEqual(third.route, '/observe/:id');
+    assert.strictEqual(third.path, '/observe/mars');
+
+    // Upstream queries hold the API key; only host and path are logged
+    assert.ok(!JSON.stringify(h.logs).includes('TEST_KEY'));
+});
+
+test('upstream failures are logged with the attempts and why they failed', async () => {
+    h.fake.fail('api.nasa.gov', 503);
+    await h.request('/apod?date=2024-01-10');
+
+    const [failed] = h.logs;
+    assert.strictEqual(failed.level, 'error');
+    assert.strictEqual(failed.status, 502);
+    assert.deepStrictEqual(failed.upstream.map(call => call.status), [503, 503, 503]);
+    assert.match(failed.error, /api\.nasa\.gov returned HTTP 503/);
+
+    // A STALE copy is a warning, still with the reason
+    h.fake.reset();
+    await h.request('/mars/photos?rover=curiosity&sol=1000');
+    h.kv.store.delete('mars:curiosity:1000:all:1');
+    h.fake.fail('api.nasa.gov', 503);
+    await h.request('/mars/photos?rover=curiosity&sol=1000');
+
+    const stale = h.logs[h.logs.length - 1];
+    assert.strictEqual(stale.level, 'warn');
+    assert.strictEqual(stale.cache, 'STALE');
+    assert.match(stale.error, /HTTP 503/);
+});
+
+test('/metrics counts hits, misses, errors and upstream quota use for the day', async () => {
+    await h.close();
+    h = await createHarness({ METRICS_TOKEN: 's3cret' });
+
+    await h.request('/apod?date=2024-01-10');
+    await h.request('/apod?date=2024-01-10');
+    await h.request('/lookup?q=Sirius');
+    await h.request('/lookup?q=Sirius');
+    await h.request('/nope');
+    h.fake.fail('api.nasa.gov', 503);
+    await h.request('/apod?date=2024-01-11');
+
+    const res = await h.request('/metrics', METRICS_AUTH);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('Cache-Control'), 'no-store');
+    const metrics = await res.json();
+    assert.strictEqual(metrics.date, new Date().toISOString().slice(0, 10));
+    assert.deepStrictEqual(metrics.counters, {
+        requests: 6, hits: 2, misses: 2, partial: 0, stale: 0,
+        rateLimited: 0, clientErrors: 1, errors: 1, upstreamCalls: 5, upstreamFailures: 3,
+    });
+    assert.strictEqual(metrics.hitRate, 0.5);
+    assert.deepStrictEqual(metrics.budget, { dailyBudget: 20000, used: 4, remaining: 19996 });
+    assert.deepStrictEqual([metrics.nasaRateLimit.limit, metrics.nasaRateLimit.remaining], [1000, 999]);
+
+    // Polling /metrics and /health does not count
+    await h.request('/health');
+    assert.strictEqual((await (await h.request('/metrics', METRICS_AUTH)).json()).counters.requests, 6);
+
+    assert.strictEqual((await h.request('/metrics?date=2099-01-01', METRICS_AUTH)).status, 400);
+    assert.strictEqual((await (await h.request('/metrics?date=2024-01-01', METRICS_AUTH)).json()).counters.requests, 0);
+});
+
+test('/metrics asks for METRICS_TOKEN, and is closed until it is set', async () => {
+    assert.strictEqual((await h.request('/metrics')).status, 401);
+    assert.strictEqual((await h.request('/metrics', { headers: { Authorization: 'Bearer ' } })).status, 401);
+
+    await h.close();
+    h = await createHarness({ METRICS_TOKEN: 's3cret' });
+
+    assert.strictEqual((await h.request('/metrics')).status, 401);
+    assert.strictEqual((await h.request('/metrics', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+    assert.strictEqual((await h.request('/metrics', METRICS_AUTH)).status, 200);
+});
+
+test('/health checks KV and the NASA hosts without spending budget', async () => {
+    const res = await h.request('/health');
+    assert.strictEqual(res.status, 200);
+    const health = await res.json();
+    assert.strictEqual(health.status, 'ok');
+    assert.strictEqual(health.checks.kv.ok, true);
+    assert.deepStrictEqual(health.checks.upstream.map(probe => [probe.host, probe.reachable, probe.circuitOpen]), [
+        ['api.nasa.gov', true, false],
+        ['images-api.nasa.gov', true, false],
+    ]);
+    assert.strictEqual(health.checks.budget.used, 0);
+    assert.ok(!upstreamCalls('api.nasa.gov').some(call => call.query.api_key));
+
+    h.fake.fail('images-api.nasa.gov', 503);
+    const degraded = await h.request('/health');
+    assert.strictEqual(degraded.status, 200);
+    const body = await degraded.json();
+    assert.strictEqual(body.status, 'degraded');
+    assert.deepStrictEqual(body.checks.upstream[1], { ...body.checks.upstream[1], reachable: false, status: 503 });
+});
+
+test('/health reuses its NASA probes for HEALTH_PROBE_SECONDS', async () => {
+    await h.close();
+    h = await createHarness({ HEALTH_PROBE_SECONDS: '60' });
+
+    for (let i = 0; i < 3; i++) assert.strictEqual((await h.request('/health')).status, 200);
+    assert.strictEqual(upstreamCalls('api.nasa.gov').length, 1);
+    assert.strictEqual(upstreamCalls('images-api.nasa.gov').length, 1);
+});
+
+test('/health is down when KV fails, and other routes answer with a JSON 500', async () => {
+    h.kv.get = async () => {
+        throw new Error('KV unavailable');
+    };
+
+    const res = await h.request('/health');
+    assert.strictEqual(res.status, 503);
+    const health = await res.json();
+    assert.strictEqual(health.status, 'down');
+    assert.deepStrictEqual([health.checks.kv.ok, health.checks.kv.error], [false, 'KV unavailable']);
+
+    const failed = await h.request('/apod?date=2024-01-10');
+    assert.strictEqual(failed.status, 500);
+    assert.deepStrictEqual(await failed.json(), { error: 'KV unavailable', requestId: failed.headers.get('X-Request-Id') });
+});
+
+// ============================================================================
+// /image-proxy
+// ============================================================================
+
+test('/image-proxy streams an allowlisted image, then serves it from the cache', async () => {
+    const path = `/image-proxy?url=${encodeURIComponent('https://images-assets.nasa.gov/image/PIA15416/PIA15416~medium.jpg')}`;
+
+    const res = await h.request(path);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('Content-Type'), 'image/jpeg');
+    assert.deepStrictEqual(Buffer.from(await res.arrayBuffer()), JPEG_BYTES);
+
+    const again = await h.request(path);
+    assert.strictEqual(again.headers.get('X-Cache'), 'HIT');
+    assert.deepStrictEqual(Buffer.from(await again.arrayBuffer()), JPEG_BYTES);
+    assert.strictEqual(upstreamCalls('images-assets.nasa.gov').length, 1);
+});
+
+test('/image-proxy blocks hosts and redirects off the allowlist', async () => {
+    const blocked = await h.request(`/image-proxy?url=${encodeURIComponent('https://example.com/cat.jpg')}`);
+    assert.strictEqual(blocked.status, 403);
+
+    h.fake.route('apod.nasa.gov', '/apod/image/moved.jpg', {
+        status: 302,
+        headers: { Location: 'http://169.254.169.254/latest/meta-data' },
+    });
+    const redirected = await h.request(`/image-proxy?url=${encodeURIComponent('https://apod.nasa.gov/apod/image/moved.jpg')}`);
+    assert.strictEqual(redirected.status, 403);
+    assert.match((await redirected.json()).error, /169\.254\.169\.254/);
+});
+
+test('/image-proxy swaps in a smaller NASA rendition for w=', async () => {
+    const source = 'https://images-assets.nasa.gov/image/PIA15416/PIA15416~medium.jpg';
+    await h.request(`/image-proxy?url=${encodeURIComponent(source)}&w=320`);
+
+    const [call] = upstreamCalls('images-assets.nasa.gov');
+    assert.strictEqual(call.path, '/image/PIA15416/PIA15416~small.jpg');
+});
+
+test('/image-proxy falls back to the requested URL when the NASA rendition is missing', async () => {
+    h.fake.route('images-assets.nasa.gov', '/image/PIA15416/PIA15416~small.jpg', { status: 404 });
+    const source = 'https://images-assets.nasa.gov/image/PIA15416/PIA15416~medium.jpg';
+
+    const res = await h.request(`/image-proxy?url=${encodeURIComponent(source)}&w=320`);
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(Buffer.from(await res.arrayBuffer()), JPEG_BYTES);
+    assert.deepStrictEqual(upstreamCalls('images-assets.nasa.gov').map(call => call.path), [
+        '/image/PIA15416/PIA15416~small.jpg',
+        '/image/PIA15416/PIA15416~medium.jpg',
+    ]);
+});
+
+test('unknown routes are a 404', async () => {
+    assert.strictEqual((await h.request('/nope')).status, 404);
+});
@@ -6,7 +6,7 @@ class ApiConstants {
   ApiConstants._();
 
   /// Cloudflare Worker - Dynamic API
-  /// Handles: /apod, /lookup, /image-proxy
+  /// Handles: /apod, /lookup, /search, /catalog, /image-proxy
   static const String baseApiUrl = 'https://backend-proxy.chaitanyanaidunarisetti.workers.dev';
 
   /// GitHub Pages - Static Tier-A Data
@@ -15,7 +15,11 @@ class ApiConstants {
 
   /// API Endpoints (relative to baseApiUrl)
   static const String apodEndpoint = '/apod';
+  static const String apodRandomEndpoint = '/apod/random';
   static const String lookupEndpoint = '/lookup';
+  static const String searchEndpoint = '/search';
+  static const String catalogEndpoint = '/catalog';
+  static const String catalogChangesEndpoint = '/catalog/changes';
   static const String imageProxyEndpoint = '/image-proxy';
 
   /// Static Data Paths (relative to staticDataUrl)
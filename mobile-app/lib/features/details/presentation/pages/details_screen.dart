@@ -350,6 +350,9 @@ class _DetailsScreenState extends State<DetailsScreen> {
 
   Widget _buildSourceFooter() {
     final source = _fullData?['source'] ?? 'NASA';
+    // Image attribution (credit/license), required for non-NASA imagery
+    final credit = _fullData?['credit'];
+    final license = _fullData?['license'];
     
     return Container(
       padding: const EdgeInsets.all(16),
@@ -394,6 +397,14 @@ class _DetailsScreenState extends State<DetailsScreen> {
                     fontWeight: FontWeight.w500,
                   ),
                 ),
+                if (credit != null)
+                  Text(
+                    license == 'copyrighted' ? 'Image © $credit' : 'Image: $credit',
+                    style: const TextStyle(
+                      color: Colors.white54,
+                      fontSize: 12,
+                    ),
+                  ),
               ],
             ),
           ),
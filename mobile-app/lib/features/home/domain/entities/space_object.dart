@@ -1,3 +1,5 @@
+import 'dart:ui' show PlatformDispatcher;
+
 /// SpaceObject Entity - Represents any astronomical object
 /// 
 /// Used for galaxies, stars, planets, nebulae, etc.
@@ -7,6 +9,7 @@ class SpaceObject {
   final String type;
   final String? thumbnailPath;
   final String? imageUrl;
+  final String? summary;
   final String? description;
 
   const SpaceObject({
@@ -15,6 +18,7 @@ class SpaceObject {
     required this.type,
     this.thumbnailPath,
     this.imageUrl,
+    this.summary,
     this.description,
   });
 
@@ -29,13 +33,24 @@ class SpaceObject {
   }
 
   /// Create from full object JSON (tier_a/*.json)
-  factory SpaceObject.fromJson(Map<String, dynamic> json) {
+  ///
+  /// Bundled files carry translations in `localized` maps; text is picked for
+  /// [locale] (the device language by default), falling back to the English
+  /// fields. Worker responses are already localized and have no maps.
+  factory SpaceObject.fromJson(Map<String, dynamic> json, {String? locale}) {
+    final language = locale ?? PlatformDispatcher.instance.locale.languageCode;
+    String? localized(String field) {
+      final translations = json['localized']?[field];
+      return (translations is Map ? translations[language] : null) ?? json[field];
+    }
+
     return SpaceObject(
       id: json['id'] ?? '',
-      title: json['title'] ?? '',
+      title: localized('title') ?? '',
       type: json['type'] ?? 'other',
       imageUrl: json['imageUrl'],
-      description: json['description'],
+      summary: localized('summary'),
+      description: localized('description'),
     );
   }
 
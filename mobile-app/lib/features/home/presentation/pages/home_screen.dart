@@ -3,6 +3,7 @@ import 'package:astro_encyclopedia/features/home/domain/entities/apod_entity.dar
 import 'package:astro_encyclopedia/features/home/domain/entities/space_object.dart';
 import 'package:astro_encyclopedia/features/home/presentation/widgets/apod_hero.dart';
 import 'package:astro_encyclopedia/features/home/presentation/widgets/featured_objects_list.dart';
+import 'package:astro_encyclopedia/services/data_repository.dart';
 import 'package:astro_encyclopedia/services/local_data_service.dart';
 import 'package:astro_encyclopedia/services/network_service.dart';
 import 'package:astro_encyclopedia/core/router/app_router.dart';
@@ -12,6 +13,7 @@ import 'package:astro_encyclopedia/core/router/app_router.dart';
 /// Architecture:
 /// - Renders from Offline Bundle in <1 frame
 /// - Fetches fresh APOD in background
+/// - Pulls curated catalog changes in background
 /// - CustomScrollView with collapsible APOD header
 class HomeScreen extends StatefulWidget {
   const HomeScreen({super.key});
@@ -22,6 +24,7 @@ class HomeScreen extends StatefulWidget {
 
 class _HomeScreenState extends State<HomeScreen> {
   final NetworkService _networkService = NetworkService();
+  final DataRepository _repository = DataRepository();
   
   // State
   List<SpaceObject> _featuredObjects = [];
@@ -41,6 +44,9 @@ class _HomeScreenState extends State<HomeScreen> {
     
     // 2. Fetch APOD from network (async, background)
     _fetchApod();
+
+    // 3. Pull catalog changes so details pages show the latest curated objects
+    _syncCatalog();
   }
 
   Future<void> _loadFeaturedObjects() async {
@@ -69,6 +75,14 @@ class _HomeScreenState extends State<HomeScreen> {
     }
   }
 
+  Future<void> _syncCatalog() async {
+    try {
+      await _repository.syncCatalog();
+    } catch (_) {
+      // Offline or Worker down; the bundle and the last sync still apply
+    }
+  }
+
   void _onApodTap() {
     Navigator.pushNamed(context, AppRouter.apod);
   }
@@ -6,6 +6,7 @@ import 'package:astro_encyclopedia/features/search/presentation/pages/search_scr
 import 'package:astro_encyclopedia/features/settings/presentation/pages/settings_screen.dart';
 import 'package:astro_encyclopedia/core/router/app_router.dart';
 import 'package:astro_encyclopedia/services/storage_manager.dart';
+import 'package:astro_encyclopedia/services/local_data_service.dart';
 
 void main() async {
   WidgetsFlutterBinding.ensureInitialized();
@@ -15,6 +16,9 @@ void main() async {
   
   // Initialize Storage Manager
   await StorageManager.init();
+
+  // Find out which images are bundled in the APK
+  await LocalDataService.loadOfflineManifest();
   
   // Set preferred orientations
   await SystemChrome.setPreferredOrientations([
@@ -29,6 +29,7 @@ class DataRepository {
 
   static const String _cacheBoxName = 'astro_cache';
   static const String _contentIndexKey = 'content_index';
+  static const String _catalogVersionKey = 'catalog_version';
 
   DataRepository({NetworkService? networkService})
       : _networkService = networkService ?? NetworkService(),
@@ -175,6 +176,28 @@ class DataRepository {
     }
   }
 
+  /// Pull curated catalog changes since the last sync from the Worker.
+  /// Updated objects are cached as `catalog_<id>` and take priority over the
+  /// bundled assets; removed ones fall back to the bundle (if any).
+  /// Returns the catalog version now held locally.
+  Future<int> syncCatalog() async {
+    await init();
+    final since = int.tryParse(_cacheBox.get(_catalogVersionKey) ?? '') ?? 0;
+
+    final changes = await _networkService.fetchCatalogChanges(since);
+    for (final entry in changes['updated'] as List) {
+      final object = Map<String, dynamic>.from(entry['object'] as Map);
+      await _saveToCache('catalog_${object['id']}', object);
+    }
+    for (final id in changes['removed'] as List) {
+      await _cacheBox.delete('catalog_$id');
+    }
+
+    final version = changes['version'] as int;
+    await _cacheBox.put(_catalogVersionKey, version.toString());
+    return version;
+  }
+
   /// Clear all cached data
   Future<void> clearCache() async {
     await init();
@@ -184,9 +207,10 @@ class DataRepository {
   /// Get full object details with offline-first strategy
   /// 
   /// Loading Priority:
-  /// 1. Local asset bundle (assets/data/objects/{id}.json or tier_a/{id}.json)
-  /// 2. Hive cache
-  /// 3. Network fetch from GitHub Pages
+  /// 1. Curated objects synced from the Worker ([syncCatalog])
+  /// 2. Local asset bundle (assets/data/objects/{id}.json or tier_a/{id}.json)
+  /// 3. Hive cache
+  /// 4. Network fetch from GitHub Pages
   /// 
   /// Throws [DataNotFoundException] if object is not found in any source.
   Future<SpaceObject> getObjectDetails(String id) async {
@@ -194,7 +218,13 @@ class DataRepository {
 
     Map<String, dynamic>? data;
 
-    // 1. Try loading from bundled assets first (fastest)
+    // 1. Curated objects synced from the Worker are newer than the bundle
+    data = _loadFromCache('catalog_$id');
+    if (data != null) {
+      return SpaceObject.fromJson(data);
+    }
+
+    // 2. Try loading from bundled assets
     // Check both 'objects' and 'tier_a' folders for compatibility
     data = await _loadObjectFromAssets(id);
     if (data != null) {
@@ -203,7 +233,7 @@ class DataRepository {
       return SpaceObject.fromJson(data);
     }
 
-    // 2. Try Hive cache
+    // 3. Try Hive cache
     data = _loadFromCache('object_$id');
     if (data != null) {
       // Try to refresh in background
@@ -211,7 +241,7 @@ class DataRepository {
       return SpaceObject.fromJson(data);
     }
 
-    // 3. If online, fetch from network
+    // 4. If online, fetch from network
     try {
       data = await _fetchObjectFromNetwork(id);
       if (data != null) {
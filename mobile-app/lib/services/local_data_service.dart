@@ -8,6 +8,7 @@ import 'package:astro_encyclopedia/features/home/domain/entities/space_object.da
 /// No network calls, no async waiting - instant data.
 class LocalDataService {
   static List<SpaceObject>? _cachedObjects;
+  static Map<String, List<String>> _offlineImages = {};
 
   /// Load featured objects from bundled content_index.json
   /// Returns cached data on subsequent calls
@@ -48,6 +49,30 @@ class LocalDataService {
     return all.where((obj) => obj.type == type).toList();
   }
 
+  /// Load the offline image manifest written by `node scripts/seed.js bundle`
+  /// (assets/data/offline_manifest.json). Call once at startup.
+  static Future<void> loadOfflineManifest() async {
+    try {
+      final jsonString = await rootBundle.loadString('assets/data/offline_manifest.json');
+      final objects = (jsonDecode(jsonString) as Map<String, dynamic>)['objects'] as Map<String, dynamic>;
+
+      _offlineImages = objects.map((id, images) => MapEntry(
+            id,
+            (images as List<dynamic>).map((image) => image['path'] as String).toList(),
+          ));
+    } catch (e) {
+      // No manifest: every image comes from the network
+      _offlineImages = {};
+    }
+  }
+
+  /// Bundled image for an object (index 0 is the main image), or null when
+  /// it did not make the offline bundle
+  static String? offlineImage(String id, [int index = 0]) {
+    final images = _offlineImages[id];
+    return images != null && index < images.length ? images[index] : null;
+  }
+
   /// Clear cache (useful for testing)
   static void clearCache() {
     _cachedObjects = null;
@@ -1,3 +1,5 @@
+import 'dart:ui' show PlatformDispatcher;
+
 import 'package:dio/dio.dart';
 import 'package:astro_encyclopedia/core/constants/api_constants.dart';
 
@@ -16,6 +18,8 @@ class NetworkService {
         receiveTimeout: const Duration(seconds: 15),
         headers: {
           'Accept': 'application/json',
+          // Curated text comes back in the device language when translated
+          'Accept-Language': PlatformDispatcher.instance.locale.toLanguageTag(),
         },
       ),
     );
@@ -33,26 +37,56 @@ class NetworkService {
     }
   }
 
-  /// Fetch APOD (Astronomy Picture of the Day)
-  Future<Map<String, dynamic>> fetchApod() async {
-    return await get(ApiConstants.apodEndpoint);
+  /// Fetch APOD (Astronomy Picture of the Day), optionally for a past date
+  Future<Map<String, dynamic>> fetchApod({DateTime? date}) async {
+    return await get(
+      ApiConstants.apodEndpoint,
+      queryParameters: date != null ? {'date': _apodDate(date)} : null,
+    );
+  }
+
+  /// Fetch every APOD from [start] to [end] (up to 31 days)
+  Future<List<Map<String, dynamic>>> fetchApodRange(DateTime start, DateTime end) async {
+    final data = await get(ApiConstants.apodEndpoint, queryParameters: {
+      'start': _apodDate(start),
+      'end': _apodDate(end),
+    });
+    return List<Map<String, dynamic>>.from(data as List);
+  }
+
+  /// Fetch [count] random APODs from the archive (up to 10)
+  Future<List<Map<String, dynamic>>> fetchRandomApod({int count = 1}) async {
+    final data = await get(ApiConstants.apodRandomEndpoint, queryParameters: {'count': count});
+    return List<Map<String, dynamic>>.from(data as List);
   }
 
+  String _apodDate(DateTime date) => date.toIso8601String().substring(0, 10);
+
   /// Search for an object by query - returns single best match
   Future<Map<String, dynamic>> lookup(String query) async {
     return await get(ApiConstants.lookupEndpoint, queryParameters: {'q': query});
   }
 
-  /// Search objects - wraps lookup for search functionality
-  /// Returns the result as a list (single item from our Worker)
-  Future<List<Map<String, dynamic>>> searchObjects(String query) async {
-    try {
-      final result = await lookup(query);
-      // Our Worker returns single best match, wrap in list
-      return [result];
-    } catch (e) {
-      rethrow;
-    }
+  /// Search objects - one page of normalized results from /search
+  Future<List<Map<String, dynamic>>> searchObjects(
+    String query, {
+    int page = 1,
+    int pageSize = 20,
+    String? type,
+  }) async {
+    final data = await get(ApiConstants.searchEndpoint, queryParameters: {
+      'q': query,
+      'page': page,
+      'pageSize': pageSize,
+      if (type != null) 'type': type,
+    });
+    return List<Map<String, dynamic>>.from(data['results'] as List);
+  }
+
+  /// Curated catalog changes after catalog version [since]:
+  /// `{ version, since, updated: [{ version, object }], removed: [id] }`
+  Future<Map<String, dynamic>> fetchCatalogChanges(int since) async {
+    return await get(ApiConstants.catalogChangesEndpoint, queryParameters: {'since': since});
   }
 
   /// Get the proxied image URL for a given NASA URL
@@ -71,6 +105,10 @@ class NetworkService {
     if (e.response?.statusCode == 404) {
       return Exception('Resource not found.');
     }
+    if (e.response?.statusCode == 429) {
+      final retryAfter = e.response?.headers.value('retry-after');
+      return Exception('Too many requests. Please try again${retryAfter != null ? ' in ${retryAfter}s' : ' later'}.');
+    }
     return Exception(e.message ?? 'Network error occurred.');
   }
 }
@@ -1,10 +1,11 @@
 import 'package:cached_network_image/cached_network_image.dart';
 import 'package:flutter/material.dart';
+import 'package:astro_encyclopedia/services/local_data_service.dart';
 
 /// SmartImage Widget - Intelligent image loading with offline support
 /// 
 /// Loading Priority:
-/// 1. Local asset bundle (assets/offline/{id}.jpg)
+/// 1. Local asset bundle (assets/offline/, per the offline manifest)
 /// 2. Cached network image (from Worker proxy)
 /// 3. Placeholder on error
 class SmartImage extends StatelessWidget {
@@ -27,10 +28,11 @@ class SmartImage extends StatelessWidget {
 
   @override
   Widget build(BuildContext context) {
-    // If we have an ID, try local asset first
-    if (id != null && id!.isNotEmpty) {
+    // If the object's image is bundled, use the local asset first
+    final asset = id != null && id!.isNotEmpty ? LocalDataService.offlineImage(id!) : null;
+    if (asset != null) {
       return Image.asset(
-        'assets/offline/$id.jpg',
+        asset,
         fit: fit,
         width: width,
         height: height,
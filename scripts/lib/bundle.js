@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const { resolveTarget } = require('./config');
+const { findEntry } = require('./catalog');
+const { ensureDir, readJson, writeJson } = require('./indexWriter');
+const { sha256, hashFile } = require('./manifest');
+
+/**
+ * Offline bundle (mobile-app/assets/offline + assets/data/offline_manifest.json)
+ *
+ * The seeder downloads each target's images under assets/images/, which the
+ * app does not ship. This step picks what does: objects in priority order
+ * (config.offlineBundle.pinned, then each of its targets in catalog order),
+ * every main image before any gallery extra, each re-encoded to fit
+ * maxWidth x maxHeight at the configured JPEG quality, for as long as the
+ * bundled data files plus images stay within budgetBytes. The manifest is
+ * what the app reads to find its offline images:
+ *   version      Manifest format
+ *   settings     { maxWidth, maxHeight, quality } the images were encoded with
+ *   budgetBytes  Budget for assets/data plus the images
+ *   totalBytes   What they came to
+ *   objects      { [id]: [{ path, width, height, bytes, sha256, source: { path, sha256 } }] }
+ *                main image first, in priority order; paths are relative to mobile-app/
+ *   dropped      [{ id, file, bytes, reason }] in priority order
+ */
+
+const OFFLINE_MANIFEST_VERSION = 1;
+
+function imageSettings(bundle) {
+    return { maxWidth: bundle.maxWidth, maxHeight: bundle.maxHeight, quality: bundle.quality };
+}
+
+/**
+ * Catalog entries in bundle priority order
+ */
+function prioritizedEntries(config) {
+    const { pinned, targets } = config.offlineBundle;
+    const entries = [
+        ...pinned.map(name => findEntry(config.objects, name)).filter(Boolean),
+        ...targets.flatMap(name => config.objects.filter(entry => entry.targets.includes(name))),
+    ];
+    return [...new Set(entries)];
+}
+
+/**
+ * The seeder's downloads for an entry, main image first, from whichever of
+ * the bundle's targets has the largest main image; [] when none has one
+ */
+async function sourceImages(config, entry) {
+    let best = { area: 0, files: [] };
+
+    for (const name of config.offlineBundle.targets.filter(t => entry.targets.includes(t))) {
+        const { imagesDir } = resolveTarget(config, name);
+        const main = path.join(imagesDir, `${entry.id}.jpg`);
+        if (!fs.existsSync(main)) continue;
+
+        const { width = 0, height = 0 } = await sharp(main).metadata();
+        if (width * height <= best.area) continue;
+
+        const extra = new RegExp(`^${entry.id}\\.(\\d+)\\.jpg$`);
+        const extras = fs.readdirSync(imagesDir)
+            .map(file => file.match(extra))
+            .filter(Boolean)
+            .sort((a, b) => a[1] - b[1])
+            .map(match => path.join(imagesDir, match[0]));
+        best = { area: width * height, files: [main, ...extras] };
+    }
+
+    return best.files;
+}
+
+/**
+ * Re-encode an image to fit the bundle settings. One that already fits and
+ * would not get smaller ships as it is.
+ */
+async function optimizeImage(input, { maxWidth, maxHeight, quality }) {
+    const { width, height } = await sharp(input).metadata();
+    const { data, info } = await sharp(input)
+        .rotate()
+        .resize({ width: maxWidth, height: maxHeight, fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality, mozjpeg: true })
+        .toBuffer({ resolveWithObject: true });
+
+    if (width <= maxWidth && height <= maxHeight && data.length >= input.length) {
+        return { data: input, width, height };
+    }
+    return { data, width: info.width, height: info.height };
+}
+
+/**
+ * Bytes the bundled data files (assets/data) take, the offline manifest aside
+ */
+function dataBytes(config) {
+    if (!fs.existsSync(config.paths.bundleDataDir)) return 0;
+
+    return fs.readdirSync(config.paths.bundleDataDir, { recursive: true })
+        .map(file => path.join(config.paths.bundleDataDir, file))
+        .filter(file => file !== config.offlineBundle.manifestPath && fs.statSync(file).isFile())
+        .reduce((sum, file) => sum + fs.statSync(file).size, 0);
+}
+
+/**
+ * Build the offline bundle from the seeder's downloads, reusing images whose
+ * source and settings have not changed since the last build (or whose source
+ * is not on disk), and deleting files that no longer ship. Returns the
+ * manifest written.
+ */
+async function buildOfflineBundle(config) {
+    const bundle = config.offlineBundle;
+    const settings = imageSettings(bundle);
+    const appRoot = path.dirname(config.paths.assetsDir);
+    const relative = file => path.relative(appRoot, file).split(path.sep).join('/');
+
+    const previous = readJson(bundle.manifestPath, null);
+    const reusable = previous?.version === OFFLINE_MANIFEST_VERSION && JSON.stringify(previous.settings) === JSON.stringify(settings)
+        ? new Map(Object.values(previous.objects).flat().map(image => [image.path, image]))
+        : new Map();
+
+    // Some downloads are not committed (see .gitignore); when an object's
+    // source is not on disk, keep what the last build shipped for it
+    const stillShipped = image => reusable.has(image.path) && fs.existsSync(path.join(appRoot, image.path))
+        && hashFile(path.join(appRoot, image.path)) === image.sha256;
+
+    const dropped = [];
+    const mains = [];
+    const extras = [];
+    for (const entry of prioritizedEntries(config)) {
+        const shipped = previous?.objects?.[entry.id] || [];
+        if (shipped.length > 0 && !fs.existsSync(path.join(appRoot, shipped[0].source.path))) {
+            const [keptMain, ...keptRest] = shipped.filter(stillShipped);
+            if (keptMain) {
+                mains.push({ id: entry.id, kept: keptMain, isMain: true });
+                extras.push(...keptRest.map(kept => ({ id: entry.id, kept, isMain: false })));
+                continue;
+            }
+        }
+
+        const [main, ...rest] = await sourceImages(config, entry);
+        if (!main) {
+            dropped.push({ id: entry.id, file: `${entry.id}.jpg`, bytes: null, reason: 'not downloaded (run the seeder)' });
+            continue;
+        }
+        mains.push({ id: entry.id, source: main, isMain: true });
+        extras.push(...rest.map(source => ({ id: entry.id, source, isMain: false })));
+    }
+
+    ensureDir(bundle.imagesDir);
+    const objects = {};
+    let totalBytes = dataBytes(config);
+
+    for (const { id, source, kept, isMain } of [...mains, ...extras]) {
+        const file = path.posix.basename(kept ? kept.path : source);
+        if (!isMain && !objects[id]) {
+            dropped.push({ id, file, bytes: null, reason: 'main image not bundled' });
+            continue;
+        }
+
+        const outputPath = path.join(bundle.imagesDir, file);
+        let image = kept;
+        let data = null;
+        if (!kept) {
+            const input = fs.readFileSync(source);
+            image = {
+                path: `${bundle.assetImagesPath}/${file}`,
+                source: { path: relative(source), sha256: sha256(input) },
+            };
+            const before = reusable.get(image.path);
+
+            if (before && before.source.sha256 === image.source.sha256 && fs.existsSync(outputPath) && hashFile(outputPath) === before.sha256) {
+                Object.assign(image, { width: before.width, height: before.height, bytes: before.bytes, sha256: before.sha256 });
+            } else {
+                const optimized = await optimizeImage(input, settings);
+                data = optimized.data;
+                Object.assign(image, { width: optimized.width, height: optimized.height, bytes: data.length, sha256: sha256(data) });
+            }
+        }
+
+        if (totalBytes + image.bytes > bundle.budgetBytes) {
+            dropped.push({ id, file, bytes: image.bytes, reason: 'over budget' });
+            continue;
+        }
+
+        if (data) fs.writeFileSync(outputPath, data);
+        totalBytes += image.bytes;
+        (objects[id] ||= []).push({
+            path: image.path,
+            width: image.width,
+            height: image.height,
+            bytes: image.bytes,
+            sha256: image.sha256,
+            source: image.source,
+        });
+    }
+
+    const shipped = new Set(Object.values(objects).flat().map(image => path.posix.basename(image.path)));
+    for (const file of fs.readdirSync(bundle.imagesDir)) {
+        if (!shipped.has(file)) fs.unlinkSync(path.join(bundle.imagesDir, file));
+    }
+
+    const manifest = {
+        version: OFFLINE_MANIFEST_VERSION,
+        settings,
+        budgetBytes: bundle.budgetBytes,
+        totalBytes,
+        objects,
+        dropped,
+    };
+    writeJson(bundle.manifestPath, manifest);
+    return manifest;
+}
+
+function formatBytes(bytes) {
+    return bytes >= 1e6 ? `${(bytes / 1e6).toFixed(1)} MB` : `${Math.round(bytes / 1e3)} KB`;
+}
+
+/**
+ * Print what the bundle holds and what was dropped; returns false when a
+ * pinned object's main image did not make it
+ */
+function printBundleReport(config, manifest) {
+    const bundle = config.offlineBundle;
+    const images = Object.values(manifest.objects).flat();
+    const imageBytes = images.reduce((sum, image) => sum + image.bytes, 0);
+
+    console.log(`📦 Offline bundle: ${images.length} images for ${Object.keys(manifest.objects).length} objects in ${bundle.assetImagesPath}, `
+        + `${formatBytes(manifest.totalBytes)} of ${formatBytes(manifest.budgetBytes)} (images ${formatBytes(imageBytes)}, data ${formatBytes(manifest.totalBytes - imageBytes)})`);
+
+    if (manifest.dropped.length > 0) {
+        console.log(`   ⚠️  Dropped ${manifest.dropped.length} image(s):`);
+        manifest.dropped.forEach(({ file, bytes, reason }) => console.log(`      - ${file}${bytes ? ` (${formatBytes(bytes)})` : ''}: ${reason}`));
+    }
+
+    const missing = bundle.pinned
+        .map(name => findEntry(config.objects, name)?.id || name)
+        .filter(id => !manifest.objects[id]);
+    if (missing.length > 0) console.error(`❌ Pinned objects missing from the offline bundle: ${missing.join(', ')}`);
+    return missing.length === 0;
+}
+
+module.exports = {
+    OFFLINE_MANIFEST_VERSION,
+    imageSettings,
+    buildOfflineBundle,
+    printBundleReport,
+};
@@ -0,0 +1,225 @@
+const fs = require('fs');
+
+const { RELATION_TYPES } = require('../../shared/relations');
+
+/**
+ * Declarative object catalog (scripts/catalog.json)
+ *
+ * Each entry:
+ *   id        Stable slug used for file names and asset paths (required)
+ *   query     NASA Image Library search text (required)
+ *   aliases   Other names that resolve to this entry, e.g. "M31"
+ *   type      galaxy | star | planet | nebula | other (inferred when omitted)
+ *   nasaId    Pinned NASA asset ID so reruns produce the same image
+ *   exclude   { nasaIds: [...], terms: [...] } results to never pick
+ *   related   { [relation]: [id, ...] } links to other entries, e.g.
+ *             { "parentBody": ["earth"] } (see shared/relations.js)
+ *   targets   Output targets from seed.config.json (required)
+ */
+
+const OBJECT_TYPES = ['galaxy', 'star', 'planet', 'nebula', 'other'];
+const ENTRY_FIELDS = ['id', 'query', 'aliases', 'type', 'nasaId', 'exclude', 'related', 'targets'];
+const EXCLUDE_FIELDS = ['nasaIds', 'terms'];
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Thrown when the catalog file is malformed; carries every problem found
+ */
+class CatalogError extends Error {
+    constructor(problems) {
+        super(`Invalid catalog (${problems.length} problem(s)):\n  - ${problems.join('\n  - ')}`);
+        this.name = 'CatalogError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Normalize a name or alias for lookups ("NGC 224" -> "ngc-224")
+ */
+function toSlug(name) {
+    return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(v => typeof v === 'string' && v.length > 0);
+}
+
+/**
+ * Collect every problem in a parsed catalog instead of stopping at the first
+ */
+function checkCatalog(catalog, targetNames) {
+    const problems = [];
+
+    if (!catalog || !Array.isArray(catalog.objects)) {
+        return ['catalog must be an object with an "objects" array'];
+    }
+
+    const unknownTop = Object.keys(catalog).filter(key => key !== 'objects');
+    unknownTop.forEach(key => problems.push(`unknown top-level field "${key}"`));
+
+    // Every slug (id or alias) maps to the entry that claimed it first
+    const seenIds = new Set();
+    const claimed = new Map();
+    const claim = (slug, owner, label) => {
+        const previous = claimed.get(slug);
+        if (previous && previous !== owner) {
+            problems.push(`${label} conflicts with "${previous}"`);
+        } else {
+            claimed.set(slug, owner);
+        }
+    };
+
+    const catalogIds = new Set(catalog.objects.map(entry => entry?.id));
+
+    catalog.objects.forEach((entry, i) => {
+        const label = typeof entry?.id === 'string' ? entry.id : `objects[${i}]`;
+
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            problems.push(`${label}: entry must be an object`);
+            return;
+        }
+
+        Object.keys(entry)
+            .filter(key => !ENTRY_FIELDS.includes(key))
+            .forEach(key => problems.push(`${label}: unknown field "${key}"`));
+
+        if (typeof entry.id !== 'string' || !ID_PATTERN.test(entry.id)) {
+            problems.push(`${label}: "id" must be a lowercase slug`);
+        } else if (seenIds.has(entry.id)) {
+            problems.push(`${label}: duplicate id`);
+        } else {
+            seenIds.add(entry.id);
+            claim(entry.id, entry.id, `${label}: id`);
+        }
+
+        if (typeof entry.query !== 'string' || entry.query.trim() === '') {
+            problems.push(`${label}: "query" is required`);
+        }
+
+        if (entry.type !== undefined && !OBJECT_TYPES.includes(entry.type)) {
+            problems.push(`${label}: unknown type "${entry.type}" (expected ${OBJECT_TYPES.join(', ')})`);
+        }
+
+        if (entry.nasaId !== undefined && (typeof entry.nasaId !== 'string' || entry.nasaId === '')) {
+            problems.push(`${label}: "nasaId" must be a non-empty string`);
+        }
+
+        if (entry.aliases !== undefined) {
+            if (!isStringArray(entry.aliases)) {
+                problems.push(`${label}: "aliases" must be an array of strings`);
+            } else {
+                entry.aliases.forEach(alias => claim(toSlug(alias), entry.id, `${label}: alias "${alias}"`));
+            }
+        }
+
+        if (entry.exclude !== undefined) {
+            if (!entry.exclude || typeof entry.exclude !== 'object' || Array.isArray(entry.exclude)) {
+                problems.push(`${label}: "exclude" must be an object`);
+            } else {
+                for (const key of Object.keys(entry.exclude)) {
+                    if (!EXCLUDE_FIELDS.includes(key)) {
+                        problems.push(`${label}: unknown field "exclude.${key}"`);
+                    } else if (!isStringArray(entry.exclude[key])) {
+                        problems.push(`${label}: "exclude.${key}" must be an array of strings`);
+                    }
+                }
+            }
+        }
+
+        if (entry.related !== undefined) {
+            if (!entry.related || typeof entry.related !== 'object' || Array.isArray(entry.related)) {
+                problems.push(`${label}: "related" must be an object`);
+            } else {
+                for (const [relation, ids] of Object.entries(entry.related)) {
+                    if (!RELATION_TYPES.includes(relation)) {
+                        problems.push(`${label}: unknown relation "${relation}" (expected ${RELATION_TYPES.join(', ')})`);
+                    } else if (!isStringArray(ids)) {
+                        problems.push(`${label}: "related.${relation}" must be an array of ids`);
+                    } else {
+                        ids.filter(id => !catalogIds.has(id) || id === entry.id)
+                            .forEach(id => problems.push(`${label}: related.${relation} "${id}" is not another catalog id`));
+                    }
+                }
+            }
+        }
+
+        if (!isStringArray(entry.targets) || entry.targets.length === 0) {
+            problems.push(`${label}: "targets" must list at least one target`);
+        } else {
+            entry.targets
+                .filter(name => !targetNames.includes(name))
+                .forEach(name => problems.push(`${label}: unknown target "${name}"`));
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Read and validate the catalog file, throwing a CatalogError on any problem
+ */
+function loadCatalog(catalogPath, targetNames) {
+    let catalog;
+    try {
+        catalog = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+    } catch (err) {
+        throw new CatalogError([`cannot read ${catalogPath}: ${err.message}`]);
+    }
+
+    const problems = checkCatalog(catalog, targetNames);
+    if (problems.length > 0) {
+        throw new CatalogError(problems);
+    }
+
+    return catalog.objects;
+}
+
+/**
+ * Find a catalog entry by id or alias
+ */
+function findEntry(objects, name) {
+    const slug = toSlug(name);
+    return objects.find(entry => entry.id === slug || (entry.aliases || []).some(alias => toSlug(alias) === slug)) || null;
+}
+
+/**
+ * Whether a NASA search result is ruled out by the entry's exclusions
+ */
+function isExcluded(entry, nasaItem) {
+    const datum = nasaItem.data?.[0] || {};
+    const exclude = entry.exclude || {};
+
+    if ((exclude.nasaIds || []).includes(datum.nasa_id)) return true;
+
+    const text = `${datum.title || ''} ${(datum.keywords || []).join(' ')}`.toLowerCase();
+    return (exclude.terms || []).some(term => text.includes(term.toLowerCase()));
+}
+
+/**
+ * Ways a seeded object's main image contradicts its catalog entry: a pinned
+ * nasaId it does not use, or an excluded id or term. Empty when it agrees.
+ */
+function catalogConflicts(entry, data) {
+    const nasaId = data.metadata?.nasaId || null;
+    const conflicts = [];
+
+    if (entry.nasaId && nasaId !== entry.nasaId) {
+        conflicts.push(`${nasaId ? `image ${nasaId}` : 'no metadata.nasaId'}, but the catalog pins ${entry.nasaId}`);
+    }
+    if (isExcluded(entry, { data: [{ nasa_id: nasaId, title: data.title, keywords: data.keywords }] })) {
+        conflicts.push(`image ${nasaId || '(no nasaId)'} "${data.title}" is excluded by the catalog`);
+    }
+
+    return conflicts;
+}
+
+module.exports = {
+    OBJECT_TYPES,
+    CatalogError,
+    toSlug,
+    checkCatalog,
+    loadCatalog,
+    findEntry,
+    isExcluded,
+    catalogConflicts,
+};
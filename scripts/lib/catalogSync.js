@@ -0,0 +1,74 @@
+const path = require('path');
+
+const { readJson, writeJson } = require('./indexWriter');
+
+/**
+ * Versioned catalog snapshot (data/catalog_sync.json), bundled into the
+ * Worker for its /catalog routes so the app can pick up curated changes
+ * without a new release:
+ *   version    Bumped whenever an object is added, changed or removed
+ *   updatedAt  When the version was last bumped
+ *   objects    { [id]: { version, aliases, object } } in catalog order;
+ *              version is the catalog version the object last changed in
+ *   removed    { [id]: version it was removed in }
+ */
+
+function emptySnapshot() {
+    return { version: 0, updatedAt: null, objects: {}, removed: {} };
+}
+
+/**
+ * Build the next snapshot from the previous one and the current objects.
+ * Returns the previous snapshot unchanged when nothing differs.
+ */
+function nextSnapshot(previous, current, now = new Date().toISOString()) {
+    const version = previous.version + 1;
+    const objects = {};
+    const removed = { ...previous.removed };
+    let changed = false;
+
+    for (const { object, aliases } of current) {
+        const before = previous.objects[object.id];
+        const same = before
+            && JSON.stringify(before.object) === JSON.stringify(object)
+            && JSON.stringify(before.aliases) === JSON.stringify(aliases);
+
+        objects[object.id] = same ? before : { version, aliases, object };
+        if (!same) changed = true;
+        delete removed[object.id];
+    }
+
+    for (const id of Object.keys(previous.objects)) {
+        if (!objects[id]) {
+            removed[id] = version;
+            changed = true;
+        }
+    }
+
+    // Order changes alone (catalog reshuffles) do not need a new version
+    if (!changed) return previous;
+    return { version, updatedAt: now, objects, removed };
+}
+
+/**
+ * Refresh a target's sync snapshot from the object files on disk
+ */
+function writeCatalogSync(target, entries) {
+    const previous = readJson(target.syncPath, null) || emptySnapshot();
+    const current = entries
+        .map(entry => ({
+            object: readJson(path.join(target.objectsDir, `${entry.id}.json`), null),
+            aliases: entry.aliases || [],
+        }))
+        .filter(item => item.object);
+
+    const snapshot = nextSnapshot(previous, current);
+    if (snapshot !== previous) writeJson(target.syncPath, snapshot);
+    return snapshot;
+}
+
+module.exports = {
+    emptySnapshot,
+    nextSnapshot,
+    writeCatalogSync,
+};
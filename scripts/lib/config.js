@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+
+const { loadCatalog } = require('./catalog');
+const { loadTranslations } = require('./translations');
+const { DEFAULT_LOCALE } = require('../../shared/localization');
+const { DEFAULT_GALLERY_SIZE } = require('../../shared/media');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const DEFAULT_CONFIG_PATH = path.join(PROJECT_ROOT, 'scripts', 'seed.config.json');
+
+/**
+ * Load the seeding config and its catalog, resolving paths against the project root.
+ * Environment variables win over the file so CI can point at another Worker.
+ */
+function loadConfig(configPath = DEFAULT_CONFIG_PATH) {
+    const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+    const paths = {
+        dataDir: path.join(PROJECT_ROOT, raw.paths.dataDir),
+        bundleDataDir: path.join(PROJECT_ROOT, raw.paths.bundleDataDir),
+        assetsDir: path.join(PROJECT_ROOT, raw.paths.assetsDir),
+    };
+
+    // Locales to report translation coverage for; text falls back to fallbackLocale
+    const i18n = { fallbackLocale: DEFAULT_LOCALE, locales: [], ...raw.i18n };
+    const translationsDir = i18n.translations ? path.join(PROJECT_ROOT, i18n.translations) : null;
+
+    // Gallery size per object, and whether NASA videos may join it
+    const media = { galleryLimit: DEFAULT_GALLERY_SIZE, videos: false, ...raw.media };
+
+    // What ships in the APK: images re-encoded into one folder within a size budget
+    const offlineBundle = raw.offlineBundle ? {
+        targets: Object.keys(raw.targets),
+        pinned: [],
+        maxWidth: 1024,
+        maxHeight: 1024,
+        quality: 80,
+        ...raw.offlineBundle,
+        imagesDir: path.join(paths.assetsDir, raw.offlineBundle.imagesDir),
+        assetImagesPath: path.posix.join(path.basename(paths.assetsDir), raw.offlineBundle.imagesDir),
+        manifestPath: path.join(paths.bundleDataDir, raw.offlineBundle.manifest),
+    } : null;
+
+    return {
+        ...raw,
+        configPath,
+        projectRoot: PROJECT_ROOT,
+        proxyBaseUrl: process.env.PROXY_BASE_URL || raw.proxyBaseUrl,
+        nasaImageApiUrl: process.env.NASA_IMAGE_API_URL || raw.nasaImageApiUrl,
+        paths,
+        media,
+        offlineBundle,
+        manifestPath: path.join(PROJECT_ROOT, raw.manifest),
+        objects: loadCatalog(path.join(PROJECT_ROOT, raw.catalog), Object.keys(raw.targets)),
+        i18n,
+        translationsDir,
+        translations: loadTranslations(translationsDir),
+    };
+}
+
+/**
+ * Resolve the on-disk locations a target writes to
+ */
+function resolveTarget(config, name) {
+    const target = config.targets[name];
+    if (!target) {
+        throw new Error(`Unknown target "${name}"`);
+    }
+
+    return {
+        name,
+        // Gallery images downloaded per object, main image included
+        offlineMediaLimit: 1,
+        ...target,
+        objectsDir: path.join(config.paths.dataDir, target.dir),
+        indexPath: path.join(config.paths.dataDir, target.index),
+        imagesDir: path.join(config.paths.assetsDir, target.imagesDir),
+        // Where the seeder downloads images, relative to mobile-app/, e.g. "assets/images/tier_a"
+        assetImagesPath: path.posix.join(path.basename(config.paths.assetsDir), target.imagesDir),
+        bundleObjectsDir: path.join(config.paths.bundleDataDir, target.dir),
+        bundleIndexPath: path.join(config.paths.bundleDataDir, target.index),
+        // Prebuilt offline full-text index (optional, see shared/searchIndex.js)
+        searchIndexPath: target.searchIndex ? path.join(config.paths.dataDir, target.searchIndex) : null,
+        bundleSearchIndexPath: target.searchIndex ? path.join(config.paths.bundleDataDir, target.searchIndex) : null,
+        // Versioned snapshot the Worker serves at /catalog (optional)
+        syncPath: target.sync ? path.join(config.paths.dataDir, target.sync) : null,
+    };
+}
+
+module.exports = {
+    PROJECT_ROOT,
+    DEFAULT_CONFIG_PATH,
+    loadConfig,
+    resolveTarget,
+};
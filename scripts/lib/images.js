@@ -0,0 +1,54 @@
+const fs = require('fs');
+const https = require('https');
+const http = require('http');
+
+const MAX_REDIRECTS = 5;
+
+/**
+ * Download an image from a URL to a local file, following redirects.
+ * Writes to a .part file first so a failed download never clobbers the
+ * image from an earlier run.
+ */
+function downloadImage(imageUrl, destPath, redirectsLeft = MAX_REDIRECTS) {
+    return new Promise((resolve, reject) => {
+        const protocol = imageUrl.startsWith('https') ? https : http;
+
+        protocol.get(imageUrl, (response) => {
+            if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
+                response.resume();
+                if (redirectsLeft === 0) {
+                    reject(new Error('Too many redirects'));
+                    return;
+                }
+                const redirectUrl = new URL(response.headers.location, imageUrl).toString();
+                downloadImage(redirectUrl, destPath, redirectsLeft - 1).then(resolve).catch(reject);
+                return;
+            }
+
+            if (response.statusCode !== 200) {
+                response.resume();
+                reject(new Error(`HTTP ${response.statusCode}`));
+                return;
+            }
+
+            const partPath = `${destPath}.part`;
+            const file = fs.createWriteStream(partPath);
+            response.pipe(file);
+
+            file.on('finish', () => {
+                file.close(() => {
+                    fs.rename(partPath, destPath, err => (err ? reject(err) : resolve(destPath)));
+                });
+            });
+
+            file.on('error', (err) => {
+                fs.unlink(partPath, () => { });
+                reject(err);
+            });
+        }).on('error', reject);
+    });
+}
+
+module.exports = {
+    downloadImage,
+};
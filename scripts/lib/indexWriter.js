@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+
+const { buildSearchIndex } = require('../../shared/searchIndex');
+
+/**
+ * Ensure a directory exists, create if not
+ */
+function ensureDir(dirPath) {
+    if (!fs.existsSync(dirPath)) {
+        fs.mkdirSync(dirPath, { recursive: true });
+        console.log(`📁 Created directory: ${dirPath}`);
+    }
+}
+
+function writeJson(filePath, data) {
+    ensureDir(path.dirname(filePath));
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+function readJson(filePath, fallback) {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Build a summary entry for a target's index
+ */
+function buildIndexEntry(objectData, target) {
+    return {
+        id: objectData.id,
+        title: objectData.title,
+        type: objectData.type,
+        thumbnailPath: objectData.localImagePath,
+        path: `${target.dir}/${objectData.id}.json`,
+        ...(objectData.related && { related: objectData.related.map(({ id, relation }) => ({ id, relation })) }),
+    };
+}
+
+/**
+ * Save an object JSON into a target (and its APK bundle copy if enabled)
+ */
+function writeObject(target, objectData) {
+    writeJson(path.join(target.objectsDir, `${objectData.id}.json`), objectData);
+    if (target.bundle) {
+        writeJson(path.join(target.bundleObjectsDir, `${objectData.id}.json`), objectData);
+    }
+}
+
+function readIndex(target) {
+    return readJson(target.indexPath, []);
+}
+
+function writeIndex(target, entries) {
+    writeJson(target.indexPath, entries);
+    if (target.bundle) {
+        writeJson(target.bundleIndexPath, entries);
+    }
+}
+
+/**
+ * Rebuild a target's index from the object files on disk, in catalog order.
+ * Objects whose latest fetch failed keep the entry from their last good run.
+ */
+function rebuildIndex(target, catalogIds) {
+    const entries = catalogIds
+        .map(id => readJson(path.join(target.objectsDir, `${id}.json`), null))
+        .filter(Boolean)
+        .map(objectData => buildIndexEntry(objectData, target));
+
+    writeIndex(target, entries);
+    return entries;
+}
+
+/**
+ * Build a target's full-text index from the object files on disk, in catalog
+ * order, with catalog aliases and translations added to each object's own words
+ */
+function buildTargetSearchIndex(target, entries) {
+    const documents = entries
+        .map(entry => {
+            const objectData = readJson(path.join(target.objectsDir, `${entry.id}.json`), null);
+            if (!objectData) return null;
+
+            // Translated titles and summaries make the index work in every locale
+            const translated = field => Object.values(objectData.localized?.[field] || {});
+            return {
+                ...buildIndexEntry(objectData, target),
+                description: [objectData.description, ...translated('summary')].join(' '),
+                keywords: objectData.keywords,
+                aliases: [...(entry.aliases || []), ...translated('title')],
+            };
+        })
+        .filter(Boolean);
+
+    return buildSearchIndex(documents);
+}
+
+/**
+ * Write a target's full-text index (and its bundle copy). No indentation:
+ * it is read by code only and ships inside the APK.
+ */
+function rebuildSearchIndex(target, entries) {
+    const index = buildTargetSearchIndex(target, entries);
+    const json = JSON.stringify(index);
+
+    const paths = target.bundle ? [target.searchIndexPath, target.bundleSearchIndexPath] : [target.searchIndexPath];
+    for (const filePath of paths) {
+        ensureDir(path.dirname(filePath));
+        fs.writeFileSync(filePath, json);
+    }
+    return index;
+}
+
+module.exports = {
+    ensureDir,
+    readJson,
+    writeJson,
+    buildIndexEntry,
+    writeObject,
+    readIndex,
+    writeIndex,
+    rebuildIndex,
+    buildTargetSearchIndex,
+    rebuildSearchIndex,
+};
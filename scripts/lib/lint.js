@@ -0,0 +1,461 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const { resolveTarget } = require('./config');
+const { findEntry, catalogConflicts } = require('./catalog');
+const { hashFile } = require('./manifest');
+const { OFFLINE_MANIFEST_VERSION, imageSettings } = require('./bundle');
+const { relationGraph, withRelated } = require('./relations');
+const { IMAGE_VARIANTS } = require('./normalize');
+const { readJson, buildTargetSearchIndex } = require('./indexWriter');
+const { sourceHash, translationsFor, checkTranslations } = require('./translations');
+const { mergeTranslations } = require('../../shared/localization');
+const { missingAttribution } = require('../../shared/attribution');
+
+const SCHEMA_DIR = path.join(__dirname, '..', '..', 'shared', 'schema');
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Compile the shared JSON Schemas once per run
+ */
+function compileSchemas() {
+    const ajv = new Ajv({ allErrors: true });
+    return {
+        object: ajv.compile(readJson(path.join(SCHEMA_DIR, 'astro-object.schema.json'))),
+        indexEntry: ajv.compile(readJson(path.join(SCHEMA_DIR, 'index-entry.schema.json'))),
+    };
+}
+
+function formatSchemaErrors(errors) {
+    return errors.map(err => `${err.instancePath || '/'} ${err.message}`);
+}
+
+function listFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(dirent => {
+        const full = path.join(dir, dirent.name);
+        return dirent.isDirectory() ? listFiles(full) : [full];
+    });
+}
+
+/**
+ * Check the offline bundle settings, and its manifest against the images it
+ * lists and the seeder downloads (where present) they were made from
+ */
+function lintOfflineBundle(config, targets, report) {
+    const bundle = config.offlineBundle;
+    const appRoot = path.dirname(config.paths.assetsDir);
+    const rebuild = '(run `node scripts/seed.js bundle`)';
+
+    if (!Number.isInteger(bundle.budgetBytes) || bundle.budgetBytes < 1) report(config.configPath, 'offlineBundle.budgetBytes must be a positive integer');
+    if (!Number.isInteger(bundle.quality) || bundle.quality < 1 || bundle.quality > 100) report(config.configPath, 'offlineBundle.quality must be an integer from 1 to 100');
+    bundle.targets.filter(name => !config.targets[name])
+        .forEach(name => report(config.configPath, `offlineBundle: unknown target "${name}"`));
+    bundle.pinned.filter(name => !findEntry(config.objects, name))
+        .forEach(name => report(config.configPath, `offlineBundle: pinned "${name}" is not in the catalog`));
+    targets.filter(target => target.imagesDir === bundle.imagesDir)
+        .forEach(target => report(config.configPath, `offlineBundle.imagesDir is also target "${target.name}"'s download folder`));
+
+    if (!fs.existsSync(bundle.manifestPath)) {
+        report(bundle.manifestPath, `offline bundle manifest is missing ${rebuild}`);
+        return;
+    }
+
+    const manifest = readJson(bundle.manifestPath);
+    if (manifest.version !== OFFLINE_MANIFEST_VERSION || JSON.stringify(manifest.settings) !== JSON.stringify(imageSettings(bundle))
+        || manifest.budgetBytes !== bundle.budgetBytes) {
+        report(bundle.manifestPath, `settings out of date with the config ${rebuild}`);
+    }
+    if (manifest.totalBytes > manifest.budgetBytes) report(bundle.manifestPath, `${manifest.totalBytes} bytes, over the budget of ${manifest.budgetBytes}`);
+
+    const listed = new Set();
+    for (const [id, images] of Object.entries(manifest.objects || {})) {
+        if (!config.objects.some(entry => entry.id === id)) report(bundle.manifestPath, `${id}: not in the catalog`);
+
+        for (const image of images) {
+            listed.add(path.join(appRoot, image.path));
+            if (!fs.existsSync(path.join(appRoot, image.path))) {
+                report(bundle.manifestPath, `${id}: ${image.path} does not exist under mobile-app/`);
+            } else if (hashFile(path.join(appRoot, image.path)) !== image.sha256) {
+                report(bundle.manifestPath, `${id}: ${image.path} does not match its sha256`);
+            }
+            // Not every download is committed; check the ones that are on disk
+            const source = path.join(appRoot, image.source.path);
+            if (fs.existsSync(source) && hashFile(source) !== image.source.sha256) {
+                report(bundle.manifestPath, `${id}: ${image.path} out of date with ${image.source.path} ${rebuild}`);
+            }
+        }
+    }
+
+    for (const file of listFiles(bundle.imagesDir)) {
+        if (!listed.has(file)) report(file, `not listed in ${path.basename(bundle.manifestPath)} ${rebuild}`);
+    }
+}
+
+/**
+ * Check a catalog sync snapshot against a target's objects on disk
+ */
+function lintSync(snapshot, objects, target, report) {
+    const stale = `out of date with ${target.dir}/ (run \`node scripts/seed.js enrich\`)`;
+
+    if (!Number.isInteger(snapshot.version) || snapshot.version < 1) report('version must be a positive integer');
+    if (typeof snapshot.objects !== 'object' || typeof snapshot.removed !== 'object') {
+        report('objects and removed must be objects');
+        return;
+    }
+
+    for (const [id, record] of Object.entries(snapshot.objects)) {
+        if (!Number.isInteger(record.version) || record.version > snapshot.version) {
+            report(`${id}: version ${record.version} is not within 1..${snapshot.version}`);
+        }
+        if (!objects.has(id)) {
+            report(`${id}: ${stale}`);
+        } else if (JSON.stringify(record.object) !== JSON.stringify(objects.get(id))) {
+            report(`${id}: ${stale}`);
+        }
+        if (id in snapshot.removed) report(`${id}: listed as both present and removed`);
+    }
+
+    for (const id of objects.keys()) {
+        if (!(id in snapshot.objects)) report(`${id}: missing, ${stale}`);
+    }
+}
+
+/**
+ * Lint everything under data/ against the schema, the indexes, the catalog
+ * and the bundled assets. Returns problems grouped by project-relative file.
+ */
+function lintData(config) {
+    const schemas = compileSchemas();
+    const problems = new Map();
+    const rel = file => path.relative(config.projectRoot, file);
+    const report = (file, message) => {
+        const key = rel(file);
+        if (!problems.has(key)) problems.set(key, []);
+        problems.get(key).push(message);
+    };
+
+    // mobile-app/ is the root that localImagePath/thumbnailPath are relative to
+    const appRoot = path.dirname(config.paths.assetsDir);
+    const assetExists = assetPath => fs.existsSync(path.join(appRoot, assetPath));
+    const catalogById = new Map(config.objects.map(entry => [entry.id, entry]));
+
+    const parse = (file) => {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            report(file, `invalid JSON: ${err.message}`);
+            return undefined;
+        }
+    };
+
+    const targets = Object.keys(config.targets).map(name => resolveTarget(config, name));
+    const known = new Set();
+
+    for (const target of targets) {
+        // Related lists expected from the catalog and the target's objects on
+        // disk; an unreadable object file is reported below
+        let graph = null;
+        try {
+            graph = relationGraph(config, target.name);
+        } catch {
+            graph = null;
+        }
+
+        if (!IMAGE_VARIANTS.includes(target.imageVariant)) {
+            report(config.configPath, `target "${target.name}": unknown imageVariant "${target.imageVariant}"`);
+        }
+        if (!Number.isInteger(target.offlineMediaLimit) || target.offlineMediaLimit < 1) {
+            report(config.configPath, `target "${target.name}": offlineMediaLimit must be a positive integer`);
+        }
+
+        // Object files
+        const objects = new Map();
+        for (const file of listFiles(target.objectsDir)) {
+            known.add(file);
+            if (!file.endsWith('.json')) {
+                report(file, 'unexpected non-JSON file');
+                continue;
+            }
+
+            const data = parse(file);
+            if (data === undefined) continue;
+
+            if (!schemas.object(data)) {
+                formatSchemaErrors(schemas.object.errors).forEach(msg => report(file, msg));
+            }
+
+            const expectedId = path.basename(file, '.json');
+            if (data.id !== expectedId) report(file, `id "${data.id}" does not match file name`);
+            if (!ID_PATTERN.test(String(data.id))) report(file, `id "${data.id}" is not a lowercase slug`);
+            if (objects.has(data.id)) report(file, `duplicate id "${data.id}"`);
+            objects.set(data.id, data);
+
+            if (data.localImagePath && !assetExists(data.localImagePath)) {
+                report(file, `localImagePath ${data.localImagePath} does not exist under mobile-app/`);
+            }
+            if (typeof data.imageUrl === 'string' && !data.imageUrl.startsWith(`${config.proxyBaseUrl}/image-proxy?url=`)) {
+                report(file, `imageUrl does not use the configured proxy ${config.proxyBaseUrl}`);
+            }
+            if (Array.isArray(data.imageSrcset) && data.imageSrcset.some(variant => !String(variant?.url).startsWith(`${config.proxyBaseUrl}/image-proxy?url=`))) {
+                report(file, `imageSrcset does not use the configured proxy ${config.proxyBaseUrl}`);
+            }
+            if (Array.isArray(data.media)) {
+                if (data.media.some(media => !String(media?.url).startsWith(`${config.proxyBaseUrl}/image-proxy?url=`))) {
+                    report(file, `media does not use the configured proxy ${config.proxyBaseUrl}`);
+                }
+                if (data.imageUrl && data.media[0]?.url !== data.imageUrl) report(file, 'media[0] is not the main image (imageUrl)');
+                data.media.slice(1).filter(media => media?.license !== 'public-domain')
+                    .forEach(media => report(file, `gallery item ${media?.nasaId} is ${media?.license}, only public-domain media may join`));
+
+                const bundled = data.media.filter(media => media?.localPath);
+                bundled.filter(media => !assetExists(media.localPath))
+                    .forEach(media => report(file, `media localPath ${media.localPath} does not exist under mobile-app/`));
+                if (bundled.length > target.offlineMediaLimit) {
+                    report(file, `${bundled.length} media downloaded, over the target's offlineMediaLimit of ${target.offlineMediaLimit}`);
+                }
+            }
+
+            const merged = mergeTranslations(data, translationsFor(config.translations, data), config.i18n.fallbackLocale);
+            if (JSON.stringify(merged) !== JSON.stringify(data)) {
+                report(file, 'summary/locale/localized out of date with scripts/translations (run `node scripts/seed.js enrich`)');
+            }
+
+            if (graph) {
+                (Array.isArray(data.related) ? data.related : [])
+                    .filter(link => !graph[link?.id])
+                    .forEach(link => report(file, `related "${link?.id}" is not a seeded object in target "${target.name}"`));
+                if (JSON.stringify(withRelated(data, graph[data.id])) !== JSON.stringify(data)) {
+                    report(file, 'related out of date with the catalog and the other objects (run `node scripts/seed.js enrich`)');
+                }
+            }
+
+            const entry = catalogById.get(data.id);
+            if (!entry) {
+                report(file, 'not in the catalog');
+            } else if (!entry.targets.includes(target.name)) {
+                report(file, `catalog does not list target "${target.name}" for this object`);
+            } else if (entry.type && data.type !== entry.type) {
+                report(file, `type "${data.type}" but the catalog says "${entry.type}"`);
+            }
+        }
+
+        // Index file
+        known.add(target.indexPath);
+        const index = fs.existsSync(target.indexPath) ? parse(target.indexPath) : undefined;
+        if (!fs.existsSync(target.indexPath)) {
+            report(target.indexPath, 'index file is missing');
+        } else if (index !== undefined && !Array.isArray(index)) {
+            report(target.indexPath, 'index must be an array');
+        } else if (index !== undefined) {
+            const indexed = new Set();
+            index.forEach((entry, i) => {
+                const label = `[${i}] ${entry?.id ?? ''}`.trim();
+                if (!schemas.indexEntry(entry)) {
+                    formatSchemaErrors(schemas.indexEntry.errors).forEach(msg => report(target.indexPath, `${label}: ${msg}`));
+                    return;
+                }
+                if (indexed.has(entry.id)) report(target.indexPath, `${label}: duplicate id`);
+                indexed.add(entry.id);
+
+                const objectFile = path.join(config.paths.dataDir, entry.path);
+                if (!fs.existsSync(objectFile)) {
+                    report(target.indexPath, `${label}: ${entry.path} does not exist`);
+                } else {
+                    const data = objects.get(path.basename(entry.path, '.json'));
+                    if (data && data.id !== entry.id) report(target.indexPath, `${label}: points at object "${data.id}"`);
+                    if (data && (data.title !== entry.title || data.type !== entry.type)) {
+                        report(target.indexPath, `${label}: title/type out of date with ${entry.path}`);
+                    }
+                }
+
+                if (entry.thumbnailPath && !assetExists(entry.thumbnailPath)) {
+                    report(target.indexPath, `${label}: thumbnailPath ${entry.thumbnailPath} does not exist under mobile-app/`);
+                }
+            });
+
+            for (const id of objects.keys()) {
+                if (!indexed.has(id)) report(path.join(target.objectsDir, `${id}.json`), `not listed in ${target.index}`);
+            }
+        }
+
+        // Catalog coverage
+        for (const entry of config.objects) {
+            if (entry.targets.includes(target.name) && !objects.has(entry.id)) {
+                report(path.join(target.objectsDir, `${entry.id}.json`), 'catalog entry has not been seeded');
+            }
+        }
+
+        // APK bundle copy must match data/
+        if (target.bundle) {
+            const pairs = [[target.indexPath, target.bundleIndexPath]];
+            if (target.searchIndexPath) pairs.push([target.searchIndexPath, target.bundleSearchIndexPath]);
+            for (const id of objects.keys()) {
+                pairs.push([path.join(target.objectsDir, `${id}.json`), path.join(target.bundleObjectsDir, `${id}.json`)]);
+            }
+            for (const [source, copy] of pairs) {
+                if (!fs.existsSync(copy)) {
+                    report(copy, `missing bundle copy of ${rel(source)}`);
+                } else if (fs.readFileSync(copy, 'utf8') !== fs.readFileSync(source, 'utf8')) {
+                    report(copy, `bundle copy differs from ${rel(source)}`);
+                }
+            }
+        }
+
+        // Full-text index must match a rebuild from the object files
+        if (target.searchIndexPath) {
+            known.add(target.searchIndexPath);
+            if (!fs.existsSync(target.searchIndexPath)) {
+                report(target.searchIndexPath, 'search index is missing');
+            } else {
+                const entries = config.objects.filter(entry => entry.targets.includes(target.name));
+                const expected = JSON.stringify(buildTargetSearchIndex(target, entries));
+                if (fs.readFileSync(target.searchIndexPath, 'utf8') !== expected) {
+                    report(target.searchIndexPath, `out of date with ${target.dir}/ (run \`node scripts/seed.js enrich\`)`);
+                }
+            }
+        }
+
+        // Worker sync snapshot must match the object files
+        if (target.syncPath) {
+            known.add(target.syncPath);
+            if (!fs.existsSync(target.syncPath)) {
+                report(target.syncPath, 'catalog sync snapshot is missing');
+            } else {
+                const snapshot = parse(target.syncPath);
+                if (snapshot !== undefined) lintSync(snapshot, objects, target, msg => report(target.syncPath, msg));
+            }
+        }
+    }
+
+    for (const file of listFiles(config.paths.dataDir)) {
+        if (!known.has(file)) report(file, 'not produced by any seeding target');
+    }
+
+    if (config.offlineBundle) lintOfflineBundle(config, targets, report);
+
+    // Translation files
+    const translationProblems = checkTranslations(config.translations, catalogById, config.i18n.fallbackLocale);
+    for (const [locale, messages] of translationProblems) {
+        messages.forEach(message => report(path.join(config.translationsDir, `${locale}.json`), message));
+    }
+
+    return problems;
+}
+
+/**
+ * Print a lint report; returns true when there was nothing to report
+ */
+function printReport(problems) {
+    if (problems.size === 0) return true;
+
+    let count = 0;
+    for (const [file, messages] of [...problems.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+        console.error(`\n❌ ${file}`);
+        messages.forEach(message => console.error(`   - ${message}`));
+        count += messages.length;
+    }
+    console.error(`\n${count} problem(s) in ${problems.size} file(s)`);
+    return false;
+}
+
+/**
+ * Why a seeded object must be re-fetched: its image contradicts the
+ * catalog's pin or exclusions, or it was seeded before credits were recorded
+ */
+function reseedReasons(entry, data) {
+    const unattributed = missingAttribution(data);
+    return [
+        ...catalogConflicts(entry, data),
+        ...(unattributed.length > 0 ? [`no ${unattributed.join('/')} recorded`] : []),
+    ];
+}
+
+/**
+ * Print objects that need re-fetching (see reseedReasons); warnings, not
+ * failures, as only a seed run with network access can fix them and it
+ * re-fetches them on its own
+ */
+function printReseedReport(config) {
+    const stale = [];
+
+    for (const entry of config.objects) {
+        for (const name of entry.targets) {
+            let data;
+            try {
+                data = readJson(path.join(resolveTarget(config, name).objectsDir, `${entry.id}.json`), null);
+            } catch {
+                continue; // reported by lintData
+            }
+
+            if (data) reseedReasons(entry, data).forEach(reason => stale.push(`[${name}] ${entry.id}: ${reason}`));
+        }
+    }
+
+    if (stale.length > 0) {
+        console.log(`🔁 ${stale.length} object file(s) to re-fetch with \`node scripts/seed.js seed\`:`);
+        stale.forEach(line => console.log(`   ⚠️  ${line}`));
+    }
+}
+
+/**
+ * Print object files whose English text is not the one a translation was
+ * written from, so it is not applied to them; warnings, not failures. The
+ * hash printed is the sourceHash for a translation of the current text.
+ */
+function printTranslationSourceReport(config) {
+    const outdated = [];
+
+    for (const [locale, entries] of Object.entries(config.translations)) {
+        for (const [id, { sourceHash: translated } = {}] of Object.entries(entries || {})) {
+            for (const name of findEntry(config.objects, id)?.targets || []) {
+                let data;
+                try {
+                    data = readJson(path.join(resolveTarget(config, name).objectsDir, `${id}.json`), null);
+                } catch {
+                    continue; // reported by lintData
+                }
+
+                if (data && sourceHash(data) !== translated) outdated.push(`${locale} ${id}: not the text of ${name}/${id}.json (sourceHash ${sourceHash(data)})`);
+            }
+        }
+    }
+
+    if (outdated.length > 0) {
+        console.log(`🌐 ${outdated.length} translation(s) written for other English text, not applied:`);
+        outdated.forEach(line => console.log(`   ⚠️  ${line}`));
+    }
+}
+
+/**
+ * Print objects whose main image is not known to be public domain; a
+ * warning, not a failure
+ */
+function printLicenseReport(config) {
+    const flagged = [];
+
+    for (const entry of config.objects) {
+        const target = resolveTarget(config, entry.targets[0]);
+        let data;
+        try {
+            data = readJson(path.join(target.objectsDir, `${entry.id}.json`), null);
+        } catch {
+            continue; // reported by lintData
+        }
+
+        if (data?.license && data.license !== 'public-domain') flagged.push(`${entry.id} (${data.license}: ${data.credit})`);
+    }
+
+    if (flagged.length > 0) console.log(`⚖️  Check licensing before publishing: ${flagged.join(', ')}`);
+}
+
+module.exports = {
+    compileSchemas,
+    lintData,
+    printReport,
+    reseedReasons,
+    printReseedReport,
+    printTranslationSourceReport,
+    printLicenseReport,
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { readJson, writeJson } = require('./indexWriter');
+
+/**
+ * Seed manifest (scripts/seed-manifest.json)
+ *
+ * Records, per catalog id, what the last run produced so reruns can skip
+ * unchanged objects and retry only failures:
+ *   status        ok | partial (an image failed) | failed
+ *   nasaId        NASA asset the object was built from
+ *   inputHash     Hash of the catalog entry and target settings it was built with
+ *   fetchedAt     When the object was last written
+ *   lastAttemptAt When a fetch was last tried
+ *   error         Why the last attempt failed (partial/failed only)
+ *   licenseWarning Why the main image needs a licensing review (not public domain)
+ *   images        { [target]: { url, sha256, bytes } }
+ *   gallery       { [target]: [{ file, url, sha256, bytes }] } extra downloaded gallery images
+ */
+
+const MANIFEST_VERSION = 1;
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hashFile(filePath) {
+    return sha256(fs.readFileSync(filePath));
+}
+
+function loadManifest(manifestPath) {
+    const manifest = readJson(manifestPath, null);
+    if (!manifest) return { version: MANIFEST_VERSION, objects: {} };
+    if (manifest.version !== MANIFEST_VERSION) {
+        throw new Error(`Unsupported seed manifest version ${manifest.version} in ${manifestPath}`);
+    }
+    return manifest;
+}
+
+function saveManifest(manifestPath, manifest) {
+    const objects = Object.fromEntries(Object.keys(manifest.objects).sort().map(id => [id, manifest.objects[id]]));
+    writeJson(manifestPath, { version: MANIFEST_VERSION, objects });
+}
+
+/**
+ * Hash of everything that shapes an object's output, so editing its catalog
+ * entry or a target setting invalidates the manifest record. Related links
+ * are applied offline (see lib/relations.js), so they do not count.
+ */
+function hashInputs(config, entry) {
+    const { related: _related, ...fetched } = entry;
+    return sha256(JSON.stringify({
+        entry: fetched,
+        targets: entry.targets.map(name => config.targets[name]),
+        proxyBaseUrl: config.proxyBaseUrl,
+        descriptionMaxLength: config.descriptionMaxLength,
+        srcsetWidths: config.srcsetWidths,
+        media: config.media,
+    }));
+}
+
+/**
+ * Whether a manifest record still matches the files on disk for these targets
+ */
+function isUpToDate(record, inputHash, targets, id) {
+    if (!record || record.status !== 'ok' || record.inputHash !== inputHash) return false;
+
+    return targets.every((target) => {
+        if (!fs.existsSync(path.join(target.objectsDir, `${id}.json`))) return false;
+
+        const files = [...(record.gallery?.[target.name] || [])];
+        const image = record.images?.[target.name];
+        if (image) files.push({ file: `${id}.jpg`, sha256: image.sha256 });
+
+        return files.every(({ file, sha256 }) => {
+            const imagePath = path.join(target.imagesDir, file);
+            return fs.existsSync(imagePath) && hashFile(imagePath) === sha256;
+        });
+    });
+}
+
+module.exports = {
+    sha256,
+    hashFile,
+    hashInputs,
+    loadManifest,
+    saveManifest,
+    isUpToDate,
+};
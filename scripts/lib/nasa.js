@@ -0,0 +1,91 @@
+/**
+ * NASA Image and Video Library client shared by the seeding commands
+ */
+
+const { pickBestCandidate } = require('../../shared/ranking');
+const { selectGallery } = require('../../shared/media');
+const { isExcluded } = require('./catalog');
+
+// Playable renditions, smallest first; not every video has every size
+const VIDEO_RENDITIONS = ['~mobile.mp4', '~small.mp4', '~medium.mp4', '~large.mp4', '~orig.mp4'];
+
+// Embedded rights notices in an asset's metadata.json, most specific first
+const RIGHTS_FIELDS = ['EXIF:Copyright', 'XMP:Rights', 'IPTC:CopyrightNotice'];
+
+async function getJson(url) {
+    const response = await fetch(url);
+
+    if (!response.ok) {
+        throw new Error(`NASA API returned ${response.status}: ${response.statusText}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Search the NASA Image and Video Library and return the raw collection items
+ */
+async function searchNasaLibrary(params, config, mediaType = 'image') {
+    const query = new URLSearchParams({ ...params, media_type: mediaType });
+    const data = await getJson(`${config.nasaImageApiUrl}/search?${query}`);
+    return data.collection?.items || [];
+}
+
+/**
+ * Fetch the NASA items for a catalog entry: `{ item, gallery }` with the main
+ * image and the ranked gallery it leads, or null when nothing usable came
+ * back. A pinned nasaId is looked up directly; otherwise the best search hit
+ * is the main image. Excluded results are skipped either way, and videos join
+ * the gallery when config.media.videos is set.
+ * Network and API errors are thrown so callers can record them.
+ */
+async function fetchNasaData(entry, config) {
+    const criteria = { name: entry.id.replace(/-/g, ' '), query: entry.query };
+    const search = async mediaType => (await searchNasaLibrary({ q: entry.query }, config, mediaType))
+        .filter(item => !isExcluded(entry, item));
+
+    const images = await search('image');
+    const item = entry.nasaId
+        ? (await searchNasaLibrary({ nasa_id: entry.nasaId }, config))[0]
+        : pickBestCandidate(images, criteria);
+    if (!item) return null;
+
+    const videos = config.media.videos ? await search('video') : [];
+    const gallery = selectGallery([...images, ...videos], criteria, { primary: item, limit: config.media.galleryLimit });
+    return { item, gallery };
+}
+
+/**
+ * What the search API leaves out of a gallery item: the original's pixel
+ * size and embedded rights notice (from its metadata.json) and, for videos,
+ * a playable file. All come from the item's asset list; whatever is missing
+ * is left out.
+ */
+async function fetchAssetDetails(item) {
+    const assets = (await getJson(item.href)).map(url => url.replace(/^http:/, 'https:'));
+    const details = {};
+
+    const metadataUrl = assets.find(url => url.endsWith('/metadata.json'));
+    if (metadataUrl) {
+        const metadata = await getJson(metadataUrl);
+        const width = Number(metadata['File:ImageWidth'] ?? metadata['QuickTime:ImageWidth']);
+        const height = Number(metadata['File:ImageHeight'] ?? metadata['QuickTime:ImageHeight']);
+        if (width > 0 && height > 0) Object.assign(details, { width, height });
+
+        const rights = RIGHTS_FIELDS.map(field => metadata[field]).find(Boolean);
+        if (rights) details.rights = String(rights);
+    }
+
+    if (item.data?.[0]?.media_type === 'video') {
+        const videoUrl = VIDEO_RENDITIONS.map(suffix => assets.find(url => url.endsWith(suffix))).find(Boolean);
+        if (videoUrl) details.videoUrl = videoUrl;
+    }
+
+    return details;
+}
+
+module.exports = {
+    searchNasaLibrary,
+    fetchNasaData,
+    fetchAssetDetails,
+};
@@ -0,0 +1,86 @@
+/**
+ * Normalization of NASA Image Library items to the app schema
+ * (see docs/api_contract.md)
+ */
+
+const { buildImageProxyUrl, buildSrcset } = require('../../shared/imageVariants');
+const { truncateAtWord } = require('../../shared/localization');
+const { nasaAttribution } = require('../../shared/attribution');
+
+const IMAGE_VARIANTS = ['thumb', 'small', 'medium', 'large', 'orig'];
+
+/**
+ * Guess an object type from the title and keywords
+ */
+function inferType(datum) {
+    const text = (datum.title + ' ' + (datum.keywords?.join(' ') || '')).toLowerCase();
+
+    if (text.includes('galaxy')) return 'galaxy';
+    if (text.includes('star')) return 'star';
+    if (text.includes('planet')) return 'planet';
+    if (text.includes('nebula')) return 'nebula';
+    return 'other';
+}
+
+/**
+ * Extract an image URL of the requested size from a NASA item.
+ * NASA images follow a pattern: the preview links have ~thumb, ~small, ~medium variants
+ */
+function extractImageUrl(nasaItem, variant = 'medium') {
+    const links = nasaItem.links || [];
+    const imageLink = links.find(l => l.render === 'image')?.href;
+
+    if (!imageLink) return null;
+    if (!IMAGE_VARIANTS.includes(variant)) {
+        throw new Error(`Unknown image variant "${variant}"`);
+    }
+
+    return imageLink.replace(/~(thumb|small|medium|large|orig)\.jpg$/, `~${variant}.jpg`);
+}
+
+function truncateDescription(description, maxLength) {
+    return truncateAtWord(description, maxLength);
+}
+
+/**
+ * Normalize a NASA item for a catalog entry into the app's object schema.
+ * `media` is its gallery (see shared/media.js), main image first, and
+ * `attribution` its credit/license when known better than the search hit
+ * tells (see shared/attribution.js).
+ */
+function normalizeToAppSchema(entry, nasaItem, { proxyBaseUrl, descriptionMaxLength, localImagePath, srcsetWidths, media, attribution }) {
+    const datum = nasaItem.data?.[0] || {};
+    const description = truncateDescription(
+        datum.description || datum.description_508 || 'No description available.',
+        descriptionMaxLength,
+    );
+    const mediumUrl = extractImageUrl(nasaItem, 'medium');
+
+    return {
+        id: entry.id,
+        title: datum.title || entry.query,
+        description,
+        imageUrl: mediumUrl ? buildImageProxyUrl(proxyBaseUrl, mediumUrl) : null,
+        imageSrcset: buildSrcset(proxyBaseUrl, mediumUrl, srcsetWidths),
+        localImagePath,
+        ...(media && media.length > 0 && { media }),
+        type: entry.type || inferType(datum),
+        metadata: {
+            distance: 'Unknown',
+            constellation: datum.keywords?.find(k => /constellation/i.test(k)) || 'Unknown',
+            nasaId: datum.nasa_id || null,
+            dateCreated: datum.date_created || null,
+            center: datum.center || 'NASA',
+        },
+        source: 'NASA',
+        ...(attribution || nasaAttribution(datum)),
+        keywords: datum.keywords || [],
+    };
+}
+
+module.exports = {
+    IMAGE_VARIANTS,
+    inferType,
+    extractImageUrl,
+    normalizeToAppSchema,
+};
@@ -0,0 +1,78 @@
+const path = require('path');
+
+const { resolveTarget } = require('./config');
+const { catalogConflicts } = require('./catalog');
+const { readJson, writeObject } = require('./indexWriter');
+const { buildRelationGraph } = require('../../shared/relations');
+
+/**
+ * Related-object graph over the objects seeded into one target (see
+ * shared/relations.js), so every link resolves within that target's index.
+ * Keywords of an image the catalog rejects describe something else and are
+ * left out.
+ */
+function relationGraph(config, targetName) {
+    const target = resolveTarget(config, targetName);
+    const nodes = [];
+
+    for (const entry of config.objects.filter(e => e.targets.includes(targetName))) {
+        const objectData = readJson(path.join(target.objectsDir, `${entry.id}.json`), null);
+        if (!objectData) continue;
+
+        nodes.push({
+            id: entry.id,
+            title: objectData.title,
+            type: objectData.type,
+            names: [entry.id, ...(entry.aliases || [])],
+            related: entry.related,
+            constellation: objectData.facts?.constellation?.value || null,
+            keywords: catalogConflicts(entry, objectData).length === 0 ? objectData.keywords || [] : [],
+        });
+    }
+
+    return buildRelationGraph(nodes);
+}
+
+/**
+ * An object with its related list from the graph (left out when empty),
+ * placed before the translations that mergeTranslations keeps last
+ */
+function withRelated(objectData, related = []) {
+    const { related: _previous, localized, ...rest } = objectData;
+    return {
+        ...rest,
+        ...(related.length > 0 && { related }),
+        ...(localized && { localized }),
+    };
+}
+
+/**
+ * Write every seeded object's related list into its files. Returns the
+ * names of the targets whose files changed.
+ */
+function linkRelatedObjects(config) {
+    const changed = new Set();
+
+    for (const name of Object.keys(config.targets)) {
+        const target = resolveTarget(config, name);
+        const graph = relationGraph(config, name);
+        for (const entry of config.objects.filter(e => e.targets.includes(name))) {
+            const objectData = readJson(path.join(target.objectsDir, `${entry.id}.json`), null);
+            if (!objectData) continue;
+
+            const linked = withRelated(objectData, graph[entry.id]);
+            if (JSON.stringify(linked) !== JSON.stringify(objectData)) {
+                writeObject(target, linked);
+                changed.add(name);
+            }
+        }
+    }
+
+    return changed;
+}
+
+module.exports = {
+    relationGraph,
+    withRelated,
+    linkRelatedObjects,
+};
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { LOCALIZED_FIELDS, LOCALE_PATTERN } = require('../../shared/localization');
+
+/**
+ * Hand-written translations (scripts/translations/<locale>.json), one file
+ * per locale, keyed by catalog id:
+ *
+ *   { "crab-nebula": { "sourceHash": "...", "title": "...", "summary": "...", "description": "..." } }
+ *
+ * `sourceHash` is the sourceHash() of the English title and description the
+ * translation was written from. The seeder merges a translation into the
+ * `localized` maps (see shared/localization.js) of the object files that
+ * still have that text, so one written for another image never ships with
+ * it. The fallback locale has no file: its text is the NASA caption.
+ */
+
+const SOURCE_HASH_PATTERN = /^[0-9a-f]{12}$/;
+
+/**
+ * Short hash of an object's English title and description, which a
+ * translation records to say what it translates
+ */
+function sourceHash(object) {
+    return crypto.createHash('sha256').update(`${object.title}\n${object.description}`).digest('hex').slice(0, 12);
+}
+
+/**
+ * Read every <locale>.json in the translations folder: { [locale]: { [id]: fields } }
+ */
+function loadTranslations(dir) {
+    const translations = {};
+    if (!dir || !fs.existsSync(dir)) return translations;
+
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+        const locale = path.basename(file, '.json');
+        try {
+            translations[locale] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        } catch (err) {
+            throw new Error(`Invalid translations file ${file}: ${err.message}`);
+        }
+    }
+    return translations;
+}
+
+/**
+ * One object's translations of its current English text: { [locale]: { title, summary, description } }
+ */
+function translationsFor(translations, object) {
+    const hash = sourceHash(object);
+    const result = {};
+    for (const [locale, entries] of Object.entries(translations)) {
+        if (entries?.[object.id]?.sourceHash === hash) result[locale] = entries[object.id];
+    }
+    return result;
+}
+
+/**
+ * Problems with the translation files themselves, grouped by locale
+ */
+function checkTranslations(translations, catalogIds, fallbackLocale) {
+    const problems = new Map();
+    const report = (locale, message) => {
+        if (!problems.has(locale)) problems.set(locale, []);
+        problems.get(locale).push(message);
+    };
+
+    for (const [locale, entries] of Object.entries(translations)) {
+        if (!LOCALE_PATTERN.test(locale)) report(locale, `"${locale}" is not a locale like "es" or "pt-BR"`);
+        if (locale === fallbackLocale) report(locale, `${fallbackLocale} is the fallback locale; its text comes from NASA`);
+        if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+            report(locale, 'must be an object keyed by catalog id');
+            continue;
+        }
+
+        for (const [id, { sourceHash: hash, ...fields } = {}] of Object.entries(entries)) {
+            if (!catalogIds.has(id)) report(locale, `${id}: not in the catalog`);
+            if (!SOURCE_HASH_PATTERN.test(String(hash))) report(locale, `${id}: sourceHash must be the 12-character hash of the English text it translates`);
+            for (const [field, text] of Object.entries(fields)) {
+                if (!LOCALIZED_FIELDS.includes(field)) report(locale, `${id}: unknown field "${field}"`);
+                else if (typeof text !== 'string' || !text.trim()) report(locale, `${id}.${field}: must be non-empty text`);
+            }
+        }
+    }
+    return problems;
+}
+
+/**
+ * Translation coverage per configured locale: which catalog objects have no
+ * translation at all, and which lack some fields
+ */
+function translationCoverage(config) {
+    const { fallbackLocale, locales } = config.i18n;
+    return locales.filter(locale => locale !== fallbackLocale).map((locale) => {
+        const entries = config.translations[locale] || {};
+        const missing = [];
+        const partial = [];
+
+        for (const { id } of config.objects) {
+            const fields = LOCALIZED_FIELDS.filter(field => !entries[id]?.[field]);
+            if (fields.length === LOCALIZED_FIELDS.length) missing.push(id);
+            else if (fields.length > 0) partial.push({ id, fields });
+        }
+
+        return { locale, total: config.objects.length, complete: config.objects.length - missing.length - partial.length, missing, partial };
+    });
+}
+
+/**
+ * Print translation coverage; gaps are warnings, not failures
+ */
+function printTranslationReport(config) {
+    for (const { locale, total, complete, missing, partial } of translationCoverage(config)) {
+        console.log(`🌐 ${locale}: ${complete}/${total} objects translated`);
+        if (missing.length > 0) console.log(`   ⚠️  missing: ${missing.join(', ')}`);
+        partial.forEach(({ id, fields }) => console.log(`   ⚠️  ${id}: no ${fields.join(', ')}`));
+    }
+}
+
+module.exports = {
+    loadTranslations,
+    sourceHash,
+    translationsFor,
+    checkTranslations,
+    translationCoverage,
+    printTranslationReport,
+};
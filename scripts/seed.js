@@ -0,0 +1,518 @@
+#!/usr/bin/env node
+/**
+ * 🚀 Astro Encyclopedia seeding CLI
+ *
+ * Fetches NASA Image Library data for the catalog in scripts/catalog.json,
+ * normalizes it to the app schema and writes JSON, indexes and images for
+ * every configured target (data/tier_a, data/objects, ...), then builds the
+ * size-budgeted offline image bundle the app ships.
+ *
+ * Usage:
+ *   node scripts/seed.js seed [--target <name>] [--force <id,...>]
+ *                                                 Seed new, changed and failed objects
+ *   node scripts/seed.js refresh <id|alias>       Re-fetch a single object
+ *   node scripts/seed.js enrich                   Re-apply offline reference metadata and translations
+ *   node scripts/seed.js bundle                   Rebuild the offline image bundle from downloaded images
+ *   node scripts/seed.js list                     Show the catalog and its status
+ *   node scripts/seed.js validate                 Lint data/ against the schema and catalog
+ *
+ * Options:
+ *   --config <path>   Use another config file
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { loadConfig, resolveTarget } = require('./lib/config');
+const { CatalogError, findEntry } = require('./lib/catalog');
+const { fetchNasaData, fetchAssetDetails } = require('./lib/nasa');
+const { normalizeToAppSchema, extractImageUrl } = require('./lib/normalize');
+const { downloadImage } = require('./lib/images');
+const {
+    ensureDir,
+    readJson,
+    writeObject,
+    rebuildIndex,
+    rebuildSearchIndex,
+} = require('./lib/indexWriter');
+const { writeCatalogSync } = require('./lib/catalogSync');
+const { linkRelatedObjects } = require('./lib/relations');
+const { lintData, printReport, reseedReasons, printReseedReport, printTranslationSourceReport, printLicenseReport } = require('./lib/lint');
+const { translationsFor, printTranslationReport } = require('./lib/translations');
+const { buildOfflineBundle, printBundleReport } = require('./lib/bundle');
+const { enrichObject } = require('../shared/enrichment');
+const { mergeTranslations } = require('../shared/localization');
+const { toMediaEntry } = require('../shared/media');
+const { nasaAttribution } = require('../shared/attribution');
+const { hashFile, hashInputs, loadManifest, saveManifest, isUpToDate } = require('./lib/manifest');
+
+// ============================================================================
+// 🛠️ HELPERS
+// ============================================================================
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg.startsWith('--')) {
+            options[arg.slice(2)] = argv[i + 1];
+            i++;
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    return { command: positional[0], args: positional.slice(1), options };
+}
+
+function entriesForTarget(config, targetName) {
+    return config.objects.filter(entry => entry.targets.includes(targetName));
+}
+
+/**
+ * Offline additions on top of the NASA data: reference metadata and translations
+ */
+function applyOfflineData(config, entry, objectData) {
+    return mergeTranslations(
+        enrichObject(objectData, entry.aliases),
+        translationsFor(config.translations, objectData),
+        config.i18n.fallbackLocale,
+    );
+}
+
+/**
+ * Link related objects within every target, then rebuild the indexes of the
+ * given targets and of any whose objects gained or lost links
+ */
+function rebuildIndexes(config, targetNames) {
+    const relinked = linkRelatedObjects(config);
+    if (relinked.size > 0) console.log(`🔗 Related objects updated in ${[...relinked].join(', ')}`);
+
+    for (const name of new Set([...targetNames, ...relinked])) {
+        const target = resolveTarget(config, name);
+        const targetEntries = entriesForTarget(config, name);
+        const entries = rebuildIndex(target, targetEntries.map(e => e.id));
+        console.log(`📋 Index saved: ${path.relative(config.projectRoot, target.indexPath)} (${entries.length} entries)`);
+
+        if (target.searchIndexPath) {
+            const index = rebuildSearchIndex(target, targetEntries);
+            console.log(`🔎 Search index saved: ${path.relative(config.projectRoot, target.searchIndexPath)} (${Object.keys(index.terms).length} terms)`);
+        }
+
+        if (target.syncPath) {
+            const snapshot = writeCatalogSync(target, targetEntries);
+            console.log(`🔁 Catalog sync: ${path.relative(config.projectRoot, target.syncPath)} (version ${snapshot.version})`);
+        }
+    }
+}
+
+/**
+ * Download an image into a target's image folder unless the file on disk
+ * already matches the manifest record for the same NASA asset. Returns the
+ * manifest image record.
+ */
+async function syncImage(target, fileName, imageUrl, previous) {
+    const imagePath = path.join(target.imagesDir, fileName);
+
+    if (previous && previous.url === imageUrl && fs.existsSync(imagePath) && hashFile(imagePath) === previous.sha256) {
+        console.log(`  📸 [${target.name}] Image unchanged: ${fileName}`);
+        return previous;
+    }
+
+    ensureDir(target.imagesDir);
+    await downloadImage(imageUrl, imagePath);
+    console.log(`  📸 [${target.name}] Image saved: ${target.assetImagesPath}/${fileName}`);
+
+    return { url: imageUrl, sha256: hashFile(imagePath), bytes: fs.statSync(imagePath).size };
+}
+
+/**
+ * Gallery entries for the NASA items (see shared/media.js), with original
+ * sizes, video files and rights notices from their asset lists when NASA has
+ * them. A notice can reveal third-party copyright, so extra items are checked
+ * again here and skipped unless public domain.
+ */
+async function describeGallery(config, gallery) {
+    const described = [];
+    for (const [i, item] of gallery.entries()) {
+        const media = toMediaEntry(item, config.proxyBaseUrl);
+        if (!media) continue;
+
+        try {
+            const { rights, ...details } = await fetchAssetDetails(item);
+            Object.assign(media, details, nasaAttribution(item.data?.[0] || {}, { rights }));
+        } catch (err) {
+            console.warn(`  ⚠️  No asset details for ${media.nasaId}: ${err.message}`);
+        }
+
+        if (i > 0 && media.license !== 'public-domain') {
+            console.warn(`  ⚖️  Skipped ${media.nasaId} from the gallery: license ${media.license} (${media.credit})`);
+            continue;
+        }
+        described.push({ item, media });
+    }
+    return described;
+}
+
+/**
+ * Download gallery images after the main one as <id>.2.jpg, <id>.3.jpg, ...
+ * up to the target's offlineMediaLimit (videos stay online-only), setting
+ * their localPath; the offline bundle is built from these. Files left from a
+ * larger gallery are deleted. Returns the manifest gallery records.
+ */
+async function syncGallery(target, entry, described, media, previous = [], errors) {
+    const records = [];
+
+    for (let i = 1; i < described.length && records.length < target.offlineMediaLimit - 1; i++) {
+        if (media[i].mediaType !== 'image') continue;
+
+        const file = `${entry.id}.${records.length + 2}.jpg`;
+        try {
+            const imageUrl = extractImageUrl(described[i].item, target.imageVariant);
+            records.push({ file, ...await syncImage(target, file, imageUrl, previous.find(record => record.file === file)) });
+            media[i].localPath = `${target.assetImagesPath}/${file}`;
+        } catch (err) {
+            errors.push(`[${target.name}] gallery image ${media[i].nasaId} failed: ${err.message}`);
+        }
+    }
+
+    const stale = new RegExp(`^${entry.id}\\.(\\d+)\\.jpg$`);
+    if (fs.existsSync(target.imagesDir)) {
+        for (const file of fs.readdirSync(target.imagesDir)) {
+            const match = file.match(stale);
+            if (match && Number(match[1]) > records.length + 1) fs.unlinkSync(path.join(target.imagesDir, file));
+        }
+    }
+
+    return records;
+}
+
+/**
+ * Fetch, normalize and write one catalog entry into each of its targets,
+ * recording the outcome in the manifest. A failed fetch leaves the files
+ * from the last good run untouched. Returns 'ok', 'partial' or 'failed'.
+ */
+async function seedEntry(config, manifest, entry, targetNames) {
+    const previous = manifest.objects[entry.id] || {};
+    const now = new Date().toISOString();
+
+    let nasaData;
+    try {
+        nasaData = await fetchNasaData(entry, config);
+        if (!nasaData) throw new Error(entry.nasaId ? `pinned nasa_id "${entry.nasaId}" not found` : 'no usable results');
+    } catch (err) {
+        console.error(`  ❌ Fetch failed: ${err.message}`);
+        manifest.objects[entry.id] = { ...previous, status: 'failed', lastAttemptAt: now, error: err.message };
+        return 'failed';
+    }
+
+    const { item: nasaItem } = nasaData;
+    const nasaId = nasaItem.data?.[0]?.nasa_id || null;
+    const described = await describeGallery(config, nasaData.gallery);
+
+    // The main image keeps its place whatever its license, but is flagged for review
+    const main = described[0]?.item === nasaItem ? described[0].media : nasaAttribution(nasaItem.data?.[0] || {});
+    const attribution = { credit: main.credit, license: main.license, sourceUrl: main.sourceUrl };
+    const licenseWarning = attribution.license === 'public-domain'
+        ? null
+        : `main image ${nasaId} is ${attribution.license} (${attribution.credit}); pin another nasaId or exclude it`;
+    if (licenseWarning) console.warn(`  ⚖️  ${licenseWarning}`);
+
+    const images = { ...previous.images };
+    const gallery = { ...previous.gallery };
+    const errors = [];
+
+    for (const name of targetNames) {
+        const target = resolveTarget(config, name);
+        const localImagePath = `${target.assetImagesPath}/${entry.id}.jpg`;
+
+        const imageUrl = extractImageUrl(nasaItem, target.imageVariant);
+        if (!imageUrl) {
+            errors.push(`[${name}] no image URL`);
+            delete images[name];
+        } else {
+            try {
+                images[name] = await syncImage(target, `${entry.id}.jpg`, imageUrl, previous.images?.[name]);
+            } catch (err) {
+                errors.push(`[${name}] image download failed: ${err.message}`);
+                delete images[name];
+            }
+        }
+
+        const media = described.map(({ media: base }) => ({ ...base }));
+        if (images[name] && described[0]?.item === nasaItem) media[0].localPath = localImagePath;
+
+        const bundled = await syncGallery(target, entry, described, media, previous.gallery?.[name], errors);
+        if (bundled.length > 0) gallery[name] = bundled;
+        else delete gallery[name];
+
+        const objectData = applyOfflineData(config, entry, normalizeToAppSchema(entry, nasaItem, {
+            proxyBaseUrl: config.proxyBaseUrl,
+            descriptionMaxLength: config.descriptionMaxLength,
+            srcsetWidths: config.srcsetWidths,
+            localImagePath,
+            media,
+            attribution,
+        }));
+
+        if (!images[name]) delete objectData.localImagePath;
+        writeObject(target, objectData);
+    }
+
+    errors.forEach(err => console.warn(`  ⚠️  ${err}`));
+
+    const status = errors.length === 0 ? 'ok' : 'partial';
+    manifest.objects[entry.id] = {
+        status,
+        nasaId,
+        query: entry.query,
+        inputHash: hashInputs(config, entry),
+        fetchedAt: now,
+        lastAttemptAt: now,
+        ...(errors.length > 0 && { error: errors.join('; ') }),
+        ...(licenseWarning && { licenseWarning }),
+        images,
+        ...(Object.keys(gallery).length > 0 && { gallery }),
+    };
+
+    console.log(`  ✅ Saved to: ${targetNames.join(', ')} (${described.length} media)${previous.nasaId && previous.nasaId !== nasaId ? ` (was ${previous.nasaId}, now ${nasaId})` : ''}`);
+    return status;
+}
+
+/**
+ * Re-apply the offline reference dataset and translations to an entry's
+ * existing object files, so edits to either land without re-fetching from
+ * NASA. Returns how many files changed.
+ */
+function enrichExisting(config, entry, targetNames) {
+    let changed = 0;
+
+    for (const name of targetNames) {
+        const target = resolveTarget(config, name);
+        const objectData = readJson(path.join(target.objectsDir, `${entry.id}.json`), null);
+        if (!objectData) continue;
+
+        const enriched = applyOfflineData(config, entry, objectData);
+        if (JSON.stringify(enriched) !== JSON.stringify(objectData)) {
+            writeObject(target, enriched);
+            changed++;
+        }
+    }
+
+    return changed;
+}
+
+/**
+ * Rebuild the offline bundle, when the config has one, and report on it
+ */
+async function rebuildBundle(config) {
+    if (!config.offlineBundle) return true;
+    return printBundleReport(config, await buildOfflineBundle(config));
+}
+
+/**
+ * Why an entry's object files must be re-fetched even though the manifest
+ * says they are current (e.g. seeded before a pin or exclusion was added,
+ * or before credits were recorded), or null
+ */
+function staleReason(config, entry, targetNames) {
+    for (const name of targetNames) {
+        const data = readJson(path.join(resolveTarget(config, name).objectsDir, `${entry.id}.json`), null);
+        const [reason] = data ? reseedReasons(entry, data) : [];
+        if (reason) return `[${name}] ${reason}`;
+    }
+    return null;
+}
+
+function parseForced(config, value) {
+    if (!value) return new Set();
+
+    return new Set(value.split(',').map((name) => {
+        const entry = findEntry(config.objects, name);
+        if (!entry) throw new Error(`--force: "${name}" is not in the catalog`);
+        return entry.id;
+    }));
+}
+
+// ============================================================================
+// 📋 COMMANDS
+// ============================================================================
+
+/**
+ * Seed the catalog incrementally: objects whose manifest record is still
+ * current are skipped, failures from earlier runs are retried, and
+ * --force <id[,id]> re-fetches specific objects regardless.
+ */
+async function seed(config, options) {
+    const targetNames = options.target ? [options.target] : Object.keys(config.targets);
+    targetNames.forEach(name => resolveTarget(config, name));
+
+    const forced = parseForced(config, options.force);
+    const manifest = loadManifest(config.manifestPath);
+    const entries = config.objects.filter(entry => entry.targets.some(t => targetNames.includes(t)));
+    const stats = { ok: 0, partial: 0, failed: 0, unchanged: 0, enriched: 0 };
+
+    console.log(`\n🔍 Seeding ${entries.length} objects into ${targetNames.join(', ')}...\n`);
+
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        const entryTargets = entry.targets.filter(t => targetNames.includes(t));
+        const record = manifest.objects[entry.id];
+
+        const upToDate = isUpToDate(record, hashInputs(config, entry), entryTargets.map(t => resolveTarget(config, t)), entry.id);
+        const stale = upToDate ? staleReason(config, entry, entryTargets) : null;
+        if (upToDate && !stale && !forced.has(entry.id)) {
+            stats.unchanged++;
+            stats.enriched += enrichExisting(config, entry, entryTargets);
+            continue;
+        }
+
+        console.log(`[${i + 1}/${entries.length}] 🔄 Processing: ${entry.id}${record?.status === 'failed' ? ' (retrying)' : ''}${stale ? ` (${stale})` : ''}`);
+        stats[await seedEntry(config, manifest, entry, entryTargets)]++;
+
+        // Save after every object so an interrupted run resumes where it stopped
+        saveManifest(config.manifestPath, manifest);
+        console.log('');
+
+        await sleep(config.requestDelayMs);
+    }
+
+    rebuildIndexes(config, targetNames);
+    const bundled = await rebuildBundle(config);
+    printTranslationReport(config);
+    printTranslationSourceReport(config);
+    printLicenseReport(config);
+
+    console.log(`\n📊 ${stats.ok} fetched, ${stats.unchanged} unchanged (${stats.enriched} files re-enriched), ${stats.partial} partial, ${stats.failed} failed`);
+    return stats.failed === 0 && stats.partial === 0 && bundled;
+}
+
+async function refresh(config, name) {
+    const entry = findEntry(config.objects, name);
+    if (!entry) {
+        console.error(`❌ "${name}" is not in the catalog`);
+        return false;
+    }
+
+    const manifest = loadManifest(config.manifestPath);
+
+    console.log(`🔄 Refreshing: ${entry.id}`);
+    const status = await seedEntry(config, manifest, entry, entry.targets);
+    saveManifest(config.manifestPath, manifest);
+    rebuildIndexes(config, entry.targets);
+    const bundled = await rebuildBundle(config);
+
+    return status === 'ok' && bundled;
+}
+
+/**
+ * Re-apply reference metadata to every seeded object without touching NASA
+ */
+function enrich(config) {
+    let changed = 0;
+    for (const entry of config.objects) {
+        changed += enrichExisting(config, entry, entry.targets);
+    }
+
+    rebuildIndexes(config, Object.keys(config.targets));
+    printTranslationReport(config);
+    printTranslationSourceReport(config);
+    console.log(`✨ Enriched ${changed} object file(s)`);
+    return true;
+}
+
+/**
+ * Re-pick and re-encode the offline images, e.g. after changing the budget
+ */
+async function bundle(config) {
+    if (!config.offlineBundle) {
+        console.error('❌ No offlineBundle in the config');
+        return false;
+    }
+    return rebuildBundle(config);
+}
+
+function list(config) {
+    const manifest = loadManifest(config.manifestPath);
+
+    for (const entry of config.objects) {
+        const status = entry.targets.map(name => {
+            const target = resolveTarget(config, name);
+            const exists = fs.existsSync(path.join(target.objectsDir, `${entry.id}.json`));
+            return `${exists ? '✅' : '❌'} ${name}`;
+        });
+        const seeded = manifest.objects[entry.id]?.status || 'never seeded';
+        console.log(`${entry.id.padEnd(30)} ${(entry.type || '(inferred)').padEnd(12)} ${seeded.padEnd(14)} ${status.join('  ')}`);
+    }
+    console.log(`\n${config.objects.length} catalog entries`);
+    return true;
+}
+
+/**
+ * Lint config targets and everything under data/ (the catalog itself is
+ * already validated by loadConfig)
+ */
+function validate(config) {
+    const ok = printReport(lintData(config));
+    if (ok) console.log(`✅ data/ OK (${config.objects.length} catalog entries)`);
+    printTranslationReport(config);
+    printTranslationSourceReport(config);
+    printReseedReport(config);
+    printLicenseReport(config);
+    return ok;
+}
+
+// ============================================================================
+// 🚀 MAIN EXECUTION
+// ============================================================================
+
+async function main() {
+    const { command, args, options } = parseArgs(process.argv.slice(2));
+    const config = loadConfig(options.config && path.resolve(options.config));
+
+    let ok;
+    switch (command) {
+        case 'seed':
+            ok = await seed(config, options);
+            break;
+        case 'refresh':
+            if (!args[0]) {
+                console.error('Usage: node scripts/seed.js refresh <id|alias>');
+                process.exit(2);
+            }
+            ok = await refresh(config, args[0]);
+            break;
+        case 'enrich':
+            ok = enrich(config);
+            break;
+        case 'bundle':
+            ok = await bundle(config);
+            break;
+        case 'list':
+            ok = list(config);
+            break;
+        case 'validate':
+            ok = validate(config);
+            break;
+        default:
+            console.error('Usage: node scripts/seed.js <seed|refresh <id>|enrich|bundle|list|validate> [--config <path>]');
+            process.exit(2);
+    }
+
+    process.exit(ok ? 0 : 1);
+}
+
+main().catch((err) => {
+    if (err instanceof CatalogError) {
+        console.error(`\n❌ ${err.message}`);
+    } else {
+        console.error('\n❌ Fatal error:', err);
+    }
+    process.exit(1);
+});
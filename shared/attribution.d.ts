@@ -0,0 +1,19 @@
+export type License = 'public-domain' | 'copyrighted' | 'unknown';
+
+export interface Attribution {
+    credit: string;
+    license: License;
+    /** Page for the asset on images.nasa.gov or apod.nasa.gov, or its mission archive's page or file */
+    sourceUrl: string | null;
+}
+
+export const LICENSES: License[];
+export const ATTRIBUTION_FIELDS: Array<keyof Attribution>;
+
+export function creditLine(description: string | undefined): string | null;
+export function copyrightHolder(...texts: Array<string | undefined>): string | null;
+export function isNasaCredit(credit: string): boolean;
+export function nasaAttribution(datum: Record<string, any>, options?: { rights?: string }): Attribution;
+export function apodAttribution(apod: { date?: string; copyright?: string }): Attribution;
+export function missionAttribution(credit: string, sourceUrl: string | null | undefined): Attribution;
+export function missingAttribution(object: Partial<Attribution> | null | undefined): Array<keyof Attribution>;
@@ -0,0 +1,142 @@
+/**
+ * Credit and licensing for NASA imagery
+ *
+ * Every normalized object and gallery entry carries:
+ *
+ *   "credit":    "NASA/JPL-Caltech"          who to attribute
+ *   "license":   "public-domain" | "copyrighted" | "unknown"
+ *   "sourceUrl": "https://images.nasa.gov/details/PIA03606"
+ *
+ * NASA material is generally not copyrighted, but the Image Library and APOD
+ * also carry partner and third-party work. An item is public domain when it
+ * is credited to NASA and has no third-party copyright notice; a notice
+ * naming anyone besides NASA makes it copyrighted; anything else (credited only to
+ * partners such as ESA or a university) is unknown. Only public-domain media
+ * join galleries; the seeder flags objects whose main image is not.
+ */
+
+const LICENSES = ['public-domain', 'copyrighted', 'unknown'];
+const ATTRIBUTION_FIELDS = ['credit', 'license', 'sourceUrl'];
+
+// NASA, its centers and the institutes that run missions for it
+const NASA_CREDIT_PATTERN = /\b(NASA|JPL|GSFC|Goddard|JSC|KSC|MSFC|STScI|ARC|LaRC|GRC|AFRC)\b/;
+
+// Separators between the parties of a credit or notice: "NASA, ESA & Jane Doe"
+const PARTY_SEPARATOR = /\s*(?:[,;/&+]|\band\b)\s*/i;
+
+// "Image Credit: NASA/JPL" / "Photo credit: NASA/Bill Ingalls" lines in descriptions
+const CREDIT_LINE_PATTERN = /\b(?:image|photo|video|illustration)?\s*credits?\s*:\s*([^\n<]+)/i;
+
+// "© 2019 Jane Doe", "Copyright: Jane Doe"; "not protected by copyright" does not match
+const COPYRIGHT_PATTERN = /(?:©|\([cC]\)|\b[cC]opyright\b)\s*:?\s*(?:©\s*)?(?:\d{4}\s*,?\s*)?(?:by\s+)?([A-Z][^\n;<]*)/;
+
+const IMAGE_LIBRARY_PAGE = 'https://images.nasa.gov/details/';
+const APOD_PAGE = 'https://apod.nasa.gov/apod/';
+
+function clean(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim().replace(/[.,;]+$/, '');
+}
+
+/**
+ * The credit line of a NASA description, if it has one
+ */
+function creditLine(description) {
+    const match = String(description || '').match(CREDIT_LINE_PATTERN);
+    return match ? clean(match[1]) || null : null;
+}
+
+/**
+ * Holder named by a copyright notice in any of the texts, if there is one
+ */
+function copyrightHolder(...texts) {
+    for (const text of texts) {
+        const match = String(text || '').match(COPYRIGHT_PATTERN);
+        if (match && clean(match[1])) return clean(match[1]);
+    }
+    return null;
+}
+
+function isNasaCredit(credit) {
+    return NASA_CREDIT_PATTERN.test(credit);
+}
+
+/**
+ * Whether a copyright holder is NASA alone: every party it names is NASA or
+ * one of its centers, so "NASA/JPL" is but "NASA, ESA; Processing &
+ * Copyright: Jane Doe" is not
+ */
+function isNasaHolder(holder) {
+    const parties = String(holder).split(PARTY_SEPARATOR).filter(Boolean);
+    return parties.length > 0 && parties.every(isNasaCredit);
+}
+
+/**
+ * Attribution for a NASA Image Library item (the `data[0]` of a search
+ * hit). `rights` is the asset's own rights/copyright text when the caller
+ * fetched its metadata. A stated credit (credit line or secondary creator)
+ * decides the license; library photographers are NASA staff or contractors,
+ * and items with neither are credited to their NASA center.
+ */
+function nasaAttribution(datum, { rights } = {}) {
+    const stated = creditLine(datum.description) || clean(datum.secondary_creator) || null;
+    const holder = copyrightHolder(rights, datum.description);
+
+    let license = 'public-domain';
+    if (holder) license = isNasaHolder(holder) ? 'public-domain' : 'copyrighted';
+    else if (stated && !isNasaCredit(stated)) license = 'unknown';
+
+    return {
+        credit: stated || (license === 'copyrighted' && holder) || clean(datum.photographer) || (datum.center ? `NASA/${datum.center}` : 'NASA'),
+        license,
+        sourceUrl: datum.nasa_id ? `${IMAGE_LIBRARY_PAGE}${encodeURIComponent(datum.nasa_id)}` : null,
+    };
+}
+
+/**
+ * Attribution for an APOD entry: its `copyright` names the holder; without
+ * one, or when it names NASA alone, the picture is NASA's
+ */
+function apodAttribution(apod) {
+    const holder = clean(apod.copyright);
+    const [year, month, day] = String(apod.date || '').split('-');
+
+    return {
+        credit: holder || 'NASA',
+        license: !holder || isNasaHolder(holder) ? 'public-domain' : 'copyrighted',
+        sourceUrl: year && month && day ? `${APOD_PAGE}ap${year.slice(2)}${month}${day}.html` : null,
+    };
+}
+
+/**
+ * Attribution for items served straight from a NASA mission archive (Mars
+ * rover raw images, EPIC, CNEOS), which carry no credit of their own:
+ * `credit` is the mission's standard credit and `sourceUrl` the archive's page
+ * or original file for the item
+ */
+function missionAttribution(credit, sourceUrl) {
+    return {
+        credit,
+        license: isNasaCredit(credit) ? 'public-domain' : 'unknown',
+        sourceUrl: sourceUrl ? String(sourceUrl).replace(/^http:/, 'https:') : null,
+    };
+}
+
+/**
+ * Attribution fields an object has no value for, e.g. one seeded before they
+ * were recorded
+ */
+function missingAttribution(object) {
+    return ATTRIBUTION_FIELDS.filter(field => !object?.[field]);
+}
+
+module.exports = {
+    LICENSES,
+    ATTRIBUTION_FIELDS,
+    creditLine,
+    copyrightHolder,
+    isNasaCredit,
+    nasaAttribution,
+    apodAttribution,
+    missionAttribution,
+    missingAttribution,
+};
@@ -0,0 +1,29 @@
+export interface Fact<T = string | number | string[]> {
+    value: T;
+    unit?: string;
+    /** Where the value comes from, e.g. "NASA Planetary Fact Sheet" */
+    source: string;
+    from?: string;
+    epoch?: string;
+}
+
+export interface Facts {
+    distance?: Fact<number>;
+    constellation?: Fact<string>;
+    rightAscension?: Fact<number>;
+    declination?: Fact<number>;
+    apparentMagnitude?: Fact<number>;
+    radius?: Fact<number>;
+    mass?: Fact<number>;
+    spectralClass?: Fact<string>;
+    designations?: Fact<string[]>;
+}
+
+export function findReference(...names: Array<string | string[] | null | undefined>): string | null;
+export function buildFacts(key: string): { facts: Facts; display: Record<string, string> } | null;
+export function enrichObject<T extends { id: string; metadata: object }>(
+    object: T,
+    ...names: Array<string | string[] | null | undefined>
+): T & { facts?: Facts };
+export function formatRightAscension(degrees: number): string;
+export function formatDeclination(degrees: number): string;
@@ -0,0 +1,146 @@
+/**
+ * Astronomical metadata enrichment from the bundled reference dataset
+ * (shared/reference/objects.json)
+ *
+ * NASA image search has no structured data, so every normalized object used
+ * to carry distance/constellation "Unknown". Enrichment adds:
+ *   facts     Typed values, each with its unit (if any) and source
+ *   metadata  Display strings for the same values (what the app's table shows)
+ */
+
+const reference = require('./reference/objects.json');
+
+const UNIT_LABELS = {
+    km: 'km',
+    Mkm: 'million km',
+    ly: 'light-years',
+    Mly: 'million light-years',
+    kg: 'kg',
+    deg: '°',
+};
+
+function toSlug(name) {
+    return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Every id and name, slugged, pointing at its reference key
+const lookup = new Map();
+for (const [key, record] of Object.entries(reference.objects)) {
+    lookup.set(key, key);
+    for (const name of record.names || []) {
+        if (!lookup.has(toSlug(name))) lookup.set(toSlug(name), key);
+    }
+}
+
+/**
+ * Find the reference key for any of the given names or ids, or null
+ */
+function findReference(...names) {
+    for (const name of names.flat()) {
+        if (!name) continue;
+        const key = lookup.get(toSlug(name));
+        if (key) return key;
+    }
+    return null;
+}
+
+function formatNumber(value) {
+    if (Math.abs(value) >= 1e7) {
+        const [mantissa, exponent] = value.toExponential(3).split('e');
+        return `${Number(mantissa)} × 10^${Number(exponent)}`;
+    }
+    return value.toLocaleString('en-US', { maximumFractionDigits: 3 });
+}
+
+function formatRightAscension(degrees) {
+    const totalSeconds = Math.round((degrees / 15) * 36000) / 10;
+    const h = Math.floor(totalSeconds / 3600);
+    const m = Math.floor((totalSeconds % 3600) / 60);
+    const s = (totalSeconds % 60).toFixed(1);
+    return `${String(h).padStart(2, '0')}h ${String(m).padStart(2, '0')}m ${s.padStart(4, '0')}s`;
+}
+
+function formatDeclination(degrees) {
+    const sign = degrees < 0 ? '−' : '+';
+    const totalSeconds = Math.round(Math.abs(degrees) * 3600);
+    const d = Math.floor(totalSeconds / 3600);
+    const m = Math.floor((totalSeconds % 3600) / 60);
+    const s = totalSeconds % 60;
+    return `${sign}${String(d).padStart(2, '0')}° ${String(m).padStart(2, '0')}′ ${String(s).padStart(2, '0')}″`;
+}
+
+/**
+ * Build typed facts (value, unit, source) and their display strings for a
+ * reference key
+ */
+function buildFacts(key) {
+    const record = reference.objects[key];
+    if (!record) return null;
+
+    const source = id => reference.sources[id] || id;
+    const facts = {};
+    const display = {};
+    const quantity = (name, fact) => {
+        facts[name] = { value: fact.value, unit: fact.unit, source: source(fact.source) };
+        display[name] = `${formatNumber(fact.value)} ${UNIT_LABELS[fact.unit] || fact.unit}`;
+    };
+
+    if (record.distance) {
+        quantity('distance', record.distance);
+        if (record.distance.from) {
+            facts.distance.from = record.distance.from;
+            display.distance += ` (from ${record.distance.from})`;
+        }
+    }
+    if (record.constellation) {
+        facts.constellation = { value: record.constellation.value, source: source(record.constellation.source) };
+        display.constellation = record.constellation.value;
+    }
+    if (record.position) {
+        const { raDeg, decDeg } = record.position;
+        facts.rightAscension = { value: raDeg, unit: 'deg', epoch: 'J2000', source: source(record.position.source) };
+        facts.declination = { value: decDeg, unit: 'deg', epoch: 'J2000', source: source(record.position.source) };
+        display.rightAscension = formatRightAscension(raDeg);
+        display.declination = formatDeclination(decDeg);
+    }
+    if (record.apparentMagnitude) {
+        facts.apparentMagnitude = { value: record.apparentMagnitude.value, source: source(record.apparentMagnitude.source) };
+        display.apparentMagnitude = String(record.apparentMagnitude.value);
+    }
+    if (record.radius) quantity('radius', record.radius);
+    if (record.mass) quantity('mass', record.mass);
+    if (record.spectralClass) {
+        facts.spectralClass = { value: record.spectralClass.value, source: source(record.spectralClass.source) };
+        display.spectralClass = record.spectralClass.value;
+    }
+    if (record.designations) {
+        facts.designations = { value: [...record.designations.value], source: source(record.designations.source) };
+        display.designations = record.designations.value.join(', ');
+    }
+
+    return { facts, display };
+}
+
+/**
+ * Return a copy of an AstroObject with reference facts for the first matching
+ * name, or the object unchanged when nothing matches. Idempotent.
+ */
+function enrichObject(object, ...names) {
+    const key = findReference(object.id, ...names);
+    const built = key && buildFacts(key);
+    if (!built) return object;
+
+    return {
+        ...object,
+        metadata: { ...object.metadata, ...built.display },
+        facts: built.facts,
+    };
+}
+
+module.exports = {
+    findReference,
+    buildFacts,
+    enrichObject,
+    formatRightAscension,
+    formatDeclination,
+};
@@ -0,0 +1,29 @@
+export interface Equatorial {
+    /** Right ascension, degrees */
+    ra: number;
+    /** Declination, degrees */
+    dec: number;
+}
+
+export interface Horizontal {
+    altitude: number;
+    /** Degrees from north, through east */
+    azimuth: number;
+    /** Degrees west of the meridian, (-180, 180] */
+    hourAngle: number;
+}
+
+export const PLANETS: string[];
+
+export function julianDay(date: Date): number;
+export function fromJulianDay(jd: number): Date;
+export function deltaT(year: number): number;
+export function toJde(jd: number): number;
+export function nutation(jde: number): { longitude: number; obliquity: number; meanObliquity: number };
+export function sunPosition(jde: number): Equatorial & { longitude: number; distance: number };
+export function moonPosition(jde: number): Equatorial & { longitude: number; latitude: number; distance: number };
+export function planetPosition(planet: string, jde: number): Equatorial & { distance: number };
+export function precess(ra: number, dec: number, jde: number): Equatorial;
+export function siderealTime(jd: number): number;
+export function horizontal(position: Equatorial, jd: number, latitude: number, longitude: number): Horizontal;
+export function parallax(distance: number): number;
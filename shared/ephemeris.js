@@ -0,0 +1,360 @@
+/**
+ * Low-precision positions of the Sun, Moon and planets, and the conversions
+ * to see them from a place on Earth; no network, no ephemeris files
+ *
+ *   Sun          Meeus, Astronomical Algorithms (2nd ed.) ch. 25, about 0.01°
+ *   Moon         Meeus ch. 47, the larger terms of its series, a few arcseconds to 0.01°
+ *   Planets      JPL "Approximate Positions of the Planets" (Standish), Keplerian
+ *                elements for 1800–2050, within about an arcminute (Saturn: ten)
+ *   Conversions  Meeus ch. 12 (sidereal time), 13 (horizontal), 21 (precession),
+ *                22 (nutation, low accuracy)
+ *
+ * Angles are degrees, distances AU. `jd` is a Julian Day in UT and `jde` one in
+ * Terrestrial Time (see toJde); positions are geocentric, for the equinox of date.
+ */
+
+const RAD = Math.PI / 180;
+const J2000 = 2451545.0;
+const AU_KM = 149597870.7;
+
+// Light time for 1 AU, in days
+const LIGHT_DAYS_PER_AU = 0.0057755183;
+
+// Obliquity of the ecliptic at J2000, which the planets' elements are referred to
+const OBLIQUITY_J2000 = 23.43928;
+
+const sin = deg => Math.sin(deg * RAD);
+const cos = deg => Math.cos(deg * RAD);
+const tan = deg => Math.tan(deg * RAD);
+const asin = x => Math.asin(Math.max(-1, Math.min(1, x))) / RAD;
+const atan2 = (y, x) => Math.atan2(y, x) / RAD;
+
+// Degrees into [0, 360) and (-180, 180]
+const normalize = deg => ((deg % 360) + 360) % 360;
+const normalize180 = deg => 180 - normalize(180 - deg);
+
+const centuries = jde => (jde - J2000) / 36525;
+
+function julianDay(date) {
+    return date.getTime() / 86400000 + 2440587.5;
+}
+
+function fromJulianDay(jd) {
+    return new Date(Math.round((jd - 2440587.5) * 86400000));
+}
+
+/**
+ * TT − UT in seconds for a decimal year (Espenak & Meeus polynomials)
+ */
+function deltaT(year) {
+    if (year >= 2005 && year < 2050) {
+        const t = year - 2000;
+        return 62.92 + 0.32217 * t + 0.005589 * t ** 2;
+    }
+    if (year >= 1986 && year < 2005) {
+        const t = year - 2000;
+        return 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3 + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+    }
+    if (year >= 1961 && year < 1986) {
+        const t = year - 1975;
+        return 45.45 + 1.067 * t - t ** 2 / 260 - t ** 3 / 718;
+    }
+    const u = (year - 1820) / 100;
+    if (year >= 2050 && year < 2150) return -20 + 32 * u ** 2 - 0.5628 * (2150 - year);
+    return -20 + 32 * u ** 2;
+}
+
+function toJde(jd) {
+    return jd + deltaT(2000 + (jd - J2000) / 365.25) / 86400;
+}
+
+/**
+ * Nutation in longitude and the true and mean obliquity of the ecliptic
+ */
+function nutation(jde) {
+    const T = centuries(jde);
+    const omega = 125.04452 - 1934.136261 * T;
+    const sun = 280.4665 + 36000.7698 * T;
+    const moon = 218.3165 + 481267.8813 * T;
+
+    const longitude = (-17.20 * sin(omega) - 1.32 * sin(2 * sun) - 0.23 * sin(2 * moon) + 0.21 * sin(2 * omega)) / 3600;
+    const obliquityShift = (9.20 * cos(omega) + 0.57 * cos(2 * sun) + 0.10 * cos(2 * moon) - 0.09 * cos(2 * omega)) / 3600;
+    const meanObliquity = 23.439291111 - (46.8150 * T + 0.00059 * T ** 2 - 0.001813 * T ** 3) / 3600;
+    return { longitude, obliquity: meanObliquity + obliquityShift, meanObliquity };
+}
+
+function eclipticToEquatorial(longitude, latitude, obliquity) {
+    return {
+        ra: normalize(atan2(sin(longitude) * cos(obliquity) - tan(latitude) * sin(obliquity), cos(longitude))),
+        dec: asin(sin(latitude) * cos(obliquity) + cos(latitude) * sin(obliquity) * sin(longitude)),
+    };
+}
+
+/**
+ * Apparent position of the Sun: { ra, dec, longitude, distance }
+ */
+function sunPosition(jde) {
+    const T = centuries(jde);
+    const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T ** 2;
+    const M = 357.52911 + 35999.05029 * T - 0.0001537 * T ** 2;
+    const e = 0.016708634 - 0.000042037 * T - 0.0000001267 * T ** 2;
+    const C = (1.914602 - 0.004817 * T - 0.000014 * T ** 2) * sin(M)
+        + (0.019993 - 0.000101 * T) * sin(2 * M)
+        + 0.000289 * sin(3 * M);
+
+    const omega = 125.04 - 1934.136 * T;
+    const longitude = normalize(L0 + C - 0.00569 - 0.00478 * sin(omega));
+    const obliquity = nutation(jde).meanObliquity + 0.00256 * cos(omega);
+    const distance = 1.000001018 * (1 - e ** 2) / (1 + e * cos(M + C));
+    return { ...eclipticToEquatorial(longitude, 0, obliquity), longitude, distance };
+}
+
+// Periodic terms for the Moon's longitude and distance (Meeus table 47.A):
+// multiples of D, M, M', F, then the sine coefficient for longitude and the
+// cosine coefficient for distance
+const MOON_LONGITUDE_TERMS = [
+    [0, 0, 1, 0, 6288774, -20905355],
+    [2, 0, -1, 0, 1274027, -3699111],
+    [2, 0, 0, 0, 658314, -2955968],
+    [0, 0, 2, 0, 213618, -569925],
+    [0, 1, 0, 0, -185116, 48888],
+    [0, 0, 0, 2, -114332, -3149],
+    [2, 0, -2, 0, 58793, 246158],
+    [2, -1, -1, 0, 57066, -152138],
+    [2, 0, 1, 0, 53322, -170733],
+    [2, -1, 0, 0, 45758, -204586],
+    [0, 1, -1, 0, -40923, -129620],
+    [1, 0, 0, 0, -34720, 108743],
+    [0, 1, 1, 0, -30383, 104755],
+    [2, 0, 0, -2, 15327, 10321],
+    [0, 0, 1, 2, -12528, 0],
+    [0, 0, 1, -2, 10980, 79661],
+    [4, 0, -1, 0, 10675, -34782],
+    [0, 0, 3, 0, 10034, -23210],
+    [4, 0, -2, 0, 8548, -21636],
+    [2, 1, -1, 0, -7888, 24208],
+    [2, 1, 0, 0, -6766, 30824],
+    [1, 0, -1, 0, -5163, -8379],
+    [1, 1, 0, 0, 4987, -16675],
+    [2, -1, 1, 0, 4036, -12831],
+    [2, 0, 2, 0, 3994, -10445],
+    [4, 0, 0, 0, 3861, -11650],
+    [2, 0, -3, 0, 3665, 14403],
+    [0, 1, -2, 0, -2689, -7003],
+    [2, 0, -1, 2, -2602, 0],
+    [2, -1, -2, 0, 2390, 10056],
+    [1, 0, 1, 0, -2348, 6322],
+    [2, -2, 0, 0, 2236, -9884],
+];
+
+// Periodic terms for the Moon's latitude (Meeus table 47.B): multiples of
+// D, M, M', F, then the sine coefficient
+const MOON_LATITUDE_TERMS = [
+    [0, 0, 0, 1, 5128122],
+    [0, 0, 1, 1, 280602],
+    [0, 0, 1, -1, 277693],
+    [2, 0, 0, -1, 173237],
+    [2, 0, -1, 1, 55413],
+    [2, 0, -1, -1, 46271],
+    [2, 0, 0, 1, 32573],
+    [0, 0, 2, 1, 17198],
+    [2, 0, 1, -1, 9266],
+    [0, 0, 2, -1, 8822],
+    [2, -1, 0, -1, 8216],
+    [2, 0, -2, -1, 4324],
+    [2, 0, 1, 1, 4200],
+    [2, 1, 0, -1, -3359],
+    [2, -1, -1, 1, 2463],
+    [2, -1, 0, 1, 2211],
+    [2, -1, -1, -1, 2065],
+    [0, 1, -1, -1, -1870],
+    [4, 0, -1, -1, 1828],
+    [0, 1, 0, 1, -1794],
+];
+
+/**
+ * Apparent position of the Moon: { ra, dec, longitude, latitude, distance }
+ */
+function moonPosition(jde) {
+    const T = centuries(jde);
+    const Lp = 218.3164477 + 481267.88123421 * T - 0.0015786 * T ** 2 + T ** 3 / 538841 - T ** 4 / 65194000;
+    const D = 297.8501921 + 445267.1114034 * T - 0.0018819 * T ** 2 + T ** 3 / 545868 - T ** 4 / 113065000;
+    const M = 357.5291092 + 35999.0502909 * T - 0.0001536 * T ** 2 + T ** 3 / 24490000;
+    const Mp = 134.9633964 + 477198.8675055 * T + 0.0087414 * T ** 2 + T ** 3 / 69699 - T ** 4 / 14712000;
+    const F = 93.2720950 + 483202.0175233 * T - 0.0036539 * T ** 2 - T ** 3 / 3526000 + T ** 4 / 863310000;
+    const A1 = 119.75 + 131.849 * T;
+    const A2 = 53.09 + 479264.290 * T;
+    const A3 = 313.45 + 481266.484 * T;
+    // Terms with the Sun's anomaly shrink as Earth's orbit becomes less eccentric
+    const E = 1 - 0.002516 * T - 0.0000074 * T ** 2;
+
+    let sumL = 3958 * sin(A1) + 1962 * sin(Lp - F) + 318 * sin(A2);
+    let sumR = 0;
+    for (const [d, m, mp, f, l, r] of MOON_LONGITUDE_TERMS) {
+        const arg = d * D + m * M + mp * Mp + f * F;
+        sumL += l * E ** Math.abs(m) * sin(arg);
+        sumR += r * E ** Math.abs(m) * cos(arg);
+    }
+
+    let sumB = -2235 * sin(Lp) + 382 * sin(A3) + 175 * sin(A1 - F) + 175 * sin(A1 + F) + 127 * sin(Lp - Mp) - 115 * sin(Lp + Mp);
+    for (const [d, m, mp, f, b] of MOON_LATITUDE_TERMS) {
+        sumB += b * E ** Math.abs(m) * sin(d * D + m * M + mp * Mp + f * F);
+    }
+
+    const { longitude: nutationInLongitude, obliquity } = nutation(jde);
+    const longitude = normalize(Lp + sumL / 1e6 + nutationInLongitude);
+    const latitude = sumB / 1e6;
+    const distance = (385000.56 + sumR / 1000) / AU_KM;
+    return { ...eclipticToEquatorial(longitude, latitude, obliquity), longitude, latitude, distance };
+}
+
+// Keplerian elements at J2000 and their rates per century (JPL, 1800–2050):
+// a (AU), e, I, mean longitude L, longitude of perihelion, longitude of the
+// ascending node (degrees), referred to the J2000 ecliptic and equinox.
+// "earth" is the Earth-Moon barycenter.
+const PLANET_ELEMENTS = {
+    mercury: [
+        [0.38709927, 0.20563593, 7.00497902, 252.25032350, 77.45779628, 48.33076593],
+        [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081],
+    ],
+    venus: [
+        [0.72333566, 0.00677672, 3.39467605, 181.97909950, 131.60246718, 76.67984255],
+        [0.00000390, -0.00004107, -0.00078890, 58517.81538729, 0.00268329, -0.27769418],
+    ],
+    earth: [
+        [1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0],
+        [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0],
+    ],
+    mars: [
+        [1.52371034, 0.09339410, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+        [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343],
+    ],
+    jupiter: [
+        [5.20288700, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+        [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106],
+    ],
+    saturn: [
+        [9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+        [-0.00125060, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794],
+    ],
+    uranus: [
+        [19.18916464, 0.04725744, 0.77263783, 313.23810451, 170.95427630, 74.01692503],
+        [-0.00196176, -0.00004397, -0.00242939, 428.48202785, 0.40805281, 0.04240589],
+    ],
+    neptune: [
+        [30.06992276, 0.00859048, 1.77004347, -55.12002969, 44.96476227, 131.78422574],
+        [0.00026291, 0.00005105, 0.00035372, 218.45945325, -0.32241464, -0.00508664],
+    ],
+    pluto: [
+        [39.48211675, 0.24882730, 17.14001206, 238.92903833, 224.06891629, 110.30393684],
+        [-0.00031596, 0.00005170, 0.00004818, 145.20780515, -0.04062942, -0.01183482],
+    ],
+};
+
+const PLANETS = Object.keys(PLANET_ELEMENTS).filter(key => key !== 'earth');
+
+/**
+ * Heliocentric ecliptic [x, y, z] (J2000) of a planet
+ */
+function heliocentric(planet, jde) {
+    const T = centuries(jde);
+    const [base, rates] = PLANET_ELEMENTS[planet];
+    const [a, e, I, L, perihelion, node] = base.map((value, i) => value + rates[i] * T);
+    const omega = perihelion - node;
+    const M = normalize180(L - perihelion);
+
+    // Kepler's equation, with the eccentricity in degrees
+    const eDeg = e / RAD;
+    let E = M + eDeg * sin(M);
+    for (let i = 0; i < 20; i++) {
+        const step = (M - (E - eDeg * sin(E))) / (1 - e * cos(E));
+        E += step;
+        if (Math.abs(step) < 1e-8) break;
+    }
+
+    const xp = a * (cos(E) - e);
+    const yp = a * Math.sqrt(1 - e ** 2) * sin(E);
+    return [
+        (cos(omega) * cos(node) - sin(omega) * sin(node) * cos(I)) * xp + (-sin(omega) * cos(node) - cos(omega) * sin(node) * cos(I)) * yp,
+        (cos(omega) * sin(node) + sin(omega) * cos(node) * cos(I)) * xp + (-sin(omega) * sin(node) + cos(omega) * cos(node) * cos(I)) * yp,
+        sin(omega) * sin(I) * xp + cos(omega) * sin(I) * yp,
+    ];
+}
+
+/**
+ * Geocentric position of a planet (PLANETS), corrected for light time:
+ * { ra, dec, distance }
+ */
+function planetPosition(planet, jde) {
+    if (!PLANETS.includes(planet)) throw new RangeError(`Unknown planet ${planet}`);
+
+    const earth = heliocentric('earth', jde);
+    const geocentric = when => heliocentric(planet, when).map((value, i) => value - earth[i]);
+    let [x, y, z] = geocentric(jde);
+    [x, y, z] = geocentric(jde - Math.hypot(x, y, z) * LIGHT_DAYS_PER_AU);
+
+    const equatorial = {
+        ra: normalize(atan2(y * cos(OBLIQUITY_J2000) - z * sin(OBLIQUITY_J2000), x)),
+        dec: asin((y * sin(OBLIQUITY_J2000) + z * cos(OBLIQUITY_J2000)) / Math.hypot(x, y, z)),
+    };
+    return { ...precess(equatorial.ra, equatorial.dec, jde), distance: Math.hypot(x, y, z) };
+}
+
+/**
+ * Precess J2000 right ascension and declination to the equinox of `jde`
+ */
+function precess(ra, dec, jde) {
+    const t = centuries(jde);
+    const zeta = (2306.2181 * t + 0.30188 * t ** 2 + 0.017998 * t ** 3) / 3600;
+    const z = (2306.2181 * t + 1.09468 * t ** 2 + 0.018203 * t ** 3) / 3600;
+    const theta = (2004.3109 * t - 0.42665 * t ** 2 - 0.041833 * t ** 3) / 3600;
+
+    const A = cos(dec) * sin(ra + zeta);
+    const B = cos(theta) * cos(dec) * cos(ra + zeta) - sin(theta) * sin(dec);
+    const C = sin(theta) * cos(dec) * cos(ra + zeta) + cos(theta) * sin(dec);
+    return { ra: normalize(atan2(A, B) + z), dec: asin(C) };
+}
+
+/**
+ * Mean sidereal time at Greenwich
+ */
+function siderealTime(jd) {
+    const T = centuries(jd);
+    return normalize(280.46061837 + 360.98564736629 * (jd - J2000) + 0.000387933 * T ** 2 - T ** 3 / 38710000);
+}
+
+/**
+ * Altitude, azimuth (from north, through east) and hour angle of an equatorial
+ * position for an observer; longitude is positive east
+ */
+function horizontal({ ra, dec }, jd, latitude, longitude) {
+    const hourAngle = normalize180(siderealTime(jd) + longitude - ra);
+    return {
+        altitude: asin(sin(latitude) * sin(dec) + cos(latitude) * cos(dec) * cos(hourAngle)),
+        azimuth: normalize(atan2(sin(hourAngle), cos(hourAngle) * sin(latitude) - tan(dec) * cos(latitude)) + 180),
+        hourAngle,
+    };
+}
+
+/**
+ * Equatorial horizontal parallax of a body `distance` AU away
+ */
+function parallax(distance) {
+    return asin(6378.14 / (distance * AU_KM));
+}
+
+module.exports = {
+    PLANETS,
+    julianDay,
+    fromJulianDay,
+    deltaT,
+    toJde,
+    nutation,
+    sunPosition,
+    moonPosition,
+    planetPosition,
+    precess,
+    siderealTime,
+    horizontal,
+    parallax,
+};
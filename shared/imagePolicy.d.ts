@@ -0,0 +1,32 @@
+export interface ImagePolicy {
+    allowedHosts: string[];
+    maxBytes: number;
+}
+
+export interface ImagePolicyVars {
+    /** Comma-separated hosts; "*.example.com" matches subdomains */
+    IMAGE_PROXY_ALLOWED_HOSTS?: string;
+    /** Maximum image size in bytes */
+    IMAGE_PROXY_MAX_BYTES?: string;
+}
+
+export const DEFAULT_ALLOWED_HOSTS: string[];
+export const DEFAULT_MAX_IMAGE_BYTES: number;
+
+export class ImagePolicyError extends Error {
+    status: number;
+    upstreamStatus?: number;
+    constructor(status: number, message: string, upstreamStatus?: number);
+}
+
+export function createImagePolicy(vars?: ImagePolicyVars): ImagePolicy;
+export function isAllowedHost(hostname: string, allowedHosts: string[]): boolean;
+export function checkImageUrl(rawUrl: string, policy: ImagePolicy): URL;
+export function checkImageResponse(response: Response, policy: ImagePolicy): string;
+export function limitBody(body: ReadableStream, maxBytes: number): ReadableStream;
+export function fetchPolicedImage(
+    rawUrl: string,
+    policy: ImagePolicy,
+    fetchImpl?: typeof fetch,
+    init?: RequestInit
+): Promise<{ response: Response; contentType: string }>;
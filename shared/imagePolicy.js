@@ -0,0 +1,151 @@
+/**
+ * Rules for the Worker's /image-proxy
+ *
+ * Without them the proxy would fetch (and cache for a year) any URL it was
+ * handed. Only images from allowlisted hosts are served: every redirect hop
+ * is checked against the allowlist, and responses must have an image
+ * Content-Type and stay under a size limit.
+ */
+
+// NASA Image Library assets, APOD and the thumbnails it uses for video days,
+// Mars rover raw images and EPIC
+const DEFAULT_ALLOWED_HOSTS = [
+    'images-assets.nasa.gov', 'apod.nasa.gov', 'img.youtube.com', 'i.vimeocdn.com',
+    'mars.nasa.gov', 'mars.jpl.nasa.gov', 'epic.gsfc.nasa.gov',
+];
+
+const DEFAULT_MAX_IMAGE_BYTES = 25 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+// `upstreamStatus` is set when the upstream answered with an error status
+class ImagePolicyError extends Error {
+    constructor(status, message, upstreamStatus) {
+        super(message);
+        this.name = 'ImagePolicyError';
+        this.status = status;
+        if (upstreamStatus !== undefined) this.upstreamStatus = upstreamStatus;
+    }
+}
+
+/**
+ * Build a policy from the Worker's vars. IMAGE_PROXY_ALLOWED_HOSTS is a
+ * comma-separated host list ("*.nasa.gov" matches subdomains only);
+ * IMAGE_PROXY_MAX_BYTES is a byte count.
+ */
+function createImagePolicy(vars = {}) {
+    const hosts = (vars.IMAGE_PROXY_ALLOWED_HOSTS || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean);
+    const maxBytes = Number(vars.IMAGE_PROXY_MAX_BYTES);
+
+    return {
+        allowedHosts: hosts.length > 0 ? hosts : [...DEFAULT_ALLOWED_HOSTS],
+        maxBytes: Number.isInteger(maxBytes) && maxBytes > 0 ? maxBytes : DEFAULT_MAX_IMAGE_BYTES,
+    };
+}
+
+function isAllowedHost(hostname, allowedHosts) {
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    return allowedHosts.some(allowed => (allowed.startsWith('*.')
+        ? host.endsWith(allowed.slice(1))
+        : host === allowed));
+}
+
+/**
+ * Parse and check an image URL; throws ImagePolicyError (400/403)
+ */
+function checkImageUrl(rawUrl, policy) {
+    let url;
+    try {
+        url = new URL(rawUrl);
+    } catch {
+        throw new ImagePolicyError(400, 'url is not a valid absolute URL');
+    }
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new ImagePolicyError(400, `Unsupported protocol ${url.protocol}`);
+    }
+    if (url.username || url.password) {
+        throw new ImagePolicyError(400, 'url must not contain credentials');
+    }
+    if (url.port) {
+        throw new ImagePolicyError(403, 'Non-default ports are not allowed');
+    }
+    if (!isAllowedHost(url.hostname, policy.allowedHosts)) {
+        throw new ImagePolicyError(403, `Host ${url.hostname} is not allowed`);
+    }
+    return url;
+}
+
+/**
+ * Check an upstream image response's headers; throws ImagePolicyError (413/415)
+ */
+function checkImageResponse(response, policy) {
+    const contentType = (response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    if (!contentType.startsWith('image/')) {
+        throw new ImagePolicyError(415, `Upstream returned ${contentType || 'no Content-Type'}, not an image`);
+    }
+
+    const length = Number(response.headers.get('Content-Length'));
+    if (length > policy.maxBytes) {
+        throw new ImagePolicyError(413, `Image is ${length} bytes; the limit is ${policy.maxBytes}`);
+    }
+    return contentType;
+}
+
+/**
+ * Pass a body through unchanged, erroring once it exceeds maxBytes (for
+ * upstreams that send no Content-Length)
+ */
+function limitBody(body, maxBytes) {
+    let seen = 0;
+    return body.pipeThrough(new TransformStream({
+        transform(chunk, controller) {
+            seen += chunk.byteLength;
+            if (seen > maxBytes) {
+                controller.error(new ImagePolicyError(413, `Image exceeds the ${maxBytes} byte limit`));
+                return;
+            }
+            controller.enqueue(chunk);
+        },
+    }));
+}
+
+/**
+ * Fetch an image under the policy, following redirects by hand so each hop is
+ * checked. Resolves to the upstream response and its Content-Type; throws
+ * ImagePolicyError for anything the policy rejects.
+ */
+async function fetchPolicedImage(rawUrl, policy, fetchImpl = fetch, init = {}) {
+    let url = checkImageUrl(rawUrl, policy);
+
+    for (let hop = 0; ; hop++) {
+        const response = await fetchImpl(url.toString(), { ...init, redirect: 'manual' });
+
+        if ([301, 302, 303, 307, 308].includes(response.status)) {
+            const location = response.headers.get('Location');
+            if (!location) throw new ImagePolicyError(502, 'Upstream redirect without a Location');
+            if (hop >= MAX_REDIRECTS) throw new ImagePolicyError(502, 'Too many redirects');
+            url = checkImageUrl(new URL(location, url).toString(), policy);
+            continue;
+        }
+
+        if (!response.ok) throw new ImagePolicyError(502, `Upstream returned HTTP ${response.status}`, response.status);
+
+        const contentType = checkImageResponse(response, policy);
+        return { response, contentType };
+    }
+}
+
+module.exports = {
+    DEFAULT_ALLOWED_HOSTS,
+    DEFAULT_MAX_IMAGE_BYTES,
+    ImagePolicyError,
+    createImagePolicy,
+    isAllowedHost,
+    checkImageUrl,
+    checkImageResponse,
+    limitBody,
+    fetchPolicedImage,
+};
@@ -0,0 +1,25 @@
+export type FitMode = 'scale-down' | 'contain' | 'cover' | 'crop' | 'pad';
+export type ImageFormat = 'webp' | 'avif' | 'jpeg';
+
+export interface ResizeOptions {
+    width?: number;
+    height?: number;
+    fit?: FitMode;
+    format?: ImageFormat;
+}
+
+export interface SrcsetEntry {
+    width: number;
+    url: string;
+}
+
+export const NASA_VARIANT_WIDTHS: [string, number][];
+export const FIT_MODES: FitMode[];
+export const FORMATS: ImageFormat[];
+export const MAX_DIMENSION: number;
+export const DEFAULT_SRCSET_WIDTHS: number[];
+
+export function parseResizeOptions(params: URLSearchParams): ResizeOptions;
+export function nasaVariantUrl(imageUrl: string, size?: { width?: number; height?: number }): string;
+export function buildImageProxyUrl(proxyBaseUrl: string, imageUrl: string, options?: ResizeOptions): string;
+export function buildSrcset(proxyBaseUrl: string, imageUrl: string | null, widths?: number[], format?: ImageFormat): SrcsetEntry[];
@@ -0,0 +1,111 @@
+/**
+ * Image size/format variants served through the Worker's /image-proxy
+ *
+ *   /image-proxy?url=<image>&w=320&h=&fit=cover&format=webp
+ *
+ * NASA Image Library assets come pre-rendered as ~thumb/~small/~medium/
+ * ~large/~orig, so the proxy first swaps in the smallest of those that covers
+ * the requested size (falling back to the URL it was given when that rendition
+ * is missing), then lets Cloudflare resize/re-encode the rest. Used by
+ * the Worker and by the seeder to emit srcset lists.
+ */
+
+const { ImagePolicyError } = require('./imagePolicy');
+
+// Approximate long-edge size of each NASA rendition (orig is full size)
+const NASA_VARIANT_WIDTHS = [
+    ['thumb', 100],
+    ['small', 320],
+    ['medium', 640],
+    ['large', 1920],
+    ['orig', Infinity],
+];
+const NASA_VARIANT_PATTERN = /~(thumb|small|medium|large|orig)\.jpg$/;
+
+const FIT_MODES = ['scale-down', 'contain', 'cover', 'crop', 'pad'];
+const FORMATS = ['webp', 'avif', 'jpeg'];
+const MAX_DIMENSION = 4096;
+const DEFAULT_SRCSET_WIDTHS = [320, 640, 1280];
+
+function parseDimension(params, name) {
+    const raw = params.get(name);
+    if (raw === null || raw === '') return undefined;
+
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_DIMENSION) {
+        throw new ImagePolicyError(400, `${name} must be an integer between 1 and ${MAX_DIMENSION}`);
+    }
+    return value;
+}
+
+/**
+ * Read w/h/fit/format from /image-proxy query params; returns {} when none
+ * are set and throws ImagePolicyError (400) for invalid values
+ */
+function parseResizeOptions(params) {
+    const options = {};
+    const width = parseDimension(params, 'w');
+    const height = parseDimension(params, 'h');
+    const fit = params.get('fit');
+    const format = params.get('format');
+
+    if (width) options.width = width;
+    if (height) options.height = height;
+    if (fit) {
+        if (!FIT_MODES.includes(fit)) throw new ImagePolicyError(400, `fit must be one of ${FIT_MODES.join(', ')}`);
+        options.fit = fit;
+    }
+    if (format) {
+        if (!FORMATS.includes(format)) throw new ImagePolicyError(400, `format must be one of ${FORMATS.join(', ')}`);
+        options.format = format;
+    }
+    return options;
+}
+
+/**
+ * Swap a NASA ~variant URL for the smallest rendition at least as large as
+ * the requested size; other URLs are returned unchanged
+ */
+function nasaVariantUrl(imageUrl, { width, height } = {}) {
+    const wanted = Math.max(width || 0, height || 0);
+    if (!wanted || !NASA_VARIANT_PATTERN.test(imageUrl)) return imageUrl;
+
+    const [variant] = NASA_VARIANT_WIDTHS.find(([, size]) => size >= wanted);
+    return imageUrl.replace(NASA_VARIANT_PATTERN, `~${variant}.jpg`);
+}
+
+/**
+ * Build an /image-proxy URL. Params are always in the same order, so it
+ * doubles as the cache key for a variant.
+ */
+function buildImageProxyUrl(proxyBaseUrl, imageUrl, options = {}) {
+    const params = new URLSearchParams({ url: imageUrl });
+    if (options.width) params.set('w', String(options.width));
+    if (options.height) params.set('h', String(options.height));
+    if (options.fit) params.set('fit', options.fit);
+    if (options.format) params.set('format', options.format);
+    return `${proxyBaseUrl}/image-proxy?${params}`;
+}
+
+/**
+ * srcset-style list of proxied variants of one image, narrowest first
+ */
+function buildSrcset(proxyBaseUrl, imageUrl, widths = DEFAULT_SRCSET_WIDTHS, format) {
+    if (!imageUrl) return [];
+    return [...widths].sort((a, b) => a - b).map(width => ({
+        width,
+        url: buildImageProxyUrl(proxyBaseUrl, imageUrl, { width, ...(format && { format }) }),
+    }));
+}
+
+module.exports = {
+    NASA_VARIANT_WIDTHS,
+    FIT_MODES,
+    FORMATS,
+    MAX_DIMENSION,
+    DEFAULT_SRCSET_WIDTHS,
+    parseResizeOptions,
+    nasaVariantUrl,
+    buildImageProxyUrl,
+    buildSrcset,
+};
@@ -0,0 +1,29 @@
+export type LocalizedField = 'title' | 'summary' | 'description';
+
+/** Per-field translations keyed by locale, e.g. { title: { es: "..." } } */
+export type LocalizedText = Partial<Record<LocalizedField, Record<string, string>>>;
+
+export interface Localizable {
+    title: string;
+    summary?: string;
+    description: string;
+    locale?: string;
+    localized?: LocalizedText;
+}
+
+export const DEFAULT_LOCALE: string;
+export const LOCALIZED_FIELDS: LocalizedField[];
+export const LOCALE_PATTERN: RegExp;
+
+export function truncateAtWord(text: string, maxLength?: number): string;
+export function summarize(description: string | undefined, maxLength?: number): string;
+export function normalizeLocale(tag: string | null | undefined): string | null;
+export function parseAcceptLanguage(header: string | null | undefined): string[];
+export function negotiateLocale(requested: string[], available: string[], fallback?: string): string;
+export function objectLocales(object: Localizable): string[];
+export function mergeTranslations<T extends Localizable>(
+    object: T,
+    translations?: Record<string, Partial<Record<LocalizedField, string>>>,
+    fallbackLocale?: string
+): T & { summary: string; locale: string };
+export function localizeObject<T extends Localizable>(object: T, locale: string): Omit<T, 'localized'> & { locale: string };
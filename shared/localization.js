@@ -0,0 +1,157 @@
+/**
+ * Localized object text
+ *
+ * Objects keep their fallback-locale text (English NASA captions) in the
+ * top-level title/summary/description, named by `locale`. Hand-written
+ * translations from scripts/translations/<locale>.json are merged by the
+ * seeder into per-field maps:
+ *
+ *   "locale": "en",
+ *   "title": "Crab Nebula",
+ *   "localized": { "title": { "es": "Nebulosa del Cangrejo" }, "summary": { ... }, "description": { ... } }
+ *
+ * The Worker picks a locale per request (`lang` parameter, then
+ * Accept-Language) and serves the object flattened to that locale, falling
+ * back field by field.
+ */
+
+const DEFAULT_LOCALE = 'en';
+const LOCALIZED_FIELDS = ['title', 'summary', 'description'];
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+
+const SUMMARY_MAX_LENGTH = 200;
+
+/**
+ * Shorten text to at most `maxLength` characters at a word boundary
+ */
+function truncateAtWord(text, maxLength) {
+    if (!maxLength || text.length <= maxLength) return text;
+
+    let cut = text.slice(0, maxLength - 3);
+    const lastSpace = cut.lastIndexOf(' ');
+    // One very long word: better cut it than drop nearly everything
+    if (lastSpace > maxLength / 2) cut = cut.slice(0, lastSpace);
+    return `${cut.replace(/[\s,;:.\-–—]+$/, '')}...`;
+}
+
+/**
+ * First sentence of a description, for lists and previews
+ */
+function summarize(description, maxLength = SUMMARY_MAX_LENGTH) {
+    const text = String(description || '').trim().replace(/\s+/g, ' ');
+    const sentence = text.match(/^.+?[.!?](?=\s|$)/);
+    return truncateAtWord(sentence ? sentence[0] : text, maxLength);
+}
+
+/**
+ * "pt_br" / "PT-br" -> "pt-BR"; null for anything that is not a language tag
+ */
+function normalizeLocale(tag) {
+    const match = String(tag || '').trim().match(/^([a-z]{2,3})(?:[-_]([a-z]{2}))?(?:[-_].*)?$/i);
+    if (!match) return null;
+    return match[2] ? `${match[1].toLowerCase()}-${match[2].toUpperCase()}` : match[1].toLowerCase();
+}
+
+/**
+ * Language tags from an Accept-Language header, most preferred first
+ */
+function parseAcceptLanguage(header) {
+    return String(header || '')
+        .split(',')
+        .map((part, position) => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.map(p => p.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+            return { tag: tag.trim(), q: q ? Number(q[1]) : 1, position };
+        })
+        .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+        .sort((a, b) => b.q - a.q || a.position - b.position)
+        .map(entry => entry.tag);
+}
+
+/**
+ * Best available locale for the requested tags: exact match, then the same
+ * language ("es-MX" -> "es", "pt" -> "pt-BR"), else the fallback
+ */
+function negotiateLocale(requested, available, fallback = DEFAULT_LOCALE) {
+    for (const tag of requested.map(normalizeLocale).filter(Boolean)) {
+        if (available.includes(tag)) return tag;
+        const language = tag.split('-')[0];
+        const sameLanguage = available.find(locale => locale.split('-')[0] === language);
+        if (sameLanguage) return sameLanguage;
+    }
+    return fallback;
+}
+
+/**
+ * Every locale an object has text in, fallback first
+ */
+function objectLocales(object) {
+    const locales = new Set([object.locale || DEFAULT_LOCALE]);
+    for (const field of LOCALIZED_FIELDS) {
+        Object.keys(object.localized?.[field] || {}).forEach(locale => locales.add(locale));
+    }
+    return [...locales];
+}
+
+/**
+ * Merge one object's translations ({ [locale]: { title, summary, description } })
+ * into its `localized` maps, replacing earlier ones. Also fills in the
+ * fallback summary and locale. Idempotent, so it can rerun on seeded files.
+ */
+function mergeTranslations(object, translations = {}, fallbackLocale = DEFAULT_LOCALE) {
+    const { localized: _previous, ...rest } = object;
+    const merged = {
+        ...rest,
+        summary: rest.summary || summarize(rest.description),
+        locale: fallbackLocale,
+    };
+
+    const localized = {};
+    for (const locale of Object.keys(translations).sort()) {
+        if (locale === fallbackLocale) continue;
+        for (const field of LOCALIZED_FIELDS) {
+            const text = translations[locale]?.[field];
+            if (typeof text !== 'string' || !text.trim()) continue;
+            localized[field] = { ...localized[field], [locale]: text.trim() };
+        }
+    }
+
+    if (Object.keys(localized).length > 0) merged.localized = localized;
+    return merged;
+}
+
+/**
+ * Flatten an object to one locale; fields without a translation keep the
+ * fallback text. `locale` in the result is the locale that was asked for if
+ * anything was translated, else the fallback.
+ */
+function localizeObject(object, locale) {
+    const { localized, ...flat } = object;
+    const fallback = object.locale || DEFAULT_LOCALE;
+    let translated = false;
+
+    for (const field of LOCALIZED_FIELDS) {
+        const text = localized?.[field]?.[locale];
+        if (text !== undefined) {
+            flat[field] = text;
+            translated = true;
+        }
+    }
+
+    flat.locale = translated ? locale : fallback;
+    return flat;
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    LOCALIZED_FIELDS,
+    LOCALE_PATTERN,
+    truncateAtWord,
+    summarize,
+    normalizeLocale,
+    parseAcceptLanguage,
+    negotiateLocale,
+    objectLocales,
+    mergeTranslations,
+    localizeObject,
+};
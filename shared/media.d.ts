@@ -0,0 +1,37 @@
+import { RankingCriteria } from './ranking';
+import { Attribution } from './attribution';
+
+export type MediaType = 'image' | 'video';
+
+export interface MediaEntry extends Attribution {
+    nasaId: string | null;
+    mediaType: MediaType;
+    /** Image-proxy URL of the image, or of a video's preview still */
+    url: string;
+    /** YYYY-MM-DD */
+    date: string | null;
+    caption: string;
+    /** Pixel size of the original asset (seeded objects only) */
+    width?: number;
+    height?: number;
+    /** Playable file for videos (seeded objects only) */
+    videoUrl?: string;
+    /** Bundled copy relative to mobile-app/ */
+    localPath?: string;
+}
+
+export interface GalleryOptions {
+    /** Main image, always first */
+    primary?: any;
+    limit?: number;
+    /** NASA rendition for images, default "medium" */
+    variant?: string;
+}
+
+export const MEDIA_TYPES: MediaType[];
+export const DEFAULT_GALLERY_SIZE: number;
+export const MIN_GALLERY_SCORE: number;
+
+export function toMediaEntry(item: any, proxyBaseUrl: string, variant?: string): MediaEntry | null;
+export function selectGallery<T>(items: T[], criteria: RankingCriteria, options?: GalleryOptions): T[];
+export function buildGallery(items: any[], criteria: RankingCriteria, proxyBaseUrl: string, options?: GalleryOptions): MediaEntry[];
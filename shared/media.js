@@ -0,0 +1,98 @@
+/**
+ * Media galleries: several NASA Image Library assets per object
+ *
+ * `imageUrl` stays the single best image; `media` lists it first, followed by
+ * other relevant hits (optionally videos), best first:
+ *
+ *   "media": [{
+ *     "nasaId": "PIA03606", "mediaType": "image",
+ *     "url": "<worker>/image-proxy?url=...~medium.jpg",
+ *     "credit": "NASA/JPL", "license": "public-domain",
+ *     "sourceUrl": "https://images.nasa.gov/details/PIA03606", "date": "2005-12-01",
+ *     "width": 3864, "height": 3864,
+ *     "caption": "First sentence of NASA's description.",
+ *     "localPath": "assets/offline/crab-nebula.jpg"
+ *   }, ...]
+ *
+ * The seeder and the Worker's /lookup build entries with the same code, so
+ * the shape is the same wherever the object comes from. Dimensions, video
+ * files and local copies are only known to the seeder.
+ */
+
+const { rankCandidates } = require('./ranking');
+const { summarize } = require('./localization');
+const { nasaAttribution } = require('./attribution');
+const { buildImageProxyUrl } = require('./imageVariants');
+
+const MEDIA_TYPES = ['image', 'video'];
+const DEFAULT_GALLERY_SIZE = 8;
+
+// Beyond the first entry, a hit needs about this much to make the gallery: the
+// name in the title, or in the keywords of a science-center image (see shared/ranking.js)
+const MIN_GALLERY_SCORE = 20;
+
+const VARIANT_PATTERN = /~(thumb|small|medium|large|orig)\.jpg$/;
+
+function previewLink(item) {
+    return (item.links || []).find(link => link.render === 'image' && link.href)?.href || null;
+}
+
+/**
+ * Gallery entry for a NASA search item, or null when it has no preview
+ * image. Images use the given rendition; videos use their preview still.
+ */
+function toMediaEntry(item, proxyBaseUrl, variant = 'medium') {
+    const datum = item.data?.[0] || {};
+    const preview = previewLink(item);
+    if (!preview) return null;
+
+    const mediaType = datum.media_type === 'video' ? 'video' : 'image';
+    const source = mediaType === 'image' ? preview.replace(VARIANT_PATTERN, `~${variant}.jpg`) : preview;
+
+    return {
+        nasaId: datum.nasa_id || null,
+        mediaType,
+        url: buildImageProxyUrl(proxyBaseUrl, source),
+        ...nasaAttribution(datum),
+        date: datum.date_created ? datum.date_created.slice(0, 10) : null,
+        caption: summarize(datum.description || datum.description_508 || datum.title),
+    };
+}
+
+/**
+ * Pick gallery items from search hits: `primary` (the object's main image)
+ * first, then the best-ranked public-domain hits that score at least
+ * MIN_GALLERY_SCORE, without repeats, up to `limit`
+ */
+function selectGallery(items, criteria, { primary = null, limit = DEFAULT_GALLERY_SIZE } = {}) {
+    const idOf = item => item.data?.[0]?.nasa_id;
+    const selected = primary ? [primary] : [];
+    const seen = new Set(selected.map(idOf));
+
+    for (const { item, score } of rankCandidates(items, criteria)) {
+        if (selected.length >= limit) break;
+        if (score < MIN_GALLERY_SCORE || seen.has(idOf(item)) || !previewLink(item)) continue;
+        if (nasaAttribution(item.data?.[0] || {}).license !== 'public-domain') continue;
+        seen.add(idOf(item));
+        selected.push(item);
+    }
+    return selected;
+}
+
+/**
+ * selectGallery + toMediaEntry
+ */
+function buildGallery(items, criteria, proxyBaseUrl, options = {}) {
+    return selectGallery(items, criteria, options)
+        .map(item => toMediaEntry(item, proxyBaseUrl, options.variant))
+        .filter(Boolean);
+}
+
+module.exports = {
+    MEDIA_TYPES,
+    DEFAULT_GALLERY_SIZE,
+    MIN_GALLERY_SCORE,
+    toMediaEntry,
+    selectGallery,
+    buildGallery,
+};
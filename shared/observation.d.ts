@@ -0,0 +1,61 @@
+import { Equatorial, Horizontal } from './ephemeris';
+
+export interface Observable {
+    /** Reference dataset key, e.g. "andromeda" for "M31" */
+    id: string;
+    body: 'sun' | 'moon' | 'planet' | 'fixed';
+    /** J2000 position of a fixed object */
+    position?: Equatorial;
+}
+
+export interface MoonPhase {
+    /** 0 new, 0.25 first quarter, 0.5 full, 0.75 last quarter */
+    phase: number;
+    /** Lit fraction of the disk */
+    illumination: number;
+    name: string;
+}
+
+export interface ObservationPlan {
+    id: string;
+    body: Observable['body'];
+    date: string;
+    latitude: number;
+    longitude: number;
+    utcOffset: number;
+    visibility: 'risesAndSets' | 'alwaysUp' | 'neverUp';
+    /** ISO 8601 UTC times, null when it does not happen that day */
+    rise: string | null;
+    transit: string | null;
+    set: string | null;
+    transitAltitude: number | null;
+    position: {
+        at: string;
+        rightAscension: number;
+        declination: number;
+        altitude: number;
+        azimuth: number;
+    };
+    moon: MoonPhase;
+}
+
+export interface ObservationOptions {
+    latitude: number;
+    /** Degrees, east positive */
+    longitude: number;
+    /** Local date, YYYY-MM-DD */
+    date: string;
+    /** Minutes the local clock is ahead of UTC */
+    utcOffset?: number;
+    at?: Date;
+}
+
+export function findObservable(...names: Array<string | string[] | null | undefined>): Observable | null;
+export function skyPosition(
+    target: Observable,
+    jd: number,
+    latitude: number,
+    longitude: number,
+): Equatorial & Horizontal & { distance?: number; aboveRise: number };
+export function moonPhase(jd: number): MoonPhase;
+export function planObservation(target: Observable, options: ObservationOptions): ObservationPlan;
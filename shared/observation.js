@@ -0,0 +1,187 @@
+/**
+ * Observation planning: when an object rises, transits and sets for a place
+ * and date, where it is in the sky, and the Moon's phase, all offline
+ *
+ * The Sun, Moon and planets come from shared/ephemeris.js; stars and deep-sky
+ * objects from their J2000 position in the reference dataset, precessed to
+ * the date. Rise and set are when the upper limb crosses the horizon, with
+ * standard refraction (Meeus ch. 15); reported altitudes are geometric and,
+ * for the Moon, topocentric.
+ */
+
+const reference = require('./reference/objects.json');
+const { findReference } = require('./enrichment');
+const {
+    PLANETS, julianDay, fromJulianDay, toJde, sunPosition, moonPosition,
+    planetPosition, precess, horizontal, parallax,
+} = require('./ephemeris');
+
+// Altitude of the center at rise and set for stars and planets, and the Sun
+const STAR_RISE_ALTITUDE = -0.5667;
+const SUN_RISE_ALTITUDE = -0.8333;
+
+// Sampling step when searching the day for rise, transit and set
+const STEP_MINUTES = 10;
+
+// Phase names by eighths of the cycle, centered on new, first quarter, full, last quarter
+const PHASE_NAMES = [
+    'new moon', 'waxing crescent', 'first quarter', 'waxing gibbous',
+    'full moon', 'waning gibbous', 'last quarter', 'waning crescent',
+];
+
+/**
+ * What to compute for a catalog id or name: { id, body } with body 'sun',
+ * 'moon', 'planet' or 'fixed' (with its J2000 `position`), or null when the
+ * object has no position in the sky (Earth, spacecraft, unknown names)
+ */
+function findObservable(...names) {
+    const id = findReference(...names);
+    if (!id) return null;
+    if (id === 'sun' || id === 'moon') return { id, body: id };
+    if (PLANETS.includes(id)) return { id, body: 'planet' };
+
+    const position = reference.objects[id].position;
+    return position ? { id, body: 'fixed', position: { ra: position.raDeg, dec: position.decDeg } } : null;
+}
+
+/**
+ * Apparent { ra, dec, distance? } of an observable at a UT Julian Day
+ */
+function equatorialPosition(target, jd) {
+    const jde = toJde(jd);
+    switch (target.body) {
+        case 'sun': return sunPosition(jde);
+        case 'moon': return moonPosition(jde);
+        case 'planet': return planetPosition(target.id, jde);
+        default: return precess(target.position.ra, target.position.dec, jde);
+    }
+}
+
+/**
+ * Altitude of the center at rise and set
+ */
+function riseAltitude(target, position) {
+    if (target.body === 'sun') return SUN_RISE_ALTITUDE;
+    if (target.body === 'moon') return 0.7275 * parallax(position.distance) + STAR_RISE_ALTITUDE;
+    return STAR_RISE_ALTITUDE;
+}
+
+/**
+ * Where an observable is in the sky at a UT Julian Day
+ */
+function skyPosition(target, jd, latitude, longitude) {
+    const position = equatorialPosition(target, jd);
+    const local = horizontal(position, jd, latitude, longitude);
+    // The Moon is close enough for the observer's offset from Earth's center to show
+    const altitude = target.body === 'moon'
+        ? local.altitude - parallax(position.distance) * Math.cos(local.altitude * Math.PI / 180)
+        : local.altitude;
+    return { ...position, ...local, altitude, aboveRise: local.altitude - riseAltitude(target, position) };
+}
+
+/**
+ * Refine a sign change of f between two Julian Days to about a second
+ */
+function bisect(f, start, end) {
+    const rising = f(start) < 0;
+    for (let i = 0; i < 12; i++) {
+        const middle = (start + end) / 2;
+        if ((f(middle) < 0) === rising) start = middle;
+        else end = middle;
+    }
+    return (start + end) / 2;
+}
+
+/**
+ * Moon phase at a UT Julian Day: { phase, illumination, name }, where phase
+ * runs 0 (new) → 0.5 (full) → 1 and illumination is the lit fraction of the disk
+ */
+function moonPhase(jd) {
+    const jde = toJde(jd);
+    const sun = sunPosition(jde);
+    const moon = moonPosition(jde);
+
+    // Elongation, then the phase angle seen from the Moon (Meeus ch. 48)
+    const rad = Math.PI / 180;
+    const elongation = Math.acos(
+        Math.sin(sun.dec * rad) * Math.sin(moon.dec * rad)
+        + Math.cos(sun.dec * rad) * Math.cos(moon.dec * rad) * Math.cos((sun.ra - moon.ra) * rad),
+    );
+    const phaseAngle = Math.atan2(sun.distance * Math.sin(elongation), moon.distance - sun.distance * Math.cos(elongation));
+
+    const phase = (((moon.longitude - sun.longitude) % 360) + 360) % 360 / 360;
+    return {
+        phase,
+        illumination: (1 + Math.cos(phaseAngle)) / 2,
+        name: PHASE_NAMES[Math.floor(phase * 8 + 0.5) % 8],
+    };
+}
+
+const toIso = jd => fromJulianDay(jd).toISOString().replace(/\.\d{3}Z$/, 'Z');
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+
+/**
+ * Plan an observation of `target` (from findObservable) on a local `date`
+ * (YYYY-MM-DD), for a place at `latitude`/`longitude` (degrees, east
+ * positive) whose clock is `utcOffset` minutes ahead of UTC. Rise, transit
+ * and set are the first of each in that local day, or null; `position` is
+ * at `at` (a Date), else at transit, else at the start of the day.
+ */
+function planObservation(target, { latitude, longitude, date, utcOffset = 0, at }) {
+    const start = julianDay(new Date(`${date}T00:00:00Z`)) - utcOffset / 1440;
+    const steps = 1440 / STEP_MINUTES;
+    const sample = jd => skyPosition(target, jd, latitude, longitude);
+
+    const samples = [];
+    for (let i = 0; i <= steps; i++) {
+        const jd = start + i * STEP_MINUTES / 1440;
+        samples.push({ jd, ...sample(jd) });
+    }
+
+    let rise = null;
+    let set = null;
+    let transit = null;
+    for (const [i, b] of samples.slice(1).entries()) {
+        const a = samples[i];
+        if (rise === null && a.aboveRise < 0 && b.aboveRise >= 0) rise = bisect(jd => sample(jd).aboveRise, a.jd, b.jd);
+        if (set === null && a.aboveRise >= 0 && b.aboveRise < 0) set = bisect(jd => sample(jd).aboveRise, a.jd, b.jd);
+        // Crossing the meridian, not the ±180° wrap below the pole
+        if (transit === null && a.hourAngle < 0 && b.hourAngle >= 0 && b.hourAngle - a.hourAngle < 180) {
+            transit = bisect(jd => sample(jd).hourAngle, a.jd, b.jd);
+        }
+    }
+
+    let visibility = 'risesAndSets';
+    if (rise === null && set === null) visibility = samples[0].aboveRise >= 0 ? 'alwaysUp' : 'neverUp';
+
+    const atJd = at ? julianDay(at) : (transit ?? start);
+    const position = sample(atJd);
+    return {
+        id: target.id,
+        body: target.body,
+        date,
+        latitude,
+        longitude,
+        utcOffset,
+        visibility,
+        rise: rise === null ? null : toIso(rise),
+        transit: transit === null ? null : toIso(transit),
+        set: set === null ? null : toIso(set),
+        transitAltitude: transit === null ? null : round(sample(transit).altitude, 2),
+        position: {
+            at: toIso(atJd),
+            rightAscension: round(position.ra),
+            declination: round(position.dec),
+            altitude: round(position.altitude),
+            azimuth: round(position.azimuth),
+        },
+        moon: (({ phase, illumination, name }) => ({ phase: round(phase), illumination: round(illumination), name }))(moonPhase(atJd)),
+    };
+}
+
+module.exports = {
+    findObservable,
+    skyPosition,
+    moonPhase,
+    planObservation,
+};
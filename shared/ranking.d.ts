@@ -0,0 +1,21 @@
+export interface RankingCriteria {
+    /** Name of the object being looked for, e.g. "Jupiter" */
+    name?: string;
+    /** Raw search text; defaults to the name */
+    query?: string;
+}
+
+export interface RankedCandidate<T> {
+    item: T;
+    score: number;
+    reasons: string[];
+    position: number;
+}
+
+export const PENALTY_TERMS: string[];
+export const CENTER_SCORES: Record<string, number>;
+
+export function tokenize(text: string | undefined): string[];
+export function scoreCandidate<T>(item: T, criteria: RankingCriteria): Omit<RankedCandidate<T>, 'position'>;
+export function rankCandidates<T>(items: T[], criteria: RankingCriteria): RankedCandidate<T>[];
+export function pickBestCandidate<T>(items: T[], criteria: RankingCriteria): T | null;
@@ -0,0 +1,137 @@
+/**
+ * Relevance ranking for NASA Image Library search results
+ *
+ * The search API orders hits by its own relevance, which happily returns
+ * "Launch Vehicles" for Jupiter or a town celebration for Mars. Used by the
+ * seeding CLI and the Worker's /lookup so both pick the same image.
+ */
+
+const STOP_WORDS = new Set(['the', 'of', 'a', 'an', 'and', 'in', 'on', 'from', 'at', 'to', 'by', 'with', 'for']);
+
+// Science centers publish most real imagery; HQ/KSC/JSC mostly events and hardware
+const CENTER_SCORES = {
+    JPL: 15,
+    GSFC: 12,
+    ARC: 8,
+    MSFC: 0,
+    LARC: 0,
+    JSC: -2,
+    KSC: -8,
+    HQ: -8,
+};
+
+// Words that almost always mean a photo of people or hardware, not the object
+const PENALTY_TERMS = [
+    'launch', 'celebration', 'ceremony', 'rollout', 'mockup', 'training', 'press conference',
+    'award', 'parade', 'festival', 'visit', 'meeting', 'exhibit', 'logo', 'poster', 'panel',
+];
+
+const SCORES = {
+    phraseInTitle: 30,
+    nameTokenInTitle: 10,
+    nameTokenInKeywords: 6,
+    nameTokenMissing: -15,
+    keywordIsName: 10,
+    queryTokenMatch: 3,
+    penaltyInTitle: -40,
+    penaltyInKeywords: -10,
+    hasImage: 10,
+    noImage: -1000,
+    photojournal: 5,
+};
+
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !STOP_WORDS.has(token));
+}
+
+function hasTerm(text, term) {
+    return new RegExp(`\\b${term.replace(/\s+/g, '\\s+')}`, 'i').test(text);
+}
+
+/**
+ * Score one search item against the object being looked for.
+ * `criteria.name` is the object's name ("Jupiter", "black hole m87");
+ * `criteria.query` is the raw search text and defaults to the name.
+ */
+function scoreCandidate(item, criteria) {
+    const datum = item.data?.[0] || {};
+    const name = criteria.name || criteria.query || '';
+    const title = String(datum.title || '');
+    const keywords = (datum.keywords || []).map(k => String(k).toLowerCase());
+    const keywordText = keywords.join(' ');
+
+    const titleTokens = new Set(tokenize(title));
+    const keywordTokens = new Set(tokenize(keywordText));
+    const nameTokens = tokenize(name);
+    const queryTokens = tokenize(criteria.query).filter(token => !nameTokens.includes(token));
+
+    let score = 0;
+    const reasons = [];
+    const add = (points, reason) => {
+        score += points;
+        reasons.push(`${points > 0 ? '+' : ''}${points} ${reason}`);
+    };
+
+    if (nameTokens.length > 0 && hasTerm(title, nameTokens.join(' '))) {
+        add(SCORES.phraseInTitle, 'name in title');
+    }
+
+    for (const token of nameTokens) {
+        if (titleTokens.has(token)) add(SCORES.nameTokenInTitle, `"${token}" in title`);
+        else if (keywordTokens.has(token)) add(SCORES.nameTokenInKeywords, `"${token}" in keywords`);
+        else add(SCORES.nameTokenMissing, `"${token}" missing`);
+    }
+
+    if (keywords.includes(nameTokens.join(' '))) {
+        add(SCORES.keywordIsName, 'keyword is name');
+    }
+
+    for (const token of queryTokens) {
+        if (titleTokens.has(token) || keywordTokens.has(token)) add(SCORES.queryTokenMatch, `"${token}" matched`);
+    }
+
+    const centerScore = CENTER_SCORES[String(datum.center || '').toUpperCase()];
+    if (centerScore) add(centerScore, `center ${datum.center}`);
+
+    for (const term of PENALTY_TERMS) {
+        if (hasTerm(title, term)) add(SCORES.penaltyInTitle, `"${term}" in title`);
+        else if (hasTerm(keywordText, term)) add(SCORES.penaltyInKeywords, `"${term}" in keywords`);
+    }
+
+    const hasImage = (item.links || []).some(link => link.render === 'image' && link.href);
+    if (hasImage) add(SCORES.hasImage, 'has image');
+    else add(SCORES.noImage, 'no image');
+
+    if (/^PIA\d+$/.test(datum.nasa_id || '')) add(SCORES.photojournal, 'photojournal');
+
+    return { item, score, reasons };
+}
+
+/**
+ * Score and sort search items, best first. Ties keep NASA's order.
+ */
+function rankCandidates(items, criteria) {
+    return items
+        .map((item, position) => ({ ...scoreCandidate(item, criteria), position }))
+        .sort((a, b) => b.score - a.score || a.position - b.position);
+}
+
+/**
+ * The best item that actually has an image, or null
+ */
+function pickBestCandidate(items, criteria) {
+    const [best] = rankCandidates(items, criteria);
+    return best && best.score > SCORES.noImage / 2 ? best.item : null;
+}
+
+module.exports = {
+    PENALTY_TERMS,
+    CENTER_SCORES,
+    tokenize,
+    scoreCandidate,
+    rankCandidates,
+    pickBestCandidate,
+};
@@ -0,0 +1,25 @@
+export type Relation = 'parentBody' | 'orbitedBy' | 'locatedIn' | 'contains' | 'sameConstellation' | 'seeAlso';
+
+/** One entry of an object's `related` list */
+export interface RelatedObject {
+    id: string;
+    relation: Relation;
+    title: string;
+    type: string;
+}
+
+export interface RelationNode {
+    id: string;
+    title: string;
+    type: string;
+    /** Id and catalog aliases */
+    names: string[];
+    /** Links defined in the catalog */
+    related?: Partial<Record<Relation, string[]>>;
+    constellation?: string | null;
+    keywords?: string[];
+}
+
+export const RELATIONS: Record<Relation, Relation>;
+export const RELATION_TYPES: Relation[];
+export function buildRelationGraph(nodes: RelationNode[]): Record<string, RelatedObject[]>;
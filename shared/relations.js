@@ -0,0 +1,107 @@
+/**
+ * Relationships between catalog objects
+ *
+ * Each object lists the objects it links to, with how they are related:
+ *
+ *   "related": [
+ *     { "id": "earth", "relation": "parentBody", "title": "Earth", "type": "planet" },
+ *     { "id": "betelgeuse", "relation": "sameConstellation", "title": "Betelgeuse", "type": "star" }
+ *   ]
+ *
+ * Links come from the catalog's `related` field (a parent body, what an
+ * object is located in, "see also"), from constellations shared in the
+ * reference metadata, and from NASA keywords that name another catalog
+ * object. Every link is added in both directions, using its inverse.
+ * Catalog entries for the same reference object (e.g. a Tier-A and an
+ * objects copy of Andromeda) are never linked by generated relations, and an
+ * object links to only the first of them (in catalog order) per relation.
+ */
+
+const { findReference } = require('./enrichment');
+
+// Relation -> its inverse, in the order an object's related list is sorted
+const RELATIONS = {
+    parentBody: 'orbitedBy',
+    orbitedBy: 'parentBody',
+    locatedIn: 'contains',
+    contains: 'locatedIn',
+    sameConstellation: 'sameConstellation',
+    seeAlso: 'seeAlso',
+};
+
+const RELATION_TYPES = Object.keys(RELATIONS);
+
+function toSlug(name) {
+    return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Build every object's related list. `nodes` are the seeded objects in
+ * catalog order: { id, title, type, names, related, constellation, keywords },
+ * where `names` are its id and catalog aliases, and `related` is the catalog's
+ * { [relation]: [id, ...] }. Links to ids that are not nodes are left out.
+ * Returns { [id]: [{ id, relation, title, type }] }.
+ */
+function buildRelationGraph(nodes) {
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const order = new Map(nodes.map((node, i) => [node.id, i]));
+    const links = new Map(nodes.map(node => [node.id, new Map()]));
+
+    const referenceKey = node => findReference(node.names);
+    const twins = (a, b) => {
+        const key = referenceKey(a);
+        return key !== null && key === referenceKey(b);
+    };
+    const link = (from, relation, to) => {
+        if (from === to || !byId.has(from) || !byId.has(to)) return;
+        links.get(from).set(`${relation}:${to}`, { id: to, relation });
+        links.get(to).set(`${RELATIONS[relation]}:${from}`, { id: from, relation: RELATIONS[relation] });
+    };
+
+    // Defined in the catalog
+    for (const node of nodes) {
+        for (const [relation, ids] of Object.entries(node.related || {})) {
+            ids.forEach(id => link(node.id, relation, id));
+        }
+    }
+
+    // Same constellation
+    for (const [i, a] of nodes.entries()) {
+        if (!a.constellation) continue;
+        nodes.slice(i + 1)
+            .filter(b => b.constellation === a.constellation && !twins(a, b))
+            .forEach(b => link(a.id, 'sameConstellation', b.id));
+    }
+
+    // Keywords naming another object, by any of its names or reference designations
+    const bySlug = new Map();
+    for (const node of nodes) {
+        for (const name of node.names) {
+            if (!bySlug.has(toSlug(name))) bySlug.set(toSlug(name), node);
+        }
+    }
+    for (const node of nodes) {
+        for (const keyword of node.keywords || []) {
+            const key = findReference(keyword);
+            const named = bySlug.has(toSlug(keyword))
+                ? [bySlug.get(toSlug(keyword))]
+                : nodes.filter(other => key !== null && referenceKey(other) === key);
+            named.filter(other => !twins(node, other)).forEach(other => link(node.id, 'seeAlso', other.id));
+        }
+    }
+
+    return Object.fromEntries(nodes.map(node => [
+        node.id,
+        [...links.get(node.id).values()]
+            .sort((a, b) => RELATION_TYPES.indexOf(a.relation) - RELATION_TYPES.indexOf(b.relation) || order.get(a.id) - order.get(b.id))
+            .filter(({ id, relation }, i, sorted) => !sorted.slice(0, i)
+                .some(earlier => earlier.relation === relation && twins(byId.get(earlier.id), byId.get(id))))
+            .map(({ id, relation }) => ({ id, relation, title: byId.get(id).title, type: byId.get(id).type })),
+    ]));
+}
+
+module.exports = {
+    RELATIONS,
+    RELATION_TYPES,
+    buildRelationGraph,
+};
@@ -0,0 +1,37 @@
+export interface SearchDocument {
+    id: string;
+    title: string;
+    type: string;
+    path: string;
+    description?: string;
+    keywords?: string[];
+    aliases?: string[];
+    thumbnailPath?: string;
+}
+
+export interface IndexedDocument {
+    id: string;
+    title: string;
+    type: string;
+    path: string;
+    thumbnailPath?: string;
+}
+
+export interface SearchIndex {
+    version: number;
+    docs: IndexedDocument[];
+    /** Stemmed term -> flat [docIndex, weight, docIndex, weight, ...] */
+    terms: Record<string, number[]>;
+}
+
+export interface SearchResult extends IndexedDocument {
+    score: number;
+}
+
+export const INDEX_VERSION: number;
+export const FIELD_WEIGHTS: Record<'title' | 'aliases' | 'keywords' | 'type' | 'description', number>;
+
+export function tokenize(text: string | undefined): string[];
+export function stem(token: string): string;
+export function buildSearchIndex(documents: SearchDocument[]): SearchIndex;
+export function searchIndex(index: SearchIndex, query: string, options?: { type?: string; limit?: number }): SearchResult[];
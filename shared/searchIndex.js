@@ -0,0 +1,210 @@
+/**
+ * Offline full-text search over seeded objects
+ *
+ * The seeding CLI builds one index per target (data/content_search_index.json
+ * for Tier-A, ...) and the Worker's /search/local queries the bundled Tier-A
+ * index with the same code. Index format:
+ *
+ *   {
+ *     "version": 1,
+ *     "docs":  [{ id, title, type, path, thumbnailPath? }, ...],
+ *     "terms": { "<stemmed term>": [docIndex, weight, docIndex, weight, ...] }
+ *   }
+ *
+ * A term's weight in a document adds up the weights of the fields it appears
+ * in (title and aliases count most, description least).
+ */
+
+const INDEX_VERSION = 1;
+
+const FIELD_WEIGHTS = {
+    title: 8,
+    aliases: 8,
+    keywords: 3,
+    type: 2,
+    description: 1,
+};
+
+// Repeats in one field stop adding weight after this many
+const MAX_FIELD_REPEATS = 3;
+
+// Prefix matches ("andro" for "andromeda") score less than whole words
+const PREFIX_FACTOR = 0.5;
+const MIN_PREFIX_LENGTH = 2;
+
+const STOP_WORDS = new Set([
+    'the', 'of', 'a', 'an', 'and', 'or', 'in', 'on', 'from', 'at', 'to', 'by', 'with', 'for',
+    'is', 'are', 'was', 'were', 'be', 'it', 'its', 'this', 'that', 'as',
+]);
+
+/**
+ * Lowercase words with accents folded ("Méchain" -> "mechain"), minus stop words
+ */
+function tokenize(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !STOP_WORDS.has(token));
+}
+
+/**
+ * Light suffix stemmer: enough to fold plurals and -ing/-ed forms
+ * ("galaxies" -> "galaxy", "nebulae" -> "nebula", "imaging" -> "imag")
+ */
+function stem(token) {
+    if (token.length <= 3 || /\d/.test(token)) return token;
+
+    let word = token;
+    if (word.endsWith('ies') && word.length > 4) {
+        word = `${word.slice(0, -3)}y`;
+    } else if (/(sses|xes|ches|shes)$/.test(word)) {
+        word = word.slice(0, -2);
+    } else if (word.endsWith('ae')) {
+        word = word.slice(0, -1);
+    } else if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+        word = word.slice(0, -1);
+    }
+
+    if (word.endsWith('ing') && word.length >= 7) {
+        word = word.slice(0, -3);
+    } else if (word.endsWith('ed') && !word.endsWith('eed') && word.length >= 6) {
+        word = word.slice(0, -2);
+    }
+
+    if (word.endsWith('e') && word.length > 4) word = word.slice(0, -1);
+    return word;
+}
+
+function fieldText(value) {
+    return Array.isArray(value) ? value.join(' ') : value;
+}
+
+/**
+ * Build an index from documents shaped like
+ * { id, title, description, keywords, aliases, type, path, thumbnailPath }
+ */
+function buildSearchIndex(documents) {
+    const docs = [];
+    const postings = new Map();
+
+    documents.forEach((doc, docIndex) => {
+        docs.push({
+            id: doc.id,
+            title: doc.title,
+            type: doc.type,
+            path: doc.path,
+            ...(doc.thumbnailPath && { thumbnailPath: doc.thumbnailPath }),
+        });
+
+        const weights = new Map();
+        for (const [field, fieldWeight] of Object.entries(FIELD_WEIGHTS)) {
+            const counts = new Map();
+            // The id's words ("black-hole-m87") count as an alias
+            const text = field === 'aliases' ? [doc.id, ...(doc.aliases || [])] : doc[field];
+            for (const term of tokenize(fieldText(text)).map(stem)) {
+                counts.set(term, (counts.get(term) || 0) + 1);
+            }
+            for (const [term, count] of counts) {
+                weights.set(term, (weights.get(term) || 0) + fieldWeight * Math.min(count, MAX_FIELD_REPEATS));
+            }
+        }
+
+        for (const [term, weight] of weights) {
+            if (!postings.has(term)) postings.set(term, []);
+            postings.get(term).push(docIndex, weight);
+        }
+    });
+
+    const terms = {};
+    for (const term of [...postings.keys()].sort()) terms[term] = postings.get(term);
+    return { version: INDEX_VERSION, docs, terms };
+}
+
+// Sorted term lists for prefix lookups, built once per loaded index
+const sortedTerms = new WeakMap();
+
+function termsWithPrefix(index, prefix) {
+    if (!sortedTerms.has(index)) sortedTerms.set(index, Object.keys(index.terms).sort());
+    const all = sortedTerms.get(index);
+
+    // Binary search for the first term >= prefix
+    let lo = 0;
+    let hi = all.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (all[mid] < prefix) lo = mid + 1;
+        else hi = mid;
+    }
+
+    const matches = [];
+    for (let i = lo; i < all.length && all[i].startsWith(prefix); i++) matches.push(all[i]);
+    return matches;
+}
+
+/**
+ * Best score per document for one query word: whole-word (stemmed) matches at
+ * full weight, prefix matches at PREFIX_FACTOR. Weights are scaled by how rare
+ * the term is across the index.
+ */
+function scoreToken(index, token) {
+    const docCount = index.docs.length;
+    const scores = new Map();
+    const add = (term, factor) => {
+        const postings = index.terms[term];
+        if (!postings) return;
+        const idf = Math.log(1 + docCount / (postings.length / 2));
+        for (let i = 0; i < postings.length; i += 2) {
+            const score = postings[i + 1] * idf * factor;
+            if (score > (scores.get(postings[i]) || 0)) scores.set(postings[i], score);
+        }
+    };
+
+    const whole = stem(token);
+    add(whole, 1);
+    if (token.length >= MIN_PREFIX_LENGTH) {
+        for (const term of termsWithPrefix(index, token)) {
+            if (term !== whole) add(term, PREFIX_FACTOR);
+        }
+    }
+    return scores;
+}
+
+/**
+ * Ranked documents matching every word of `query` (the last word may be
+ * half-typed). Options: `type` to filter, `limit` (default 20).
+ */
+function searchIndex(index, query, { type, limit = 20 } = {}) {
+    const tokens = [...new Set(tokenize(query))];
+    if (tokens.length === 0) return [];
+
+    let totals = null;
+    for (const token of tokens) {
+        const scores = scoreToken(index, token);
+        if (totals === null) {
+            totals = scores;
+        } else {
+            for (const docIndex of [...totals.keys()]) {
+                if (scores.has(docIndex)) totals.set(docIndex, totals.get(docIndex) + scores.get(docIndex));
+                else totals.delete(docIndex);
+            }
+        }
+        if (totals.size === 0) return [];
+    }
+
+    return [...totals.entries()]
+        .map(([docIndex, score]) => ({ ...index.docs[docIndex], score: Math.round(score * 100) / 100 }))
+        .filter(doc => !type || doc.type === type)
+        .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title))
+        .slice(0, limit);
+}
+
+module.exports = {
+    INDEX_VERSION,
+    FIELD_WEIGHTS,
+    tokenize,
+    stem,
+    buildSearchIndex,
+    searchIndex,
+};
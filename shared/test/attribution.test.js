@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { creditLine, copyrightHolder, nasaAttribution, apodAttribution, missionAttribution, missingAttribution } = require('../attribution');
+
+test('creditLine reads "Credit:" lines from descriptions', () => {
+    assert.strictEqual(creditLine('Saturn rings. Image Credit: NASA/JPL-Caltech/SSI.'), 'NASA/JPL-Caltech/SSI');
+    assert.strictEqual(creditLine('Launch.\nPhoto credit: NASA/Bill Ingalls\nMore text'), 'NASA/Bill Ingalls');
+    assert.strictEqual(creditLine('No credit here.'), null);
+});
+
+test('copyrightHolder finds notices but not disclaimers', () => {
+    assert.strictEqual(copyrightHolder('© 2019 Jane Doe'), 'Jane Doe');
+    assert.strictEqual(copyrightHolder(undefined, 'Copyright: Jane Doe; used with permission'), 'Jane Doe');
+    assert.strictEqual(copyrightHolder('NASA material is not protected by copyright unless noted.'), null);
+});
+
+test('NASA-credited items are public domain', () => {
+    assert.deepStrictEqual(nasaAttribution({ nasa_id: 'PIA03606', center: 'JPL', description: 'The Crab Nebula.' }), {
+        credit: 'NASA/JPL',
+        license: 'public-domain',
+        sourceUrl: 'https://images.nasa.gov/details/PIA03606',
+    });
+    assert.strictEqual(nasaAttribution({ center: 'HQ', photographer: 'Bill Ingalls' }).credit, 'Bill Ingalls');
+    assert.strictEqual(nasaAttribution({ center: 'HQ', photographer: 'Bill Ingalls' }).license, 'public-domain');
+    assert.strictEqual(nasaAttribution({ description: 'Credit: NASA, ESA, and the Hubble Heritage Team (STScI/AURA)' }).license, 'public-domain');
+});
+
+test('partner-only credits are unknown and third-party notices copyrighted', () => {
+    const partner = nasaAttribution({ center: 'GSFC', secondary_creator: 'ESA/Hubble' });
+    assert.deepStrictEqual([partner.credit, partner.license], ['ESA/Hubble', 'unknown']);
+
+    const noticed = nasaAttribution({ center: 'HQ', description: 'Eclipse over Oregon.' }, { rights: '© 2017 Jane Doe' });
+    assert.deepStrictEqual([noticed.credit, noticed.license], ['Jane Doe', 'copyrighted']);
+
+    assert.strictEqual(nasaAttribution({ center: 'JPL' }, { rights: 'Copyright NASA/JPL' }).license, 'public-domain');
+    assert.strictEqual(nasaAttribution({ center: 'GSFC' }, { rights: 'Copyright NASA and Jane Doe' }).license, 'copyrighted');
+});
+
+test('APOD copyright names the holder', () => {
+    assert.deepStrictEqual(apodAttribution({ date: '2024-01-10', copyright: '\nJohn Smith\n' }), {
+        credit: 'John Smith',
+        license: 'copyrighted',
+        sourceUrl: 'https://apod.nasa.gov/apod/ap240110.html',
+    });
+    assert.strictEqual(apodAttribution({ date: '2024-01-11' }).license, 'public-domain');
+    assert.strictEqual(apodAttribution({ date: '2024-01-11' }).credit, 'NASA');
+    assert.strictEqual(apodAttribution({ date: '2024-01-12', copyright: 'NASA, ESA, Hubble; Processing & Copyright: Robert Gendler' }).license, 'copyrighted');
+    assert.strictEqual(apodAttribution({ date: '2024-01-13', copyright: 'NASA/JPL-Caltech' }).license, 'public-domain');
+});
+
+test('mission archive items take the mission credit and an https source', () => {
+    assert.deepStrictEqual(missionAttribution('NASA/JPL-Caltech', 'http://mars.jpl.nasa.gov/msl-raw-images/x.JPG'), {
+        credit: 'NASA/JPL-Caltech',
+        license: 'public-domain',
+        sourceUrl: 'https://mars.jpl.nasa.gov/msl-raw-images/x.JPG',
+    });
+    assert.strictEqual(missionAttribution('DSCOVR partners', null).license, 'unknown');
+    assert.strictEqual(missionAttribution('NASA EPIC Team', undefined).sourceUrl, null);
+});
+
+test('missingAttribution lists the fields an object has no value for', () => {
+    assert.deepStrictEqual(missingAttribution(nasaAttribution({ nasa_id: 'PIA03606', center: 'JPL' })), []);
+    assert.deepStrictEqual(missingAttribution({ credit: 'NASA/JPL', license: 'public-domain', sourceUrl: null }), ['sourceUrl']);
+    assert.deepStrictEqual(missingAttribution({ id: 'mars', title: 'Mars' }), ['credit', 'license', 'sourceUrl']);
+});
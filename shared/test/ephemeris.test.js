@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    julianDay, sunPosition, moonPosition, planetPosition, precess, siderealTime, horizontal,
+} = require('../ephemeris');
+
+// Reference values are the worked examples in Meeus, Astronomical Algorithms (2nd ed.)
+
+const hours = (h, m, s) => (h + m / 60 + s / 3600) * 15;
+const degrees = (d, m, s) => Math.sign(d || 1) * (Math.abs(d) + m / 60 + s / 3600);
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test('julianDay counts from noon, 4713 BC', () => {
+    assert.strictEqual(julianDay(new Date('2000-01-01T12:00:00Z')), 2451545);
+    assert.strictEqual(julianDay(new Date('1987-04-10T00:00:00Z')), 2446895.5);
+});
+
+test('sunPosition matches example 25.a (1992 October 13, 0h TD)', () => {
+    const sun = sunPosition(2448908.5);
+    assertClose(sun.ra, 198.38083, 0.0005, 'ra');
+    assertClose(sun.dec, -7.78507, 0.0005, 'dec');
+    assertClose(sun.distance, 0.99766, 0.00001, 'distance');
+});
+
+test('moonPosition matches example 47.a (1992 April 12, 0h TD)', () => {
+    const moon = moonPosition(2448724.5);
+    assertClose(moon.ra, 134.688470, 0.01, 'ra');
+    assertClose(moon.dec, 13.768368, 0.01, 'dec');
+    assertClose(moon.distance * 149597870.7, 368409.7, 50, 'distance (km)');
+});
+
+test('planetPosition matches example 33.a (Venus, 1992 December 20, 0h TD)', () => {
+    const venus = planetPosition('venus', 2448976.5);
+    assertClose(venus.ra, hours(21, 4, 41.454), 0.005, 'ra');
+    assertClose(venus.dec, degrees(-18, 53, 16.84), 0.005, 'dec');
+    assertClose(venus.distance, 0.910947, 0.0005, 'distance');
+    assert.throws(() => planetPosition('earth', 2448976.5), RangeError);
+});
+
+test('precess matches example 21.b (θ Persei to 2028 November 13.19 TD)', () => {
+    // Proper motion applied first, as in the example
+    const years = (2462088.69 - 2451545) / 365.25;
+    const ra = hours(2, 44, 11.986 + 0.03425 * years);
+    const dec = degrees(49, 13, 42.48 - 0.0895 * years);
+    const { ra: raDate, dec: decDate } = precess(ra, dec, 2462088.69);
+    assertClose(raDate, hours(2, 46, 11.331), 0.0001, 'ra');
+    assertClose(decDate, degrees(49, 20, 54.54), 0.0001, 'dec');
+});
+
+test('siderealTime matches examples 12.a and 12.b', () => {
+    assertClose(siderealTime(2446895.5), hours(13, 10, 46.3668), 0.000005, '0h UT');
+    assertClose(siderealTime(2446895.5 + hours(19, 21, 0) / 360), 128.7378734, 0.000005, '19:21 UT');
+});
+
+test('horizontal matches example 13.b (Venus from Washington, 1987 April 10, 19:21 UT)', () => {
+    const venus = { ra: hours(23, 9, 16.641), dec: degrees(-6, 43, 11.61) };
+    const jd = 2446895.5 + hours(19, 21, 0) / 360;
+    const { altitude, azimuth } = horizontal(venus, jd, degrees(38, 55, 17), -degrees(77, 3, 56));
+    assertClose(altitude, 15.1249, 0.002, 'altitude');
+    // The example measures azimuth from the south
+    assertClose(azimuth, 68.0337 + 180, 0.002, 'azimuth');
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    DEFAULT_ALLOWED_HOSTS,
+    DEFAULT_MAX_IMAGE_BYTES,
+    ImagePolicyError,
+    createImagePolicy,
+    isAllowedHost,
+    checkImageUrl,
+    checkImageResponse,
+    limitBody,
+    fetchPolicedImage,
+} = require('../imagePolicy');
+
+const policy = createImagePolicy({ IMAGE_PROXY_MAX_BYTES: '1000' });
+
+function rejectsWith(status) {
+    return (err) => {
+        assert.ok(err instanceof ImagePolicyError, `expected ImagePolicyError, got ${err}`);
+        assert.strictEqual(err.status, status);
+        return true;
+    };
+}
+
+// Fake fetch that serves canned responses by URL and records what was asked for
+function fakeFetch(routes) {
+    const calls = [];
+    const impl = async (url, init) => {
+        calls.push({ url, init });
+        const route = routes[url];
+        if (!route) throw new Error(`unexpected fetch ${url}`);
+        return new Response(route.body ?? null, { status: route.status ?? 200, headers: route.headers });
+    };
+    return { impl, calls };
+}
+
+test('createImagePolicy falls back to the defaults', () => {
+    const defaults = createImagePolicy({});
+    assert.deepStrictEqual(defaults.allowedHosts, DEFAULT_ALLOWED_HOSTS);
+    assert.strictEqual(defaults.maxBytes, DEFAULT_MAX_IMAGE_BYTES);
+    assert.strictEqual(createImagePolicy({ IMAGE_PROXY_MAX_BYTES: 'lots' }).maxBytes, DEFAULT_MAX_IMAGE_BYTES);
+});
+
+test('createImagePolicy reads a comma-separated host list', () => {
+    const custom = createImagePolicy({ IMAGE_PROXY_ALLOWED_HOSTS: ' Example.org, *.nasa.gov ,' });
+    assert.deepStrictEqual(custom.allowedHosts, ['example.org', '*.nasa.gov']);
+});
+
+test('isAllowedHost matches exact hosts and wildcard subdomains', () => {
+    assert.ok(isAllowedHost('images-assets.nasa.gov', DEFAULT_ALLOWED_HOSTS));
+    assert.ok(isAllowedHost('APOD.NASA.GOV.', DEFAULT_ALLOWED_HOSTS));
+    assert.ok(!isAllowedHost('evil-apod.nasa.gov', DEFAULT_ALLOWED_HOSTS));
+    assert.ok(!isAllowedHost('apod.nasa.gov.evil.com', DEFAULT_ALLOWED_HOSTS));
+
+    assert.ok(isAllowedHost('photojournal.jpl.nasa.gov', ['*.nasa.gov']));
+    assert.ok(!isAllowedHost('nasa.gov', ['*.nasa.gov']));
+    assert.ok(!isAllowedHost('notnasa.gov', ['*.nasa.gov']));
+});
+
+test('checkImageUrl accepts allowlisted image URLs', () => {
+    const url = checkImageUrl('https://images-assets.nasa.gov/image/PIA01518/PIA01518~thumb.jpg', policy);
+    assert.strictEqual(url.hostname, 'images-assets.nasa.gov');
+});
+
+test('checkImageUrl rejects other hosts, internal addresses and odd URLs', () => {
+    assert.throws(() => checkImageUrl('https://example.com/cat.jpg', policy), rejectsWith(403));
+    assert.throws(() => checkImageUrl('http://169.254.169.254/latest/meta-data', policy), rejectsWith(403));
+    assert.throws(() => checkImageUrl('http://localhost/admin', policy), rejectsWith(403));
+    assert.throws(() => checkImageUrl('https://apod.nasa.gov:8443/x.jpg', policy), rejectsWith(403));
+    assert.throws(() => checkImageUrl('https://user:pw@apod.nasa.gov/x.jpg', policy), rejectsWith(400));
+    assert.throws(() => checkImageUrl('file:///etc/passwd', policy), rejectsWith(400));
+    assert.throws(() => checkImageUrl('/relative.jpg', policy), rejectsWith(400));
+});
+
+test('checkImageResponse requires an image Content-Type', () => {
+    const ok = new Response('x', { headers: { 'Content-Type': 'image/JPEG; charset=binary' } });
+    assert.strictEqual(checkImageResponse(ok, policy), 'image/jpeg');
+
+    const html = new Response('<html>', { headers: { 'Content-Type': 'text/html' } });
+    assert.throws(() => checkImageResponse(html, policy), rejectsWith(415));
+    assert.throws(() => checkImageResponse(new Response(null), policy), rejectsWith(415));
+});
+
+test('checkImageResponse rejects a declared length over the limit', () => {
+    const big = new Response(null, { headers: { 'Content-Type': 'image/png', 'Content-Length': '1001' } });
+    assert.throws(() => checkImageResponse(big, policy), rejectsWith(413));
+});
+
+test('limitBody errors once the stream passes the limit', async () => {
+    const small = await new Response(limitBody(new Response('a'.repeat(1000)).body, 1000)).text();
+    assert.strictEqual(small.length, 1000);
+
+    const big = new Response(limitBody(new Response('a'.repeat(1001)).body, 1000));
+    await assert.rejects(big.text(), rejectsWith(413));
+});
+
+test('fetchPolicedImage follows redirects to allowlisted hosts', async () => {
+    const { impl, calls } = fakeFetch({
+        'http://apod.nasa.gov/apod/image/x.jpg': { status: 301, headers: { Location: 'https://apod.nasa.gov/apod/image/x.jpg' } },
+        'https://apod.nasa.gov/apod/image/x.jpg': { body: 'jpeg', headers: { 'Content-Type': 'image/jpeg' } },
+    });
+
+    const { response, contentType } = await fetchPolicedImage('http://apod.nasa.gov/apod/image/x.jpg', policy, impl);
+    assert.strictEqual(contentType, 'image/jpeg');
+    assert.strictEqual(await response.text(), 'jpeg');
+    assert.deepStrictEqual(calls.map(c => c.init.redirect), ['manual', 'manual']);
+});
+
+test('fetchPolicedImage blocks redirects off the allowlist', async () => {
+    const { impl, calls } = fakeFetch({
+        'https://apod.nasa.gov/x.jpg': { status: 302, headers: { Location: 'http://169.254.169.254/latest/meta-data' } },
+    });
+
+    await assert.rejects(fetchPolicedImage('https://apod.nasa.gov/x.jpg', policy, impl), rejectsWith(403));
+    assert.strictEqual(calls.length, 1);
+});
+
+test('fetchPolicedImage gives up on redirect loops and upstream errors', async () => {
+    const loop = fakeFetch({
+        'https://apod.nasa.gov/a.jpg': { status: 302, headers: { Location: '/b.jpg' } },
+        'https://apod.nasa.gov/b.jpg': { status: 302, headers: { Location: '/a.jpg' } },
+    });
+    await assert.rejects(fetchPolicedImage('https://apod.nasa.gov/a.jpg', policy, loop.impl), rejectsWith(502));
+
+    const missing = fakeFetch({ 'https://apod.nasa.gov/gone.jpg': { status: 404 } });
+    await assert.rejects(fetchPolicedImage('https://apod.nasa.gov/gone.jpg', policy, missing.impl), rejectsWith(502));
+});
+
+test('fetchPolicedImage rejects non-image responses', async () => {
+    const { impl } = fakeFetch({
+        'https://images-assets.nasa.gov/page': { body: '<html>', headers: { 'Content-Type': 'text/html' } },
+    });
+    await assert.rejects(fetchPolicedImage('https://images-assets.nasa.gov/page', policy, impl), rejectsWith(415));
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ImagePolicyError } = require('../imagePolicy');
+const { parseResizeOptions, nasaVariantUrl, buildImageProxyUrl, buildSrcset } = require('../imageVariants');
+
+const MEDIUM = 'https://images-assets.nasa.gov/image/PIA18906/PIA18906~medium.jpg';
+
+test('parseResizeOptions reads w/h/fit/format', () => {
+    assert.deepStrictEqual(parseResizeOptions(new URLSearchParams('url=x')), {});
+    assert.deepStrictEqual(
+        parseResizeOptions(new URLSearchParams('w=320&h=200&fit=cover&format=webp')),
+        { width: 320, height: 200, fit: 'cover', format: 'webp' },
+    );
+});
+
+test('parseResizeOptions rejects bad values with a 400', () => {
+    for (const query of ['w=0', 'w=abc', 'h=5000', 'w=1.5', 'fit=squash', 'format=gif']) {
+        assert.throws(() => parseResizeOptions(new URLSearchParams(query)), (err) => {
+            assert.ok(err instanceof ImagePolicyError);
+            assert.strictEqual(err.status, 400);
+            return true;
+        }, query);
+    }
+});
+
+test('nasaVariantUrl picks the smallest NASA rendition that covers the size', () => {
+    assert.strictEqual(nasaVariantUrl(MEDIUM, { width: 80 }), MEDIUM.replace('~medium', '~thumb'));
+    assert.strictEqual(nasaVariantUrl(MEDIUM, { width: 320 }), MEDIUM.replace('~medium', '~small'));
+    assert.strictEqual(nasaVariantUrl(MEDIUM, { width: 300, height: 600 }), MEDIUM);
+    assert.strictEqual(nasaVariantUrl(MEDIUM, { width: 1280 }), MEDIUM.replace('~medium', '~large'));
+    assert.strictEqual(nasaVariantUrl(MEDIUM, { width: 4000 }), MEDIUM.replace('~medium', '~orig'));
+});
+
+test('nasaVariantUrl leaves other URLs and unsized requests alone', () => {
+    const apod = 'https://apod.nasa.gov/apod/image/2312/SpaceTree_Gualandi_2000.jpg';
+    assert.strictEqual(nasaVariantUrl(apod, { width: 320 }), apod);
+    assert.strictEqual(nasaVariantUrl(MEDIUM, { format: 'webp' }), MEDIUM);
+});
+
+test('buildImageProxyUrl uses a canonical param order', () => {
+    const url = buildImageProxyUrl('https://proxy.example', MEDIUM, { format: 'webp', fit: 'cover', width: 320 });
+    assert.strictEqual(
+        url,
+        'https://proxy.example/image-proxy?url=https%3A%2F%2Fimages-assets.nasa.gov%2Fimage%2FPIA18906%2FPIA18906%7Emedium.jpg&w=320&fit=cover&format=webp',
+    );
+});
+
+test('buildSrcset lists variants narrowest first', () => {
+    const srcset = buildSrcset('https://proxy.example', MEDIUM, [1280, 320], 'webp');
+    assert.deepStrictEqual(srcset.map(v => v.width), [320, 1280]);
+    assert.ok(srcset[0].url.endsWith('&w=320&format=webp'));
+    assert.deepStrictEqual(buildSrcset('https://proxy.example', null), []);
+});
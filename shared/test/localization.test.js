@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    truncateAtWord,
+    summarize,
+    normalizeLocale,
+    parseAcceptLanguage,
+    negotiateLocale,
+    objectLocales,
+    mergeTranslations,
+    localizeObject,
+} = require('../localization');
+
+const CRAB = {
+    id: 'crab-nebula',
+    title: 'Crab Nebula',
+    description: 'The Crab Nebula is a supernova remnant. It lies in Taurus.',
+    type: 'nebula',
+};
+
+test('truncateAtWord cuts between words', () => {
+    assert.strictEqual(truncateAtWord('Hubble Space Telescope', 100), 'Hubble Space Telescope');
+    assert.strictEqual(truncateAtWord('Hubble Space Telescope', 18), 'Hubble Space...');
+    assert.strictEqual(truncateAtWord('Astronomers, using Hubble', 16), 'Astronomers...');
+    assert.strictEqual(truncateAtWord('Supercalifragilistic', 10), 'Superca...');
+});
+
+test('summarize takes the first sentence', () => {
+    assert.strictEqual(summarize(CRAB.description), 'The Crab Nebula is a supernova remnant.');
+    assert.strictEqual(summarize('Saturn  Atmosphere'), 'Saturn Atmosphere');
+    assert.strictEqual(summarize('word '.repeat(100), 30).length <= 30, true);
+});
+
+test('normalizeLocale and parseAcceptLanguage', () => {
+    assert.strictEqual(normalizeLocale('PT_br'), 'pt-BR');
+    assert.strictEqual(normalizeLocale('zh-Hant-TW'), 'zh');
+    assert.strictEqual(normalizeLocale('*'), null);
+    assert.deepStrictEqual(parseAcceptLanguage('fr;q=0.5, es-MX, en;q=0.8, de;q=0, *'), ['es-MX', 'en', 'fr']);
+    assert.deepStrictEqual(parseAcceptLanguage(null), []);
+});
+
+test('negotiateLocale matches exact tags, then the same language', () => {
+    assert.strictEqual(negotiateLocale(['es-MX', 'en'], ['en', 'es']), 'es');
+    assert.strictEqual(negotiateLocale(['pt'], ['en', 'pt-BR']), 'pt-BR');
+    assert.strictEqual(negotiateLocale(['de', 'fr'], ['en', 'es']), 'en');
+    assert.strictEqual(negotiateLocale([], ['en', 'es'], 'en'), 'en');
+});
+
+test('mergeTranslations adds summary, locale and per-field maps', () => {
+    const merged = mergeTranslations(CRAB, {
+        es: { title: 'Nebulosa del Cangrejo', description: '  Un remanente de supernova.  ' },
+        fr: { title: 'Nébuleuse du Crabe' },
+    });
+
+    assert.strictEqual(merged.summary, 'The Crab Nebula is a supernova remnant.');
+    assert.strictEqual(merged.locale, 'en');
+    assert.deepStrictEqual(merged.localized, {
+        title: { es: 'Nebulosa del Cangrejo', fr: 'Nébuleuse du Crabe' },
+        description: { es: 'Un remanente de supernova.' },
+    });
+    assert.deepStrictEqual(objectLocales(merged), ['en', 'es', 'fr']);
+
+    // Reruns are stable, and dropped translations go away
+    assert.deepStrictEqual(mergeTranslations(merged, { es: { title: 'Nebulosa del Cangrejo', description: 'Un remanente de supernova.' }, fr: { title: 'Nébuleuse du Crabe' } }), merged);
+    assert.ok(!('localized' in mergeTranslations(merged, {})));
+});
+
+test('localizeObject falls back field by field', () => {
+    const merged = mergeTranslations(CRAB, { es: { title: 'Nebulosa del Cangrejo' } });
+
+    const es = localizeObject(merged, 'es');
+    assert.strictEqual(es.title, 'Nebulosa del Cangrejo');
+    assert.strictEqual(es.description, CRAB.description);
+    assert.strictEqual(es.locale, 'es');
+    assert.ok(!('localized' in es));
+
+    const de = localizeObject(merged, 'de');
+    assert.strictEqual(de.title, 'Crab Nebula');
+    assert.strictEqual(de.locale, 'en');
+});
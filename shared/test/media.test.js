@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { toMediaEntry, selectGallery, buildGallery } = require('../media');
+const { buildImageProxyUrl } = require('../imageVariants');
+
+const PROXY = 'https://worker.test';
+
+function item(nasaId, title, { mediaType = 'image', center = 'JPL', keywords = [], image = true, ...extra } = {}) {
+    const dir = mediaType === 'video' ? 'video' : 'image';
+    return {
+        href: `https://images-assets.nasa.gov/${dir}/${nasaId}/collection.json`,
+        data: [{
+            nasa_id: nasaId,
+            title,
+            center,
+            keywords,
+            media_type: mediaType,
+            date_created: '2012-08-06T00:00:00Z',
+            description: `${title}. Seen by NASA.`,
+            ...extra,
+        }],
+        links: image ? [{ href: `https://images-assets.nasa.gov/${dir}/${nasaId}/${nasaId}~thumb.jpg`, rel: 'preview', render: 'image' }] : [],
+    };
+}
+
+const HITS = [
+    item('KSC-001', 'Launch of the Mars Rover', { center: 'KSC', keywords: ['Mars'] }),
+    item('PIA15000', 'Mars Gale Crater'),
+    item('PIA15001', 'Mars Dust Storm'),
+    item('mars-video', 'Mars in 4K', { mediaType: 'video', center: 'GSFC' }),
+    item('PIA15002', 'Mars Without Preview', { image: false }),
+    item('HQ-002', 'Mars Celebration', { center: 'HQ' }),
+    item('PIA15003', 'Mars Sunset', { description: 'Mars Sunset. Image Credit: ESO/J. Doe' }),
+];
+const CRITERIA = { name: 'Mars', query: 'Mars' };
+
+test('toMediaEntry proxies the requested rendition', () => {
+    assert.deepStrictEqual(toMediaEntry(HITS[1], PROXY), {
+        nasaId: 'PIA15000',
+        mediaType: 'image',
+        url: buildImageProxyUrl(PROXY, 'https://images-assets.nasa.gov/image/PIA15000/PIA15000~medium.jpg'),
+        credit: 'NASA/JPL',
+        license: 'public-domain',
+        sourceUrl: 'https://images.nasa.gov/details/PIA15000',
+        date: '2012-08-06',
+        caption: 'Mars Gale Crater.',
+    });
+    assert.match(toMediaEntry(HITS[1], PROXY, 'thumb').url, /%7Ethumb\.jpg$/);
+});
+
+test('videos keep their preview still', () => {
+    const video = toMediaEntry(HITS[3], PROXY);
+    assert.strictEqual(video.mediaType, 'video');
+    assert.match(video.url, /mars-video%7Ethumb\.jpg$/);
+    assert.strictEqual(toMediaEntry(HITS[4], PROXY), null);
+});
+
+test('selectGallery puts the primary first and skips weak, duplicate, image-less and unlicensed hits', () => {
+    const ids = selectGallery(HITS, CRITERIA, { primary: HITS[2] }).map(hit => hit.data[0].nasa_id);
+    assert.deepStrictEqual(ids, ['PIA15001', 'PIA15000', 'mars-video']);
+});
+
+test('selectGallery stops at the limit', () => {
+    assert.strictEqual(selectGallery(HITS, CRITERIA, { limit: 2 }).length, 2);
+    assert.deepStrictEqual(selectGallery([], CRITERIA), []);
+});
+
+test('buildGallery returns entries in gallery order', () => {
+    const gallery = buildGallery(HITS, CRITERIA, PROXY, { primary: HITS[1], limit: 2 });
+    assert.deepStrictEqual(gallery.map(entry => entry.nasaId), ['PIA15000', 'PIA15001']);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { toJde, julianDay } = require('../ephemeris');
+const { findObservable, skyPosition, moonPhase, planObservation } = require('../observation');
+
+// Reference values are the worked examples in Meeus, Astronomical Algorithms (2nd ed.),
+// which are given in dynamical time
+const fromJde = jde => jde - (toJde(jde) - jde);
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+function assertTime(actual, expected, toleranceSeconds, label) {
+    assertClose(Date.parse(actual) / 1000, Date.parse(expected) / 1000, toleranceSeconds, label);
+}
+
+test('findObservable resolves catalog names to the body to compute', () => {
+    assert.deepStrictEqual(findObservable('moon'), { id: 'moon', body: 'moon' });
+    assert.deepStrictEqual(findObservable('Jupiter'), { id: 'jupiter', body: 'planet' });
+    assert.deepStrictEqual(findObservable('M31'), { id: 'andromeda', body: 'fixed', position: { ra: 10.6847, dec: 41.2692 } });
+    assert.strictEqual(findObservable('earth'), null);
+    assert.strictEqual(findObservable('international-space-station'), null);
+    assert.strictEqual(findObservable('nowhere'), null);
+});
+
+test('rise, transit and set match example 15.a (Venus from Boston, 1988 March 20)', () => {
+    const plan = planObservation(findObservable('venus'), { latitude: 42.3333, longitude: -71.0833, date: '1988-03-20' });
+    assert.strictEqual(plan.visibility, 'risesAndSets');
+    assertTime(plan.rise, '1988-03-20T12:25:26Z', 60, 'rise');
+    assertTime(plan.transit, '1988-03-20T19:40:31Z', 60, 'transit');
+    assertTime(plan.set, '1988-03-20T02:54:40Z', 60, 'set');
+    // At transit it is due south, 90° - latitude + declination up
+    assertClose(plan.position.azimuth, 180, 0.01, 'azimuth');
+    assertClose(plan.transitAltitude, 90 - 42.3333 + plan.position.declination, 0.01, 'transit altitude');
+});
+
+test('the day is local: utcOffset moves the window, times stay UTC', () => {
+    const sirius = findObservable('sirius');
+    const utc = planObservation(sirius, { latitude: 40, longitude: -74, date: '2026-01-15' });
+    const local = planObservation(sirius, { latitude: 40, longitude: -74, date: '2026-01-15', utcOffset: -300 });
+    assert.ok(Date.parse(local.transit) >= Date.parse('2026-01-15T05:00:00Z'));
+    assert.ok(Date.parse(local.transit) < Date.parse('2026-01-16T05:00:00Z'));
+    assert.notStrictEqual(local.transit, utc.transit);
+});
+
+test('rise and set are where the upper limb meets the horizon, Moon included', () => {
+    for (const name of ['sun', 'moon', 'saturn', 'orion-nebula']) {
+        const target = findObservable(name);
+        const plan = planObservation(target, { latitude: 51.48, longitude: 0, date: '2026-10-19' });
+        for (const time of [plan.rise, plan.set].filter(Boolean)) {
+            assertClose(skyPosition(target, julianDay(new Date(time)), 51.48, 0).aboveRise, 0, 0.01, `${name} at ${time}`);
+        }
+    }
+});
+
+test('objects that never set or never rise have no rise or set', () => {
+    const plan = (name, latitude, date) => planObservation(findObservable(name), { latitude, longitude: 0, date });
+    assert.strictEqual(plan('sun', 89, '2026-06-21').visibility, 'alwaysUp');
+    assert.strictEqual(plan('sun', 69.65, '2026-12-21').visibility, 'neverUp');
+    assert.strictEqual(plan('vega', 60, '2026-10-19').visibility, 'alwaysUp');
+    const sirius = plan('sirius', 80, '2026-10-19');
+    assert.strictEqual(sirius.visibility, 'neverUp');
+    assert.strictEqual(sirius.rise, null);
+    assert.strictEqual(sirius.set, null);
+    assert.ok(sirius.transitAltitude < 0);
+});
+
+test('position is for the requested time when one is given', () => {
+    const at = new Date('2026-10-19T21:30:00Z');
+    const plan = planObservation(findObservable('jupiter'), { latitude: 51.48, longitude: 0, date: '2026-10-19', at });
+    assert.strictEqual(plan.position.at, '2026-10-19T21:30:00Z');
+});
+
+test('moonPhase matches example 48.a (1992 April 12, 0h TD)', () => {
+    const { illumination, name } = moonPhase(fromJde(2448724.5));
+    assertClose(illumination, 0.6786, 0.001, 'illumination');
+    assert.strictEqual(name, 'first quarter');
+});
+
+test('moonPhase matches the phases of examples 49.a and 49.b', () => {
+    // New Moon of 1977 February 18, 3:37:42 TD
+    const newMoon = moonPhase(fromJde(2443192.65118));
+    assert.strictEqual(newMoon.name, 'new moon');
+    assertClose(newMoon.illumination, 0, 0.002, 'new moon illumination');
+    // Last quarter of 2044 January 21, 23:47:48 TD
+    const lastQuarter = moonPhase(fromJde(2467636.49186));
+    assert.strictEqual(lastQuarter.name, 'last quarter');
+    assertClose(lastQuarter.phase, 0.75, 0.001, 'last quarter phase');
+    assertClose(lastQuarter.illumination, 0.5, 0.01, 'last quarter illumination');
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { scoreCandidate, rankCandidates, pickBestCandidate } = require('../ranking');
+
+// Trimmed NASA search responses where items[0] was the wrong pick
+const jupiter = require('./fixtures/search-jupiter-planet.json').collection.items;
+const mars = require('./fixtures/search-mars-planet-rover.json').collection.items;
+const venus = require('./fixtures/search-venus-planet.json').collection.items;
+
+const nasaIdOf = item => item.data[0].nasa_id;
+
+test('prefers the JPL image of Jupiter over "Launch Vehicles"', () => {
+    const best = pickBestCandidate(jupiter, { name: 'Jupiter', query: 'Jupiter planet' });
+    assert.strictEqual(nasaIdOf(best), 'PIA01518');
+});
+
+test('skips the Mars, Pennsylvania celebration', () => {
+    const best = pickBestCandidate(mars, { name: 'Mars', query: 'Mars planet rover' });
+    assert.strictEqual(nasaIdOf(best), 'PIA24348');
+});
+
+test('penalizes launch photos even when the keywords mention the planet', () => {
+    const [best, launch] = rankCandidates(venus, { name: 'Venus', query: 'Venus planet' });
+    assert.strictEqual(nasaIdOf(best.item), 'PIA13001');
+    assert.strictEqual(nasaIdOf(launch.item), '6757466');
+    assert.ok(launch.reasons.includes('-40 "launch" in title'));
+});
+
+test('the query defaults to the name', () => {
+    const best = pickBestCandidate(jupiter, { query: 'Jupiter' });
+    assert.strictEqual(nasaIdOf(best), 'PIA01518');
+});
+
+test('items without an image are never picked', () => {
+    const withoutImage = { ...jupiter[1], links: [] };
+    assert.ok(scoreCandidate(withoutImage, { name: 'Jupiter' }).score < 0);
+    assert.strictEqual(pickBestCandidate([withoutImage], { name: 'Jupiter' }), null);
+    assert.strictEqual(pickBestCandidate([], { name: 'Jupiter' }), null);
+});
+
+test('ties keep NASA order', () => {
+    const ranked = rankCandidates([jupiter[1], jupiter[1]], { name: 'Jupiter' });
+    assert.deepStrictEqual(ranked.map(r => r.position), [0, 1]);
+});
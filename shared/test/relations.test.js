@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { RELATIONS, buildRelationGraph } = require('../relations');
+
+function node(id, type, { aliases = [], ...rest } = {}) {
+    return { id, title: id.replace(/-/g, ' '), type, names: [id, ...aliases], ...rest };
+}
+
+const NODES = [
+    node('earth', 'planet', { related: { parentBody: ['sun'] } }),
+    node('moon', 'other', { related: { parentBody: ['earth'] } }),
+    node('orion-nebula', 'nebula', { aliases: ['M42'], constellation: 'Orion', keywords: ['Orion Nebula', 'Hubble Space Telescope'] }),
+    node('betelgeuse', 'star', { constellation: 'Orion', related: { locatedIn: ['milky-way'] } }),
+    node('andromeda', 'galaxy', { aliases: ['M31'], constellation: 'Andromeda' }),
+    node('andromeda-galaxy', 'galaxy', { constellation: 'Andromeda', keywords: ['M31'] }),
+    node('hubble-space-telescope', 'other', { aliases: ['HST'] }),
+    node('black-hole-m87', 'other', { keywords: ['M42'] }),
+];
+
+const links = (graph, id) => graph[id].map(({ relation, id: other }) => `${relation}:${other}`);
+
+test('every relation has an inverse that points back', () => {
+    for (const [relation, inverse] of Object.entries(RELATIONS)) {
+        assert.strictEqual(RELATIONS[inverse], relation);
+    }
+});
+
+test('catalog links are added both ways; ids that are not objects are left out', () => {
+    const graph = buildRelationGraph(NODES);
+    assert.deepStrictEqual(links(graph, 'earth'), ['orbitedBy:moon']);
+    assert.deepStrictEqual(links(graph, 'moon'), ['parentBody:earth']);
+    assert.deepStrictEqual(graph.moon[0], { id: 'earth', relation: 'parentBody', title: 'earth', type: 'planet' });
+});
+
+test('constellations and keywords generate links, sorted by relation then catalog order', () => {
+    const graph = buildRelationGraph(NODES);
+    assert.deepStrictEqual(links(graph, 'orion-nebula'), ['sameConstellation:betelgeuse', 'seeAlso:hubble-space-telescope', 'seeAlso:black-hole-m87']);
+    assert.deepStrictEqual(links(graph, 'betelgeuse'), ['sameConstellation:orion-nebula']);
+    assert.deepStrictEqual(links(graph, 'hubble-space-telescope'), ['seeAlso:orion-nebula']);
+});
+
+test('copies of the same reference object are not linked to each other', () => {
+    const graph = buildRelationGraph(NODES);
+    assert.deepStrictEqual(graph.andromeda, []);
+    assert.deepStrictEqual(graph['andromeda-galaxy'], []);
+});
+
+test('an object links to only the first copy of a reference object', () => {
+    const graph = buildRelationGraph([
+        ...NODES,
+        node('milky-way', 'galaxy', { keywords: ['Andromeda Galaxy', 'M31'] }),
+    ]);
+    assert.deepStrictEqual(links(graph, 'milky-way'), ['contains:betelgeuse', 'seeAlso:andromeda']);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { tokenize, stem, buildSearchIndex, searchIndex } = require('../searchIndex');
+
+const DOCS = [
+    {
+        id: 'andromeda',
+        title: 'Andromeda Galaxy',
+        description: 'The nearest large spiral galaxy to the Milky Way.',
+        aliases: ['M31', 'NGC 224'],
+        keywords: ['galaxies', 'Spitzer'],
+        type: 'galaxy',
+        path: 'objects/andromeda.json',
+    },
+    {
+        id: 'milky-way',
+        title: 'Milky Way',
+        description: 'Our home galaxy, seen edge-on from the southern hemisphere.',
+        type: 'galaxy',
+        path: 'objects/milky-way.json',
+        thumbnailPath: 'assets/offline/milky-way.jpg',
+    },
+    {
+        id: 'orion-nebula',
+        title: 'Orion Nebula',
+        description: 'A stellar nursery imaged by Hubble, south of Orion\'s Belt.',
+        aliases: ['M42'],
+        keywords: ['nebulae', 'star formation'],
+        type: 'nebula',
+        path: 'objects/orion-nebula.json',
+    },
+    {
+        id: 'saturn',
+        title: 'Saturn',
+        description: 'Cassini imaging of the rings.',
+        type: 'planet',
+        path: 'objects/saturn.json',
+    },
+];
+
+const index = buildSearchIndex(DOCS);
+const ids = results => results.map(result => result.id);
+
+test('tokenize lowercases, folds accents and drops stop words', () => {
+    assert.deepStrictEqual(tokenize('The Méchain  Catalogue of M31-type NEBULAE'), ['mechain', 'catalogue', 'm31', 'type', 'nebulae']);
+    assert.deepStrictEqual(tokenize(undefined), []);
+});
+
+test('stem folds plurals and verb forms to the same term', () => {
+    assert.strictEqual(stem('galaxies'), stem('galaxy'));
+    assert.strictEqual(stem('nebulae'), stem('nebula'));
+    assert.strictEqual(stem('rings'), stem('ring'));
+    assert.strictEqual(stem('imaging'), stem('imaged'));
+    assert.strictEqual(stem('imaged'), stem('image'));
+    assert.strictEqual(stem('venus'), 'venus');
+    assert.strictEqual(stem('m31'), 'm31');
+});
+
+test('the index keeps display fields only and sorted terms', () => {
+    assert.strictEqual(index.version, 1);
+    assert.deepStrictEqual(index.docs[1], {
+        id: 'milky-way', title: 'Milky Way', type: 'galaxy', path: 'objects/milky-way.json', thumbnailPath: 'assets/offline/milky-way.jpg',
+    });
+    const terms = Object.keys(index.terms);
+    assert.deepStrictEqual(terms, [...terms].sort());
+    assert.ok(!('description' in index.docs[0]));
+});
+
+test('title matches outrank description matches', () => {
+    assert.deepStrictEqual(ids(searchIndex(index, 'galaxy')), ['andromeda', 'milky-way']);
+    assert.deepStrictEqual(ids(searchIndex(index, 'Milky Way')), ['milky-way', 'andromeda']);
+});
+
+test('aliases, keywords and stemmed forms match', () => {
+    assert.deepStrictEqual(ids(searchIndex(index, 'M31')), ['andromeda']);
+    assert.deepStrictEqual(ids(searchIndex(index, 'ngc 224')), ['andromeda']);
+    assert.deepStrictEqual(ids(searchIndex(index, 'nebulae')), ['orion-nebula']);
+    assert.deepStrictEqual(ids(searchIndex(index, 'imaged')), ['orion-nebula', 'saturn']);
+});
+
+test('half-typed words match by prefix, below whole words', () => {
+    assert.deepStrictEqual(ids(searchIndex(index, 'andro')), ['andromeda']);
+    assert.deepStrictEqual(ids(searchIndex(index, 'orion neb')), ['orion-nebula']);
+
+    const [whole] = searchIndex(index, 'saturn');
+    const [prefix] = searchIndex(index, 'satu');
+    assert.ok(prefix.score < whole.score);
+});
+
+test('every word must match; type and limit filter the results', () => {
+    assert.deepStrictEqual(ids(searchIndex(index, 'galaxy saturn')), []);
+    assert.deepStrictEqual(ids(searchIndex(index, 'the of')), []);
+    assert.deepStrictEqual(ids(searchIndex(index, 'M31 M42')), []);
+    assert.deepStrictEqual(ids(searchIndex(index, 'galaxy', { limit: 1 })), ['andromeda']);
+    assert.deepStrictEqual(ids(searchIndex(index, 'hubble', { type: 'planet' })), []);
+});